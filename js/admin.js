@@ -0,0 +1,729 @@
+/**
+ * Consola del hotel (admin.html): textos y fotos de las habitaciones, tarifas e inventario por
+ * fecha, reservas y mensajes de contacto. Se carga después de js/app.js y usa sus funciones:
+ * - con SITE_CONFIG.apiUrl todo pasa por server/server.js, que pide la contraseña (ADMIN_PASSWORD)
+ * - sin apiUrl es un modo demo sobre el localStorage de este navegador (ver adminDemoPasswordHash)
+ */
+
+/* Acceso */
+
+/** Sesión de la consola: vive en sessionStorage y se pierde al cerrar la pestaña. */
+const ADMIN_TOKEN_KEY = "sb_admin_token";
+
+/**
+ * SHA-256 en hexadecimal (para la contraseña del modo demo).
+ * @method sha256Hex
+ * @param {string} text
+ * @return {Promise<string>}
+ */
+const sha256Hex = async (text) => {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+};
+
+/**
+ * Una consola es un objeto con funciones async, igual en los dos adaptadores:
+ * - login(password)                 → {ok, token} | {ok:false, code:"unauthorized"|"too_many", retryAfter?}
+ * - logout()
+ * - rooms()                         → {ok, rooms} (catálogo con los cambios guardados)
+ * - saveRoom(id, edit|null)         → {ok, edit} (saveRoomEdit)
+ * - inventory({from, to})           → {ok, inventory}
+ * - setInventory(change)            → {ok, nights} (setInventoryRange)
+ * - reservations()                  → {ok, reservations}
+ * - setReservationStatus(code, st)  → {ok, reservation}
+ * - messages()                      → {ok, messages}
+ * - setMessageStatus(id, st)        → {ok, message}
+ * Una sesión vencida o inválida responde {ok:false, code:"unauthorized"}.
+ */
+
+/**
+ * Adaptador local (modo demo): las funciones de js/app.js sobre este navegador.
+ * @method createLocalAdminApi
+ * @return {Object}
+ */
+const createLocalAdminApi = () => ({
+    name: "local",
+    login: async (password) => {
+        const hash = typeof SITE_CONFIG !== "undefined" ? SITE_CONFIG.adminDemoPasswordHash : "";
+        return hash && (await sha256Hex(password)) === hash ? {ok: true, token: "local-demo"} : {ok: false, code: "unauthorized"};
+    },
+    logout: async () => ({ok: true}),
+    rooms: async () => ({ok: true, rooms: editedRoomCatalog()}),
+    saveRoom: async (id, edit) => saveRoomEdit(id, edit),
+    inventory: async () => ({ok: true, inventory: loadInventory()}),
+    setInventory: async (change) => setInventoryRange(change),
+    reservations: async () => ({ok: true, reservations: Object.values(loadReservations())}),
+    setReservationStatus: async (code, status) => setReservationStatus(code, status),
+    messages: async () => ({ok: true, messages: loadMessages()}),
+    setMessageStatus: async (id, status) => setMessageStatus(id, status),
+});
+
+/**
+ * Adaptador HTTP: las rutas /admin de server/server.js con el token de la sesión.
+ * @method createHttpAdminApi
+ * @param {string} baseUrl - La misma base que la API de reservas.
+ * @return {Object}
+ */
+const createHttpAdminApi = (baseUrl) => {
+    const request = (method, path, body) => requestJson(method, `${baseUrl}/admin${path}`, body, {
+        Authorization: `Bearer ${sessionStorage.getItem(ADMIN_TOKEN_KEY) || ""}`,
+    });
+    const id = (value) => encodeURIComponent(value);
+    return {
+        name: "http",
+        login: (password) => requestJson("POST", `${baseUrl}/admin/login`, {password}),
+        logout: () => request("POST", "/logout"),
+        rooms: () => request("GET", "/rooms"),
+        saveRoom: (roomId, edit) => request("POST", `/rooms/${id(roomId)}`, {edit}),
+        inventory: ({from, to}) => request("GET", `/inventory?${new URLSearchParams({from, to})}`),
+        setInventory: (change) => request("POST", "/inventory", change),
+        reservations: () => request("GET", "/reservations"),
+        setReservationStatus: (code, status) => request("POST", `/reservations/${id(code)}/status`, {status}),
+        messages: () => request("GET", "/messages"),
+        setMessageStatus: (msgId, status) => request("POST", `/messages/${id(msgId)}/status`, {status}),
+    };
+};
+
+let adminApi = null;
+
+/**
+ * Consola según SITE_CONFIG, como getBookingApi.
+ * @method getAdminApi
+ * @return {Object}
+ */
+const getAdminApi = () => {
+    if (!adminApi) {
+        const url = siteApiUrl();
+        adminApi = url ? createHttpAdminApi(url.replace(/\/$/, "")) : createLocalAdminApi();
+    }
+    return adminApi;
+};
+
+/* CSV */
+
+/**
+ * Celda CSV: entre comillas si hace falta y sin fórmulas (=, +, -, @ al principio abren
+ * fórmulas en las planillas; se antepone un apóstrofo salvo a los números como "+30").
+ * @method csvCell
+ * @param {*} value
+ * @return {string}
+ */
+const csvCell = (value) => {
+    let s = String(value ?? "");
+    if (/^[=+\-@\t\r]/.test(s) && !/^[+-]?\d[\d.\s]*$/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Arma un CSV (separado por comas, con CRLF) a partir del encabezado y las filas.
+ * @method toCsv
+ * @param {string[]} header
+ * @param {Array[]} rows
+ * @return {string}
+ */
+const toCsv = (header, rows) => [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n");
+
+/**
+ * Descarga un CSV. Lleva BOM para que Excel lo abra como UTF-8.
+ * @method downloadCsv
+ * @param {string} name - Nombre del archivo.
+ * @param {string} csv
+ * @return {void}
+ */
+const downloadCsv = (name, csv) => {
+    const blob = new Blob([`﻿${csv}`], {type: "text/csv;charset=utf-8"});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Columnas del CSV de reservas.
+ * @method reservationsCsv
+ * @param {Object[]} list
+ * @return {string} CSV
+ */
+const reservationsCsv = (list) => toCsv(
+    ["code", "status", "created", "first_name", "last_name", "email", "phone", "country", "checkin", "checkout",
+        "nights", "adults", "children", "rooms", "plan", "total", "paid", "balance_due", "currency", "guest_requests"],
+    list.map((r) => [
+        r.code, r.status, r.createdAt, r.guest.firstName, r.guest.lastName, r.guest.email, r.guest.phone, r.guest.country,
+        r.checkin, r.checkout, r.nights, r.party?.adults ?? "", r.party?.childAges?.length ?? "",
+        r.rooms.map((room) => `${room.qty}x ${room.id}`).join(" "), r.plan?.id || "",
+        r.total, r.amountPaid, r.balanceDue || 0, r.currency,
+        (r.roomGuests || []).map((g) => [g.leadName, g.arrival, g.bed, g.dietary, g.request].filter(Boolean).join(" / ")).join(" | "),
+    ])
+);
+
+/**
+ * Columnas del CSV de mensajes.
+ * @method messagesCsv
+ * @param {Object[]} list
+ * @return {string} CSV
+ */
+const messagesCsv = (list) => toCsv(
+    ["id", "received", "status", "first_name", "last_name", "email", "country_code", "phone", "message"],
+    list.map((m) => [m.id, m.createdAt, m.status || "new", m.fname, m.lname, m.email, m.ccode, m.phone, m.message])
+);
+
+/* Habitaciones */
+
+/**
+ * Formulario de una habitación: tarifa, stock, foto de la tarjeta, textos por idioma y galería.
+ * @method renderRoomForm
+ * @param {Object} room - Del catálogo editado.
+ * @return {string} HTML
+ */
+const renderRoomForm = (room) => {
+    const v = (value) => escapeHtml(value ?? "");
+    const langs = Object.entries(LANGS).map(([lang, {label}]) => {
+        const c = room.copy[lang] || {};
+        const id = (field) => `room-${lang}-${field}`;
+        return `
+      <fieldset class="admin-lang">
+        <legend>${v(label)}</legend>
+        <div class="field"><label for="${id("title")}">${t("admin.rooms.name")}</label>
+          <input id="${id("title")}" data-lang="${lang}" data-field="title" maxlength="120" value="${v(c.title)}"></div>
+        <div class="field"><label for="${id("capacity")}">${t("admin.rooms.capacity")}</label>
+          <input id="${id("capacity")}" data-lang="${lang}" data-field="capacity" maxlength="120" value="${v(c.capacity)}"></div>
+        <div class="field"><label for="${id("one")}">${t("admin.rooms.countOne")}</label>
+          <input id="${id("one")}" data-lang="${lang}" data-field="one" maxlength="120" value="${v(c.count?.one)}"
+                 aria-describedby="room-count-hint"></div>
+        <div class="field"><label for="${id("other")}">${t("admin.rooms.countOther")}</label>
+          <input id="${id("other")}" data-lang="${lang}" data-field="other" maxlength="120" value="${v(c.count?.other)}"
+                 aria-describedby="room-count-hint"></div>
+        <div class="field field-full"><label for="${id("desc")}">${t("admin.rooms.desc")}</label>
+          <textarea id="${id("desc")}" data-lang="${lang}" data-field="desc" rows="3" maxlength="1000">${v(c.desc)}</textarea></div>
+        <div class="field field-full"><label for="${id("amenities")}">${t("admin.rooms.amenities")}</label>
+          <textarea id="${id("amenities")}" data-lang="${lang}" data-field="amenities" rows="5">${v((c.amenities || []).join("\n"))}</textarea></div>
+      </fieldset>`;
+    }).join("");
+    return `
+      <div class="pay-form">
+        <div class="field"><label for="room-rate">${t("admin.rooms.rate")}</label>
+          <input id="room-rate" type="number" min="1" step="0.01" inputmode="decimal" required value="${v(room.rate)}"></div>
+        <div class="field"><label for="room-stock">${t("admin.rooms.stock")}</label>
+          <input id="room-stock" type="number" min="0" max="999" step="1" inputmode="numeric" required value="${v(room.stock)}"></div>
+        <div class="field field-full"><label for="room-image">${t("admin.rooms.image")}</label>
+          <input id="room-image" value="${v(room.image)}"></div>
+      </div>
+      <p class="muted" id="room-count-hint">${t("admin.rooms.countHint")}</p>
+      ${langs}
+      <fieldset class="admin-gallery">
+        <legend>${t("admin.rooms.gallery")}</legend>
+        <ol class="admin-photos">${(room.gallery || []).map((photo, i) => renderPhotoRow(photo, i)).join("")}</ol>
+        <div class="admin-actions">
+          <button type="button" class="link-like" data-action="photo-add">${t("admin.rooms.photoAdd")}</button>
+          <label class="link-like admin-upload">${t("admin.rooms.photoUpload")}
+            <input type="file" accept="image/*" data-action="photo-upload" class="sr-only"></label>
+        </div>
+      </fieldset>
+      <div class="admin-actions">
+        <button type="submit" class="btn-primary">${t("admin.save")}</button>
+        <button type="button" class="link-like" data-action="room-reset">${t("admin.rooms.reset")}</button>
+      </div>`;
+};
+
+/**
+ * Una foto de la galería: vista previa, ruta y texto alternativo por idioma.
+ * @method renderPhotoRow
+ * @param {{src:string, alt:Object<string, string>}} photo
+ * @param {number} i
+ * @return {string} HTML
+ */
+const renderPhotoRow = (photo, i) => `
+      <li class="admin-photo">
+        <img src="${escapeHtml(photo.src)}" alt="" loading="lazy">
+        <div class="field"><label for="photo-${i}-src">${t("admin.rooms.photoSrc")}</label>
+          <input id="photo-${i}-src" data-photo="${i}" data-field="src" value="${escapeHtml(photo.src)}"></div>
+        ${Object.entries(LANGS).map(([lang, {label}]) => `
+        <div class="field"><label for="photo-${i}-${lang}">${t("admin.rooms.photoAlt", {lang: label})}</label>
+          <input id="photo-${i}-${lang}" data-photo="${i}" data-field="${lang}" maxlength="200" value="${escapeHtml(photo.alt?.[lang])}"></div>`).join("")}
+        <button type="button" class="link-like" data-action="photo-remove" data-photo="${i}">${t("admin.rooms.photoRemove")}</button>
+      </li>`;
+
+/**
+ * Lee el formulario de una habitación con la forma de saveRoomEdit.
+ * @method readRoomForm
+ * @param {HTMLFormElement} form
+ * @return {Object}
+ */
+const readRoomForm = (form) => {
+    const value = (id) => form.querySelector(`#${id}`)?.value.trim() || "";
+    const copy = Object.fromEntries(Object.keys(LANGS).map((lang) => {
+        const field = (name) => form.querySelector(`[data-lang="${lang}"][data-field="${name}"]`)?.value.trim() || "";
+        return [lang, {
+            title: field("title"),
+            capacity: field("capacity"),
+            desc: field("desc"),
+            count: {one: field("one"), other: field("other")},
+            amenities: field("amenities").split("\n").map((a) => a.trim()).filter(Boolean),
+        }];
+    }));
+    const gallery = readPhotoRows(form).filter((photo) => photo.src);
+    return {rate: Number(value("room-rate")), stock: Number(value("room-stock")), image: value("room-image"), gallery, copy};
+};
+
+/**
+ * Fotos de la galería tal como están en el formulario (también las que aún no tienen ruta).
+ * @method readPhotoRows
+ * @param {HTMLFormElement} form
+ * @return {{src:string, alt:Object<string, string>}[]}
+ */
+const readPhotoRows = (form) => Array.from(form.querySelectorAll(".admin-photo"), (row) => {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`)?.value.trim() || "";
+    return {src: field("src"), alt: Object.fromEntries(Object.keys(LANGS).map((lang) => [lang, field(lang)]))};
+});
+
+/** Tope de una foto subida desde la consola (se guarda como data URL junto con el resto). */
+const PHOTO_UPLOAD_MAX = 400 * 1024;
+
+/* Consola */
+
+document.addEventListener("DOMContentLoaded", () => {
+    const loginBox = document.getElementById("admin-login");
+    const loginForm = document.getElementById("admin-login-form");
+    const consoleEl = document.getElementById("admin-console");
+    if (!loginForm || !consoleEl) return;
+
+    const api = getAdminApi();
+    const loginError = document.getElementById("admin-login-error");
+    const logoutBtn = document.getElementById("admin-logout");
+    const modeEl = document.getElementById("admin-mode");
+    const renderMode = () => {
+        if (modeEl) modeEl.textContent = t(api.name === "local" ? "admin.login.demo" : "admin.login.server");
+    };
+    renderMode();
+
+    /**
+     * Muestra un estado en un <p role="status"> de la consola.
+     * @param {HTMLElement|null} el
+     * @param {string} message - "" lo oculta.
+     * @param {boolean} [error]
+     */
+    const setStatus = (el, message, error = false) => {
+        if (!el) return;
+        el.hidden = !message;
+        el.textContent = message;
+        el.classList.toggle("is-error", error);
+    };
+
+    const showLogin = (message = "") => {
+        sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+        consoleEl.hidden = true;
+        loginBox.hidden = false;
+        if (logoutBtn) logoutBtn.hidden = true;
+        setStatus(loginError, message, true);
+        document.getElementById("admin-password")?.focus();
+    };
+
+    /**
+     * Resultado de la API: si la sesión venció vuelve al acceso; si falló, lo muestra en `el`.
+     * @return {boolean} true si salió bien.
+     */
+    const handle = (result, el) => {
+        if (result.ok) return true;
+        if (result.code === "unauthorized") showLogin(t("admin.sessionExpired"));
+        else setStatus(el, result.code === "invalid" ? t("admin.invalid") : apiErrorText(result.code), true);
+        return false;
+    };
+
+    /* Pestañas */
+    const tabs = Array.from(consoleEl.querySelectorAll('[role="tab"]'));
+    const selectTab = (tab, focus = false) => {
+        tabs.forEach((tb) => {
+            const selected = tb === tab;
+            tb.setAttribute("aria-selected", String(selected));
+            tb.tabIndex = selected ? 0 : -1;
+            document.getElementById(tb.getAttribute("aria-controls")).hidden = !selected;
+        });
+        if (focus) tab.focus();
+        loaders[tab.dataset.tab]?.();
+    };
+    tabs.forEach((tab) => {
+        tab.addEventListener("click", () => selectTab(tab));
+        tab.addEventListener("keydown", (e) => {
+            const i = tabs.indexOf(tab);
+            const next = {ArrowRight: i + 1, ArrowLeft: i - 1, Home: 0, End: tabs.length - 1}[e.key];
+            if (next === undefined) return;
+            e.preventDefault();
+            selectTab(tabs[(next + tabs.length) % tabs.length], true);
+        });
+    });
+
+    /* Habitaciones */
+    const roomSelect = document.getElementById("admin-room");
+    const roomForm = document.getElementById("room-form");
+    const roomStatus = document.getElementById("room-status");
+    let rooms = [];
+    const currentRoom = () => rooms.find((room) => room.id === roomSelect.value);
+    const renderRoomSelect = () => {
+        const selected = roomSelect.value;
+        roomSelect.innerHTML = rooms.map((room) => {
+            const title = (room.copy[getLang()] || room.copy.en).title;
+            return `<option value="${escapeHtml(room.id)}">${escapeHtml(title)}</option>`;
+        }).join("");
+        if (rooms.some((room) => room.id === selected)) roomSelect.value = selected;
+    };
+    const renderRoom = (room = currentRoom()) => {
+        roomForm.innerHTML = room ? renderRoomForm(room) : "";
+    };
+    const loadRooms = async () => {
+        const result = await api.rooms();
+        if (!handle(result, roomStatus)) return;
+        rooms = result.rooms;
+        renderRoomSelect();
+        renderRoom();
+    };
+    roomSelect.addEventListener("change", () => {
+        setStatus(roomStatus, "");
+        renderRoom();
+    });
+    roomForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const edit = readRoomForm(roomForm);
+        if (!(edit.rate > 0) || !Number.isInteger(edit.stock) || edit.stock < 0) {
+            setStatus(roomStatus, t("admin.rooms.numbers"), true);
+            return;
+        }
+        const result = await api.saveRoom(roomSelect.value, edit);
+        if (!handle(result, roomStatus)) return;
+        await loadRooms();
+        setStatus(roomStatus, t("admin.rooms.saved"));
+    });
+    roomForm.addEventListener("click", async (e) => {
+        const btn = e.target.closest("[data-action]");
+        if (!btn) return;
+        if (btn.dataset.action === "photo-add" || btn.dataset.action === "photo-remove") {
+            // se relee el formulario para no perder lo que se escribió
+            const room = {...currentRoom(), ...readRoomForm(roomForm), gallery: readPhotoRows(roomForm)};
+            if (btn.dataset.action === "photo-add") room.gallery.push({src: "", alt: {}});
+            else room.gallery.splice(Number(btn.dataset.photo), 1);
+            renderRoom(room);
+            roomForm.querySelector(btn.dataset.action === "photo-add" ? ".admin-photo:last-child input" : '[data-action="photo-add"]')?.focus();
+        }
+        if (btn.dataset.action === "room-reset") {
+            if (!window.confirm(t("admin.rooms.resetConfirm"))) return;
+            const result = await api.saveRoom(roomSelect.value, null);
+            if (!handle(result, roomStatus)) return;
+            await loadRooms();
+            setStatus(roomStatus, t("admin.rooms.resetDone"));
+        }
+    });
+    roomForm.addEventListener("change", (e) => {
+        const input = e.target.closest('[data-action="photo-upload"]');
+        if (input?.files?.[0]) {
+            const file = input.files[0];
+            if (file.size > PHOTO_UPLOAD_MAX) {
+                setStatus(roomStatus, t("admin.rooms.photoTooBig", {max: `${PHOTO_UPLOAD_MAX / 1024} KB`}), true);
+                input.value = "";
+                return;
+            }
+            const reader = new FileReader();
+            reader.addEventListener("load", () => {
+                roomForm.querySelector('[data-action="photo-add"]').click();
+                const src = roomForm.querySelector(".admin-photo:last-child [data-field=\"src\"]");
+                src.value = String(reader.result);
+                src.closest(".admin-photo").querySelector("img").src = src.value;
+                setStatus(roomStatus, "");
+            });
+            reader.readAsDataURL(file);
+            return;
+        }
+        const src = e.target.closest('.admin-photo [data-field="src"]');
+        if (src) src.closest(".admin-photo").querySelector("img").src = src.value;
+    });
+
+    /* Tarifas e inventario */
+    const invForm = document.getElementById("inventory-form");
+    const invStatus = document.getElementById("inv-status");
+    const invGrid = document.getElementById("inventory-grid");
+    const invMonth = document.getElementById("inv-month");
+    const invRooms = document.getElementById("inv-rooms");
+    let month = new Date();
+    month.setDate(1);
+    month.setHours(0, 0, 0, 0);
+    let monthInventory = {};
+    const renderRoomChecks = () => {
+        const legend = invRooms.querySelector("legend").outerHTML;
+        const checked = new Set(Array.from(invRooms.querySelectorAll("input:checked"), (i) => i.value));
+        invRooms.innerHTML = legend + Object.keys(ROOMS_DB).map((id) => `
+          <label><input type="checkbox" name="rooms" value="${id}" ${checked.has(id) ? "checked" : ""}> ${escapeHtml(getRoomCopy(id).title)}</label>`).join("");
+    };
+    const renderGrid = () => {
+        const next = new Date(month);
+        next.setMonth(next.getMonth() + 1);
+        invMonth.textContent = month.toLocaleDateString(LANGS[getLang()].locale, {month: "long", year: "numeric"});
+        const ids = Object.keys(ROOMS_DB);
+        invGrid.innerHTML = `
+          <table class="admin-table admin-inventory">
+            <thead><tr><th scope="col">${t("admin.inv.night")}</th>${ids.map((id) => `<th scope="col">${escapeHtml(getRoomCopy(id).title)}</th>`).join("")}</tr></thead>
+            <tbody>${eachNight(month, next).map((iso) => `
+              <tr><th scope="row">${formatDate(iso, {weekday: "short", day: "numeric", month: "short"})}</th>${ids.map((id) => {
+                const {total, sold, free} = getNightStock(monthInventory, iso, id);
+                const custom = Number(monthInventory[iso]?.[id]?.rate) > 0;
+                const stockSet = monthInventory[iso]?.[id]?.total !== undefined && total !== ROOM_STOCK[id];
+                const price = nightlyRate(id, iso, monthInventory).price;
+                return `<td class="${free === 0 ? "is-full" : ""} ${stockSet ? "is-custom-stock" : ""}">
+                  ${sold} / ${total} · ${formatMoney(price, SETTLEMENT_CURRENCY)}${custom ? "*" : ""}</td>`;
+            }).join("")}</tr>`).join("")}
+            </tbody>
+          </table>`;
+    };
+    const loadInventoryMonth = async () => {
+        const next = new Date(month);
+        next.setMonth(next.getMonth() + 1);
+        const result = await api.inventory({from: toISODate(month), to: toISODate(next)});
+        if (!handle(result, invStatus)) return;
+        monthInventory = result.inventory;
+        renderRoomChecks();
+        renderGrid();
+    };
+    const applyInventory = async (change) => {
+        const result = await api.setInventory(change);
+        if (!handle(result, invStatus)) return;
+        setStatus(invStatus, t("admin.inv.saved", {count: result.nights}));
+        await loadInventoryMonth();
+    };
+    invForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        const total = invForm.elements.total.value.trim();
+        const rate = invForm.elements.rate.value.trim();
+        const change = {
+            from: invForm.elements.from.value,
+            to: invForm.elements.to.value,
+            rooms: Array.from(invRooms.querySelectorAll("input:checked"), (i) => i.value),
+        };
+        if (total) change.total = Number(total);
+        if (rate) change.rate = Number(rate);
+        if (!total && !rate) {
+            setStatus(invStatus, t("admin.inv.nothing"), true);
+            return;
+        }
+        applyInventory(change);
+    });
+    invForm.addEventListener("click", (e) => {
+        if (!e.target.closest('[data-action="inv-reset"]')) return;
+        applyInventory({
+            from: invForm.elements.from.value,
+            to: invForm.elements.to.value,
+            rooms: Array.from(invRooms.querySelectorAll("input:checked"), (i) => i.value),
+            total: null,
+            rate: null,
+        });
+    });
+    document.getElementById("panel-inventory").addEventListener("click", (e) => {
+        const btn = e.target.closest('[data-action="inv-prev"], [data-action="inv-next"]');
+        if (!btn) return;
+        month.setMonth(month.getMonth() + (btn.dataset.action === "inv-next" ? 1 : -1));
+        month = new Date(month);
+        loadInventoryMonth();
+    });
+
+    /* Reservas */
+    const resTable = document.getElementById("res-table");
+    const resCount = document.getElementById("res-count");
+    const resStatusSel = document.getElementById("res-status");
+    let reservations = [];
+    const renderStatusOptions = (select, statuses, prefix) => {
+        const selected = select.value;
+        select.innerHTML = `<option value="">${t("admin.all")}</option>`
+            + statuses.map((s) => `<option value="${s}">${t(`${prefix}.${s}`)}</option>`).join("");
+        select.value = selected;
+    };
+    const filteredReservations = () => {
+        const q = document.getElementById("res-search").value.trim().toLowerCase();
+        const status = resStatusSel.value;
+        const from = document.getElementById("res-from").value;
+        const to = document.getElementById("res-to").value;
+        return reservations
+            .filter((r) => !status || r.status === status)
+            .filter((r) => (!from || r.checkin >= from) && (!to || r.checkin <= to))
+            .filter((r) => !q || [r.code, r.guest.firstName, r.guest.lastName, `${r.guest.firstName} ${r.guest.lastName}`,
+                r.guest.email, ...(r.roomGuests || []).map((g) => g.leadName)].some((s) => String(s || "").toLowerCase().includes(q)))
+            .sort((a, b) => a.checkin.localeCompare(b.checkin) || a.code.localeCompare(b.code));
+    };
+    // una pendiente de pago se confirma o se cancela; una confirmada pasa a check-in o no-show
+    const resActions = (r) => (r.status === "pending_payment"
+        ? [["confirmed", "admin.res.confirmPayment"], ["cancelled", "admin.res.cancel"]]
+        : [["checked_in", "admin.res.checkIn"], ["no_show", "admin.res.noShow"]]);
+    const renderReservations = () => {
+        const list = filteredReservations();
+        resCount.textContent = t("admin.res.count", {count: list.length});
+        resTable.innerHTML = !list.length ? `<p class="muted">${t("admin.empty")}</p>` : `
+          <table class="admin-table">
+            <thead><tr>
+              <th scope="col">${t("lookup.code")}</th><th scope="col">${t("lookup.guest")}</th>
+              <th scope="col">${t("admin.res.stay")}</th><th scope="col">${t("conf.rooms")}</th>
+              <th scope="col">${t("summary.total")}</th><th scope="col">${t("lookup.status")}</th>
+              <th scope="col">${t("admin.actions")}</th>
+            </tr></thead>
+            <tbody>${list.map((r) => `
+              <tr>
+                <th scope="row"><a href="confirmation.html?code=${encodeURIComponent(r.code)}" class="link-like">${escapeHtml(r.code)}</a></th>
+                <td>${escapeHtml(`${r.guest.firstName} ${r.guest.lastName}`)}<br><span class="muted">${escapeHtml(r.guest.email)}</span></td>
+                <td>${formatDate(r.checkin)} – ${formatDate(r.checkout)}<br><span class="muted">${t("unit.night", {count: r.nights})}${r.party ? ` · ${describeParty(r.party)}` : ""}</span></td>
+                <td>${r.rooms.map((room) => escapeHtml(roomCountLabel(room.id, room.qty))).join("<br>")}</td>
+                <td>${formatMoney(r.total, r.currency)}${r.balanceDue ? `<br><span class="muted">${t("plan.dueAtHotel")}: ${formatMoney(r.balanceDue, r.currency)}</span>` : ""}</td>
+                <td><span class="res-status is-${escapeHtml(r.status)}">${t(`lookup.status.${r.status}`)}</span></td>
+                <td class="admin-row-actions">${resActions(r).map(([status, label]) => `
+                  <button type="button" class="link-like" data-action="res-status" data-status="${status}" data-code="${escapeHtml(r.code)}"
+                          ${canSetReservationStatus(r, status) ? "" : "disabled"}>${t(label)}</button>`).join("")}
+                </td>
+              </tr>`).join("")}
+            </tbody>
+          </table>`;
+    };
+    const loadReservationList = async () => {
+        const result = await api.reservations();
+        if (!handle(result, resCount)) return;
+        reservations = result.reservations;
+        renderReservations();
+    };
+    document.getElementById("res-filters").addEventListener("input", renderReservations);
+    document.getElementById("res-filters").addEventListener("submit", (e) => e.preventDefault());
+    resTable.addEventListener("click", async (e) => {
+        const btn = e.target.closest('[data-action="res-status"]');
+        if (!btn) return;
+        const {code, status} = btn.dataset;
+        if (status === "no_show" && !window.confirm(t("admin.res.noShowConfirm", {code}))) return;
+        if (status === "cancelled" && !window.confirm(t("admin.res.cancelConfirm", {code}))) return;
+        btn.disabled = true;
+        const result = await api.setReservationStatus(code, status);
+        if (!handle(result, resCount)) {
+            btn.disabled = false;
+            return;
+        }
+        reservations = reservations.map((r) => (r.code === code ? result.reservation : r));
+        renderReservations();
+        announce(t("admin.res.updated", {code, status: t(`lookup.status.${status}`)}));
+    });
+
+    /* Mensajes */
+    const msgTable = document.getElementById("msg-table");
+    const msgCount = document.getElementById("msg-count");
+    const msgStatusSel = document.getElementById("msg-status");
+    let messages = [];
+    const filteredMessages = () => {
+        const q = document.getElementById("msg-search").value.trim().toLowerCase();
+        const status = msgStatusSel.value;
+        return messages
+            .filter((m) => !status || (m.status || "new") === status)
+            .filter((m) => !q || [m.fname, m.lname, `${m.fname} ${m.lname}`, m.email, m.message]
+                .some((s) => String(s || "").toLowerCase().includes(q)))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    };
+    const renderMessages = () => {
+        const list = filteredMessages();
+        msgCount.textContent = t("admin.msg.count", {count: list.length});
+        msgTable.innerHTML = !list.length ? `<p class="muted">${t("admin.empty")}</p>` : `
+          <table class="admin-table">
+            <thead><tr>
+              <th scope="col">${t("admin.msg.received")}</th><th scope="col">${t("admin.msg.from")}</th>
+              <th scope="col">${t("admin.msg.message")}</th><th scope="col">${t("lookup.status")}</th>
+              <th scope="col">${t("admin.actions")}</th>
+            </tr></thead>
+            <tbody>${list.map((m) => {
+                const handled = m.status === "handled";
+                return `
+              <tr>
+                <td>${formatDate(m.createdAt.slice(0, 10))}</td>
+                <th scope="row">${escapeHtml(`${m.fname} ${m.lname}`)}<br>
+                  <a class="link-like" href="mailto:${escapeHtml(m.email)}">${escapeHtml(m.email)}</a>
+                  ${m.phone ? `<br><span class="muted">${escapeHtml(`${m.ccode || ""} ${m.phone}`.trim())}</span>` : ""}</th>
+                <td class="admin-message">${escapeHtml(m.message) || `<span class="muted">—</span>`}</td>
+                <td><span class="res-status is-msg-${handled ? "handled" : "new"}">${t(`admin.msg.status.${handled ? "handled" : "new"}`)}</span></td>
+                <td class="admin-row-actions">
+                  <button type="button" class="link-like" data-action="msg-status" data-id="${escapeHtml(m.id)}"
+                          data-status="${handled ? "new" : "handled"}">${t(handled ? "admin.msg.markNew" : "admin.msg.markHandled")}</button>
+                </td>
+              </tr>`;
+            }).join("")}
+            </tbody>
+          </table>`;
+    };
+    const loadMessageList = async () => {
+        const result = await api.messages();
+        if (!handle(result, msgCount)) return;
+        messages = result.messages;
+        renderMessages();
+    };
+    document.getElementById("msg-filters").addEventListener("input", renderMessages);
+    document.getElementById("msg-filters").addEventListener("submit", (e) => e.preventDefault());
+    msgTable.addEventListener("click", async (e) => {
+        const btn = e.target.closest('[data-action="msg-status"]');
+        if (!btn) return;
+        const {id, status} = btn.dataset;
+        const result = await api.setMessageStatus(id, status);
+        if (!handle(result, msgCount)) return;
+        messages = messages.map((m) => (m.id === id ? result.message : m));
+        renderMessages();
+    });
+
+    consoleEl.addEventListener("click", (e) => {
+        const btn = e.target.closest('[data-action="res-export"], [data-action="msg-export"]');
+        if (!btn) return;
+        const today = toISODate(new Date());
+        if (btn.dataset.action === "res-export") downloadCsv(`reservations-${today}.csv`, reservationsCsv(filteredReservations()));
+        else downloadCsv(`messages-${today}.csv`, messagesCsv(filteredMessages()));
+    });
+
+    const loaders = {rooms: loadRooms, inventory: loadInventoryMonth, reservations: loadReservationList, messages: loadMessageList};
+
+    /* Sesión */
+    const showConsole = () => {
+        loginBox.hidden = true;
+        consoleEl.hidden = false;
+        if (logoutBtn) logoutBtn.hidden = false;
+        renderStatusOptions(resStatusSel, RESERVATION_STATUSES, "lookup.status");
+        renderStatusOptions(msgStatusSel, MESSAGE_STATUSES, "admin.msg.status");
+        selectTab(tabs.find((tab) => tab.getAttribute("aria-selected") === "true") || tabs[0]);
+    };
+
+    loginForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const input = loginForm.elements.password;
+        const submitBtn = loginForm.querySelector('[type="submit"]');
+        submitBtn.disabled = true;
+        const result = await api.login(input.value);
+        submitBtn.disabled = false;
+        input.value = "";
+        if (!result.ok) {
+            const message = {
+                unauthorized: () => t("admin.login.failed"),
+                too_many: () => t("admin.login.tooMany", {count: Math.max(1, Math.ceil((result.retryAfter || 0) / 60))}),
+            }[result.code];
+            setStatus(loginError, message ? message() : apiErrorText(result.code), true);
+            input.focus();
+            return;
+        }
+        sessionStorage.setItem(ADMIN_TOKEN_KEY, result.token);
+        setStatus(loginError, "");
+        showConsole();
+    });
+
+    logoutBtn?.addEventListener("click", async () => {
+        await api.logout();
+        showLogin();
+    });
+
+    document.addEventListener("sb:langchange", () => {
+        renderMode();
+        if (consoleEl.hidden) return;
+        renderStatusOptions(resStatusSel, RESERVATION_STATUSES, "lookup.status");
+        renderStatusOptions(msgStatusSel, MESSAGE_STATUSES, "admin.msg.status");
+        renderRoomSelect();
+        renderRoom();
+        renderRoomChecks();
+        renderGrid();
+        renderReservations();
+        renderMessages();
+    });
+
+    if (sessionStorage.getItem(ADMIN_TOKEN_KEY)) showConsole();
+});
@@ -10,17 +10,209 @@
  */
 
 
+/* Idiomas */
+
+/** Idiomas disponibles y el locale que usan para fechas y números. */
+const LANGS = {
+    en: {locale: "en-US", label: "EN"},
+    es: {locale: "es-AR", label: "ES"},
+    el: {locale: "el-GR", label: "ΕΛ"},
+};
+
+const LANG_KEY = "sb_lang";
+
 /**
- * Formatea un número como precio en USD.
- * @method formatPrice
- * @param {number} amount - Monto a formatear.
- * @return {string} Precio formateado.
+ * Idioma elegido (por defecto inglés).
+ * @method getLang
+ * @return {"en"|"es"|"el"}
+ */
+const getLang = () => {
+    const lang = localStorage.getItem(LANG_KEY);
+    return LANGS[lang] ? lang : "en";
+};
+
+/**
+ * Elige la forma plural según las reglas del idioma.
+ * @method selectPlural
+ * @param {Object<string,string>} forms - {one, few, many, other...}
+ * @param {number} count
+ * @param {string} [lang]
+ * @return {string}
+ */
+const selectPlural = (forms, count, lang = getLang()) =>
+    forms[new Intl.PluralRules(LANGS[lang].locale).select(count)] ?? forms.other;
+
+/**
+ * Traduce una clave del catálogo I18N (js/i18n.js) e interpola {params}.
+ * Si el texto tiene formas plurales se elige con params.count.
+ * @method t
+ * @param {string} key - Clave "seccion.nombre".
+ * @param {Object<string, (string|number)>} [params]
+ * @return {string} Texto traducido (o la clave si no existe).
+ */
+const t = (key, params = {}) => {
+    const lang = getLang();
+    let msg = I18N[lang]?.[key] ?? I18N.en[key];
+    if (msg === undefined) return key;
+    if (typeof msg === "object") msg = selectPlural(msg, Number(params.count) || 0, lang);
+    return msg.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+};
+
+/**
+ * Fecha yyyy-mm-dd legible en el idioma elegido.
+ * @method formatDate
+ * @param {string} iso - Fecha ISO.
+ * @param {Intl.DateTimeFormatOptions} [opts]
+ * @return {string}
+ */
+const formatDate = (iso, opts = {day: "numeric", month: "short", year: "numeric"}) => {
+    const d = parseISODate(iso);
+    return d ? d.toLocaleDateString(LANGS[getLang()].locale, opts) : "—";
+};
+
+/**
+ * Une una lista en el idioma elegido ("A, B y C" / "A, B o C").
+ * @method formatList
+ * @param {Array<string|number>} items
+ * @param {"conjunction"|"disjunction"} [type]
+ * @return {string}
+ */
+const formatList = (items, type = "conjunction") =>
+    new Intl.ListFormat(LANGS[getLang()].locale, {type}).format(items.map(String));
+
+/**
+ * Aplica las traducciones del HTML estático:
+ * - data-i18n="clave" → textContent
+ * - data-i18n-attr="atributo:clave; otro:clave" → atributos (placeholder, aria-label, alt…)
+ * @method applyTranslations
+ * @param {ParentNode} [root=document]
+ * @return {void}
+ */
+const applyTranslations = (root = document) => {
+    document.documentElement.lang = getLang();
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll("[data-i18n-attr]").forEach((el) => {
+        el.dataset.i18nAttr.split(";").forEach((pair) => {
+            const [attr, key] = pair.split(":").map((x) => x.trim());
+            if (attr && key) el.setAttribute(attr, t(key));
+        });
+    });
+};
+
+/**
+ * Selector de idioma del nav (#lang). Al cambiar vuelve a traducir
+ * y avisa con el evento "sb:langchange" para repintar lo dinámico.
+ * @method initLanguageSwitcher
+ * @return {void}
+ */
+const initLanguageSwitcher = () => {
+    const sel = document.getElementById("lang");
+    if (sel) {
+        sel.innerHTML = Object.entries(LANGS)
+            .map(([code, l]) => `<option value="${code}">${l.label}</option>`)
+            .join("");
+        sel.value = getLang();
+        sel.addEventListener("change", () => {
+            localStorage.setItem(LANG_KEY, sel.value);
+            applyTranslations();
+            document.dispatchEvent(new CustomEvent("sb:langchange"));
+        });
+    }
+    applyTranslations();
+};
+
+document.addEventListener("DOMContentLoaded", initLanguageSwitcher);
+
+
+/* Monedas */
+
+/** Moneda de las tarifas y en la que se cobra. */
+const SETTLEMENT_CURRENCY = "USD";
+
+/**
+ * Tipos de cambio mantenidos a mano (unidades por 1 USD) y locale de formato.
+ * Actualizar `CURRENCY_RATES_DATE` cada vez que se tocan.
+ */
+const CURRENCIES = {
+    USD: {rate: 1, locale: "en-US"},
+    EUR: {rate: 0.92, locale: "el-GR"},
+    GBP: {rate: 0.79, locale: "en-GB"},
+    ARS: {rate: 1450, locale: "es-AR"},
+};
+const CURRENCY_RATES_DATE = "2026-10-01";
+
+const CURRENCY_KEY = "sb_currency";
+
+/**
+ * Moneda elegida por el huésped (por defecto la de cobro).
+ * @method getCurrency
+ * @return {string} Código ISO 4217.
+ */
+const getCurrency = () => {
+    const code = localStorage.getItem(CURRENCY_KEY);
+    return CURRENCIES[code] ? code : SETTLEMENT_CURRENCY;
+};
+
+/**
+ * Formatea un importe en una moneda con su locale (sin convertir).
+ * @method formatMoney
+ * @param {number} amount - Monto ya expresado en `currency`.
+ * @param {string} currency - Código ISO 4217.
+ * @return {string}
  */
-const formatPrice = (amount) =>
-    new Intl.NumberFormat("en-US", {style: "currency", currency: "USD"}).format(
+const formatMoney = (amount, currency) =>
+    new Intl.NumberFormat(CURRENCIES[currency]?.locale || "en-US", {style: "currency", currency}).format(
         Number(amount) || 0
     );
 
+/**
+ * Formatea un monto en USD convertido a la moneda elegida.
+ * @method formatPrice
+ * @param {number} amount - Monto en USD.
+ * @return {string} Precio formateado.
+ */
+const formatPrice = (amount) => {
+    const currency = getCurrency();
+    return formatMoney((Number(amount) || 0) * CURRENCIES[currency].rate, currency);
+};
+
+/**
+ * Aclaración de que los importes convertidos son estimados ("" si se ve la moneda de cobro).
+ * @method currencyNote
+ * @return {string}
+ */
+const currencyNote = () => {
+    const currency = getCurrency();
+    if (currency === SETTLEMENT_CURRENCY) return "";
+    return t("fx.note", {
+        currency,
+        base: SETTLEMENT_CURRENCY,
+        rate: CURRENCIES[currency].rate,
+        date: formatDate(CURRENCY_RATES_DATE),
+    });
+};
+
+/**
+ * Llena el select #currency y guarda la elección.
+ * @method bindCurrencySelect
+ * @param {function():void} onChange - Vuelve a pintar precios.
+ * @return {void}
+ */
+const bindCurrencySelect = (onChange) => {
+    const sel = document.getElementById("currency");
+    if (!sel) return;
+    sel.innerHTML = Object.keys(CURRENCIES)
+        .map((code) => `<option value="${code}" data-i18n="currency.${code}">${t(`currency.${code}`)}</option>`)
+        .join("");
+    sel.value = getCurrency();
+    sel.addEventListener("change", () => {
+        localStorage.setItem(CURRENCY_KEY, sel.value);
+        onChange();
+    });
+};
+
 
 /**
  * Parsea una fecha (yyyy-mm-dd) a Date.
@@ -47,6 +239,1267 @@ const calcNights = (checkIn, checkOut) => {
     return ms > 0 ? Math.ceil(ms / (1000 * 60 * 60 * 24)) : 0;
 };
 
+/**
+ * Convierte un Date a texto yyyy-mm-dd (hora local, sin corrimiento UTC).
+ * @method toISODate
+ * @param {Date} d - Fecha.
+ * @return {string} Fecha ISO.
+ */
+const toISODate = (d) => {
+    const mm = String(d.getMonth() + 1).padStart(2, "0");
+    const dd = String(d.getDate()).padStart(2, "0");
+    return `${d.getFullYear()}-${mm}-${dd}`;
+};
+
+/**
+ * Lista las noches de una estadía: desde check-in (incluido) hasta check-out (excluido).
+ * @method eachNight
+ * @param {Date} checkIn - Fecha de ingreso.
+ * @param {Date} checkOut - Fecha de egreso.
+ * @return {string[]} Noches en formato yyyy-mm-dd.
+ */
+const eachNight = (checkIn, checkOut) => {
+    const nights = [];
+    if (!checkIn || !checkOut) return nights;
+    const d = new Date(checkIn);
+    while (d < checkOut) {
+        nights.push(toISODate(d));
+        d.setDate(d.getDate() + 1);
+    }
+    return nights;
+};
+
+
+/* Habitaciones */
+
+/**
+ * URL de la API de reservas (js/config.js); "" en modo sin servidor.
+ * @method siteApiUrl
+ * @return {string}
+ */
+const siteApiUrl = () => (typeof SITE_CONFIG !== "undefined" && SITE_CONFIG.apiUrl) || "";
+
+/**
+ * Cambios de la consola (admin.html) sobre ROOM_CATALOG: {id: {rate, stock, image, gallery, copy}}.
+ * Con servidor los aplica server/server.js, que sirve js/rooms.js ya actualizado.
+ */
+const ROOM_EDITS_KEY = "sb_room_edits";
+const ROOM_COPY_FIELDS = ["title", "capacity", "desc"];
+
+/**
+ * Lee los cambios guardados de las habitaciones.
+ * @method loadRoomEdits
+ * @return {Object<string, Object>}
+ */
+const loadRoomEdits = () => {
+    try {
+        return JSON.parse(localStorage.getItem(ROOM_EDITS_KEY) || "{}") || {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Limpia un cambio de habitación: solo los campos editables, con tipos y topes razonables.
+ * Lo que falta o no sirve queda como en el catálogo.
+ * @method cleanRoomEdit
+ * @param {Object} edit
+ * @return {{rate?:number, stock?:number, image?:string, gallery?:Object[], copy?:Object}}
+ */
+const cleanRoomEdit = (edit = {}) => {
+    const text = (v, max) => (typeof v === "string" ? v.trim().slice(0, max) : "");
+    const out = {};
+    const rate = Number(edit.rate);
+    if (Number.isFinite(rate) && rate > 0 && rate <= 100000) out.rate = Math.round(rate * 100) / 100;
+    if (Number.isInteger(edit.stock) && edit.stock >= 0 && edit.stock <= 999) out.stock = edit.stock;
+    if (text(edit.image, 500000)) out.image = text(edit.image, 500000);
+    const gallery = (Array.isArray(edit.gallery) ? edit.gallery : [])
+        .filter((photo) => text(photo?.src, 500000))
+        .slice(0, 12)
+        .map((photo) => ({
+            src: text(photo.src, 500000),
+            alt: Object.fromEntries(Object.keys(LANGS).map((lang) => [lang, text(photo.alt?.[lang], 200)])),
+        }));
+    if (gallery.length) out.gallery = gallery;
+    const copy = {};
+    Object.keys(LANGS).forEach((lang) => {
+        const src = edit.copy?.[lang];
+        if (!src) return;
+        const c = {};
+        ROOM_COPY_FIELDS.forEach((field) => {
+            if (text(src[field], field === "desc" ? 1000 : 120)) c[field] = text(src[field], field === "desc" ? 1000 : 120);
+        });
+        const one = text(src.count?.one, 120);
+        const other = text(src.count?.other, 120);
+        if (one && other) c.count = {one, other};
+        if (Array.isArray(src.amenities)) {
+            const amenities = src.amenities.map((a) => text(a, 80)).filter(Boolean).slice(0, 30);
+            if (amenities.length) c.amenities = amenities;
+        }
+        if (Object.keys(c).length) copy[lang] = c;
+    });
+    if (Object.keys(copy).length) out.copy = copy;
+    return out;
+};
+
+/**
+ * Aplica los cambios de la consola sobre el catálogo (modifica los objetos del catálogo).
+ * @method applyRoomEdits
+ * @param {Object[]} catalog - ROOM_CATALOG.
+ * @param {Object<string, Object>} edits - loadRoomEdits.
+ * @return {void}
+ */
+const applyRoomEdits = (catalog, edits) => catalog.forEach((room) => {
+    const edit = edits[room.id] ? cleanRoomEdit(edits[room.id]) : null;
+    if (!edit) return;
+    ["rate", "stock", "image", "gallery"].forEach((key) => {
+        if (key in edit) room[key] = edit[key];
+    });
+    Object.entries(edit.copy || {}).forEach(([lang, c]) => {
+        room.copy[lang] = {...room.copy[lang], ...c};
+    });
+});
+
+/**
+ * Guarda (o con null borra) los cambios de un tipo de habitación. Se ven al recargar las páginas.
+ * @method saveRoomEdit
+ * @param {string} id - Tipo de habitación.
+ * @param {Object|null} edit
+ * @return {{ok:true, edit:(Object|null)}|{ok:false, code:("not_found"|"invalid")}}
+ */
+const saveRoomEdit = (id, edit) => {
+    if (!ROOM_CATALOG.some((room) => room.id === id)) return {ok: false, code: "not_found"};
+    const edits = loadRoomEdits();
+    if (edit === null) {
+        delete edits[id];
+        localStorage.setItem(ROOM_EDITS_KEY, JSON.stringify(edits));
+        return {ok: true, edit: null};
+    }
+    const clean = cleanRoomEdit(edit);
+    if (!Object.keys(clean).length) return {ok: false, code: "invalid"};
+    edits[id] = clean;
+    localStorage.setItem(ROOM_EDITS_KEY, JSON.stringify(edits));
+    return {ok: true, edit: clean};
+};
+
+/** ROOM_CATALOG tal como está en js/rooms.js, antes de los cambios de la consola. */
+const ROOM_CATALOG_BASE = JSON.parse(JSON.stringify(ROOM_CATALOG));
+
+/**
+ * Catálogo con los cambios guardados ahora (la consola lo muestra después de cada cambio).
+ * @method editedRoomCatalog
+ * @return {Object[]} Copia de ROOM_CATALOG_BASE con loadRoomEdits aplicado.
+ */
+const editedRoomCatalog = () => {
+    const catalog = JSON.parse(JSON.stringify(ROOM_CATALOG_BASE));
+    applyRoomEdits(catalog, loadRoomEdits());
+    return catalog;
+};
+
+// sin servidor, los cambios de la consola viven en este navegador
+if (!siteApiUrl()) applyRoomEdits(ROOM_CATALOG, loadRoomEdits());
+
+/** ROOM_CATALOG (js/rooms.js) indexado por id. */
+const ROOMS_DB = Object.fromEntries(ROOM_CATALOG.map((room) => [room.id, room]));
+
+/**
+ * Input del stepper de un tipo de habitación.
+ * @method roomQtyInput
+ * @param {string} id - Tipo de habitación (id de ROOM_CATALOG).
+ * @return {HTMLInputElement|null}
+ */
+const roomQtyInput = (id) => document.querySelector(`input[name="${id}_qty"]`);
+
+/* Disponibilidad */
+
+/** Habitaciones que tiene el hotel por tipo (stock de cada noche salvo ajuste). */
+const ROOM_STOCK = Object.fromEntries(ROOM_CATALOG.map((room) => [room.id, room.stock]));
+
+/** Desde cuántas libres mostramos "Only N left". */
+const LOW_STOCK = 2;
+
+const INVENTORY_KEY = "sb_inventory";
+
+/**
+ * Lee el inventario guardado: { "yyyy-mm-dd": { std: {total, sold}, ... } }.
+ * Las noches sin entrada usan ROOM_STOCK y 0 vendidas.
+ * @method loadInventory
+ * @return {Object<string, Object<string, {total?:number, sold?:number}>>}
+ */
+const loadInventory = () => {
+    try {
+        return JSON.parse(localStorage.getItem(INVENTORY_KEY) || "{}") || {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Guarda el inventario.
+ * @method saveInventory
+ * @param {Object} inv - Inventario completo.
+ * @return {void}
+ */
+const saveInventory = (inv) => localStorage.setItem(INVENTORY_KEY, JSON.stringify(inv));
+
+/**
+ * Stock de un tipo de habitación en una noche.
+ * @method getNightStock
+ * @param {Object} inv - Inventario (loadInventory).
+ * @param {string} iso - Noche yyyy-mm-dd.
+ * @param {string} id - Tipo de habitación (id de ROOM_CATALOG).
+ * @return {{total:number, sold:number, free:number}}
+ */
+const getNightStock = (inv, iso, id) => {
+    const night = inv[iso]?.[id] || {};
+    const total = night.total ?? ROOM_STOCK[id] ?? 0;
+    const sold = night.sold ?? 0;
+    return {total, sold, free: Math.max(0, total - sold)};
+};
+
+/**
+ * Habitaciones libres por tipo para todo el rango.
+ * Una habitación sirve solo si está libre todas las noches, así que se toma el mínimo.
+ * @method getAvailability
+ * @param {Date} checkIn - Fecha de ingreso.
+ * @param {Date} checkOut - Fecha de egreso.
+ * @param {Object} [inv] - Inventario (por defecto el guardado).
+ * @return {Object<string, number>} Libres por tipo.
+ */
+const getAvailability = (checkIn, checkOut, inv = loadInventory()) => {
+    const nights = eachNight(checkIn, checkOut);
+    const free = {};
+    Object.keys(ROOM_STOCK).forEach((id) => {
+        free[id] = nights.length
+            ? Math.min(...nights.map((iso) => getNightStock(inv, iso, id).free))
+            : ROOM_STOCK[id];
+    });
+    return free;
+};
+
+/**
+ * Compara las habitaciones pedidas con las libres del rango.
+ * @method checkAvailability
+ * @param {{checkin:string, checkout:string, rooms:{id:string, qty:number}[]}} data
+ * @param {Object<string, number>} [free] - Libres por tipo (lo que respondió la API; por defecto las del inventario local).
+ * @return {string[]} Un mensaje por tipo que no alcanza (vacío si hay lugar).
+ */
+const checkAvailability = (data, free = getAvailability(parseISODate(data.checkin), parseISODate(data.checkout))) => {
+    return (data.rooms || [])
+        .filter((r) => r.qty > (free[r.id] ?? 0))
+        .map((r) => {
+            const name = getRoomCopy(r.id).title;
+            return free[r.id] > 0
+                ? t("avail.notEnough", {name, rooms: t("unit.room", {count: free[r.id]}), count: r.qty})
+                : t("avail.soldOutDates", {name});
+        });
+};
+
+/**
+ * Suma (o resta) al inventario vendido las habitaciones de una reserva.
+ * @method moveInventory
+ * @param {{checkin:string, checkout:string, rooms:{id:string, qty:number}[]}} data
+ * @param {1|-1} sign
+ * @return {void}
+ */
+const moveInventory = (data, sign) => {
+    const inv = loadInventory();
+    eachNight(parseISODate(data.checkin), parseISODate(data.checkout)).forEach((iso) => {
+        (data.rooms || []).forEach((r) => {
+            const {total, sold} = getNightStock(inv, iso, r.id);
+            inv[iso] = inv[iso] || {};
+            inv[iso][r.id] = {...inv[iso][r.id], total, sold: Math.max(0, sold + sign * r.qty)};
+        });
+    });
+    saveInventory(inv);
+};
+
+/**
+ * Descuenta del inventario las habitaciones de una reserva confirmada.
+ * @method reserveInventory
+ * @param {{checkin:string, checkout:string, rooms:{id:string, qty:number}[]}} data
+ * @return {void}
+ */
+const reserveInventory = (data) => moveInventory(data, 1);
+
+/**
+ * Devuelve al inventario las habitaciones de una reserva que no se usó (no-show).
+ * @method releaseInventory
+ * @param {{checkin:string, checkout:string, rooms:{id:string, qty:number}[]}} data
+ * @return {void}
+ */
+const releaseInventory = (data) => moveInventory(data, -1);
+
+/** Noches que se pueden ajustar de una vez desde la consola. */
+const INVENTORY_RANGE_MAX = 366;
+
+/**
+ * Ajusta desde la consola las habitaciones a la venta y la tarifa de un rango de noches.
+ * total y rate: un número lo fija, null vuelve al valor del catálogo y undefined no lo toca.
+ * Lo vendido no cambia: bajar total por debajo de lo vendido deja la noche sin lugar.
+ * @method setInventoryRange
+ * @param {{from:string, to:string, rooms:string[], total?:(number|null), rate?:(number|null)}} change - to incluido.
+ * @return {{ok:true, nights:number}|{ok:false, code:"invalid", fields:Object<string, string>}}
+ */
+const setInventoryRange = ({from, to, rooms, total, rate} = {}) => {
+    const fields = {};
+    const start = parseISODate(from);
+    const end = parseISODate(to);
+    if (!start) fields.from = "invalid";
+    if (!end || (start && end < start)) fields.to = "invalid";
+    const ids = Array.isArray(rooms) ? rooms.filter((id) => id in ROOM_STOCK) : [];
+    if (!Array.isArray(rooms) || !ids.length || ids.length !== rooms.length) fields.rooms = "invalid";
+    if (total !== undefined && total !== null && !(Number.isInteger(total) && total >= 0 && total <= 999)) fields.total = "invalid";
+    if (rate !== undefined && rate !== null && !(Number.isFinite(rate) && rate > 0 && rate <= 100000)) fields.rate = "invalid";
+    if (total === undefined && rate === undefined) fields.total = "invalid";
+    if (Object.keys(fields).length) return {ok: false, code: "invalid", fields};
+
+    const last = new Date(end);
+    last.setDate(last.getDate() + 1);
+    const nights = eachNight(start, last);
+    if (nights.length > INVENTORY_RANGE_MAX) return {ok: false, code: "invalid", fields: {to: "invalid"}};
+
+    const inv = loadInventory();
+    nights.forEach((iso) => ids.forEach((id) => {
+        const night = {...inv[iso]?.[id]};
+        if (total === null) delete night.total;
+        else if (total !== undefined) night.total = total;
+        if (rate === null) delete night.rate;
+        else if (rate !== undefined) night.rate = Math.round(rate * 100) / 100;
+        inv[iso] = {...inv[iso], [id]: night};
+        if (!Object.keys(night).length) delete inv[iso][id];
+        if (!Object.keys(inv[iso]).length) delete inv[iso];
+    }));
+    saveInventory(inv);
+    return {ok: true, nights: nights.length};
+};
+
+/**
+ * Pinta en cada .room-card si está agotada o quedan pocas.
+ * Sin fechas válidas (free = null) limpia los avisos.
+ * @method renderAvailability
+ * @param {Object<string, number>|null} free - Libres por tipo.
+ * @return {void}
+ */
+const renderAvailability = (free) => {
+    Object.keys(ROOM_STOCK).forEach((id) => {
+        const input = roomQtyInput(id);
+        const card = input?.closest(".room-card");
+        if (!card) return;
+
+        let badge = card.querySelector(".room-stock");
+        if (!badge) {
+            badge = document.createElement("p");
+            badge.className = "room-stock";
+            card.querySelector(".room-meta")?.after(badge);
+        }
+
+        const n = free ? free[id] : null;
+        const soldOut = n === 0;
+        card.classList.toggle("is-soldout", soldOut);
+        badge.hidden = n === null || n > LOW_STOCK;
+        badge.textContent = soldOut ? t("stock.soldOut") : n !== null ? t("stock.left", {count: n}) : "";
+
+        if (n === null) delete input.dataset.available;
+        else input.dataset.available = String(n);
+        const inc = card.querySelector('[data-action="inc"]');
+        if (inc) inc.disabled = n !== null && Number(input.value || 0) >= n;
+    });
+};
+
+/* Reservas */
+
+const RESERVATIONS_KEY = "sb_reservations";
+
+/** Letras y números del código (sin 0/O ni 1/I para que se pueda dictar por teléfono). */
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_PREFIX = "SB-";
+
+/**
+ * Lee las reservas confirmadas: { "SB-7K2QXM": {code, status, createdAt, guest, ...} }.
+ * @method loadReservations
+ * @return {Object<string, Object>}
+ */
+const loadReservations = () => {
+    try {
+        return JSON.parse(localStorage.getItem(RESERVATIONS_KEY) || "{}") || {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Guarda todas las reservas.
+ * @method saveReservations
+ * @param {Object<string, Object>} all
+ * @return {void}
+ */
+const saveReservations = (all) => localStorage.setItem(RESERVATIONS_KEY, JSON.stringify(all));
+
+/**
+ * Escapa texto libre del huésped antes de meterlo en un innerHTML.
+ * @method escapeHtml
+ * @param {string} s
+ * @return {string}
+ */
+const escapeHtml = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Normaliza lo que escribe el huésped: mayúsculas, sin espacios y con prefijo.
+ * "sb 7k2qxm" y "7K2QXM" quedan como "SB-7K2QXM".
+ * @method normalizeCode
+ * @param {string} code
+ * @return {string}
+ */
+const normalizeCode = (code) => {
+    const s = String(code || "").toUpperCase().replace(/[\s-]/g, "");
+    if (!s) return "";
+    return CODE_PREFIX + (s.startsWith("SB") ? s.slice(2) : s);
+};
+
+/**
+ * Genera un código de confirmación que no esté usado (ej. "SB-7K2QXM").
+ * 32 símbolos dividen 256 justo, así cada byte da un carácter sin sesgo.
+ * @method createConfirmationCode
+ * @param {Object<string, Object>} [all] - Reservas existentes.
+ * @return {string}
+ */
+const createConfirmationCode = (all = loadReservations()) => {
+    const bytes = new Uint8Array(6);
+    let code;
+    do {
+        if (window.crypto?.getRandomValues) window.crypto.getRandomValues(bytes);
+        else bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+        code = CODE_PREFIX + Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+    } while (all[code]);
+    return code;
+};
+
+/**
+ * Crea y guarda la reserva a partir del checkout pagado.
+ * @method createReservation
+ * @param {Object} data - sb_checkout (buildCheckoutData).
+ * @param {{firstName:string, lastName:string, email:string, phone:string, address:string, country:string, zip:string}} guest
+ * @param {{last4:string}} card - Solo los últimos 4 dígitos, nunca el número completo.
+ * @param {{provider:string, transactionId:string, status:string, verified:boolean}} payment - Cobro informado.
+ * @param {Object[]} [roomGuests] - Titular y pedidos de cada habitación (readRoomGuests).
+ * @param {string} [status] - "confirmed", o "pending_payment" si nadie verificó el cobro.
+ * @return {Object} La reserva guardada (con code).
+ */
+const createReservation = (data, guest, card, payment, roomGuests = [], status = "confirmed") => {
+    const all = loadReservations();
+    const reservation = {
+        code: createConfirmationCode(all),
+        status,
+        createdAt: new Date().toISOString(),
+        guest,
+        roomGuests,
+        checkin: data.checkin,
+        checkout: data.checkout,
+        nights: data.nights,
+        party: data.party,
+        rooms: data.rooms,
+        subtotal: data.subtotal,
+        stayDiscount: data.stayDiscount,
+        promo: data.promo,
+        extras: data.extras,
+        extrasTotal: data.extrasTotal,
+        net: data.net,
+        taxes: data.taxes,
+        total: data.total,
+        plan: data.plan,
+        planDiscount: data.planDiscount,
+        amountPaid: data.dueNow,
+        balanceDue: data.dueAtHotel,
+        currency: SETTLEMENT_CURRENCY,
+        card,
+        payment,
+    };
+    all[reservation.code] = reservation;
+    saveReservations(all);
+    return reservation;
+};
+
+/**
+ * Estados de una reserva: "confirmed" al pagar, o "pending_payment" si el cobro no se pudo verificar
+ * (server/server.js); la recepción confirma o cancela las pendientes y marca "checked_in" o "no_show".
+ */
+const RESERVATION_STATUSES = ["pending_payment", "confirmed", "checked_in", "no_show", "cancelled"];
+
+/**
+ * Si la recepción puede pasar una reserva a ese estado hoy: una pendiente se confirma (cobro
+ * verificado) o se cancela en cualquier momento; sobre una confirmada, check-in desde el día de
+ * llegada hasta el de salida y no-show desde el día de llegada.
+ * @method canSetReservationStatus
+ * @param {Object} reservation
+ * @param {string} status
+ * @param {Date} [now]
+ * @return {boolean}
+ */
+const canSetReservationStatus = (reservation, status, now = new Date()) => {
+    const today = toISODate(now);
+    if (reservation.status === "pending_payment") return status === "confirmed" || status === "cancelled";
+    if (reservation.status !== "confirmed" || today < reservation.checkin) return false;
+    return status === "no_show" || (status === "checked_in" && today < reservation.checkout);
+};
+
+/**
+ * Cambia el estado de una reserva desde la consola. Un no-show o una cancelación liberan sus habitaciones.
+ * @method setReservationStatus
+ * @param {string} code
+ * @param {string} status - Uno de RESERVATION_STATUSES (ver canSetReservationStatus).
+ * @param {Date} [now]
+ * @return {{ok:true, reservation:Object}|{ok:false, code:("not_found"|"invalid")}}
+ */
+const setReservationStatus = (code, status, now = new Date()) => {
+    const all = loadReservations();
+    const reservation = all[normalizeCode(code)];
+    if (!reservation) return {ok: false, code: "not_found"};
+    if (!canSetReservationStatus(reservation, status, now)) return {ok: false, code: "invalid"};
+    reservation.status = status;
+    reservation.statusChangedAt = now.toISOString();
+    saveReservations(all);
+    if (status === "no_show" || status === "cancelled") releaseInventory(reservation);
+    return {ok: true, reservation};
+};
+
+/**
+ * Busca una reserva por código + email (los dos tienen que coincidir).
+ * @method findReservation
+ * @param {string} code
+ * @param {string} email
+ * @return {Object|null}
+ */
+const findReservation = (code, email) => {
+    const reservation = loadReservations()[normalizeCode(code)];
+    if (!reservation) return null;
+    const same = reservation.guest.email.trim().toLowerCase() === String(email || "").trim().toLowerCase();
+    return same ? reservation : null;
+};
+
+/* API de reservas */
+
+/**
+ * Operaciones del "backend" de reservas, escritas una sola vez: el adaptador local las llama
+ * en el navegador y server/server.js las corre del lado del servidor con el mismo código.
+ * Devuelven {ok:true, ...} | {ok:false, code, ...} como los proveedores de pago.
+ */
+
+const MESSAGES_KEY = "sb_messages";
+
+/**
+ * Cotiza una selección y le pone la reserva temporal de precio, verificando que se pueda
+ * vender (estadía mínima, grupo, extras, plan) y que haya lugar.
+ * @method prepareQuote
+ * @param {Object} selection - Lo que elige el huésped (readBookingSelection).
+ * @param {number} [now]
+ * @return {{ok:true, checkout:Object}|{ok:false, code:("invalid"|"unavailable"), free?:Object<string, number>}}
+ */
+const prepareQuote = (selection, now = Date.now()) => {
+    let checkout;
+    try {
+        checkout = createCheckout(selection, now);
+    } catch {
+        return {ok: false, code: "invalid"};
+    }
+    if (!verifyCheckout(checkout, now).ok) return {ok: false, code: "invalid"};
+    const free = getAvailability(parseISODate(checkout.checkin), parseISODate(checkout.checkout));
+    if (checkout.rooms.some((r) => r.qty > free[r.id])) return {ok: false, code: "unavailable", free};
+    return {ok: true, checkout};
+};
+
+/** Margen después de expiresAt para una cotización que venció mientras el banco respondía. */
+const RESERVATION_GRACE_MS = 5 * 60 * 1000;
+
+/**
+ * Confirma una reserva ya cobrada: vuelve a cotizar el checkout, mira la disponibilidad,
+ * descuenta inventario, cuenta el uso del código promocional y la guarda.
+ * Una cotización que venció mientras el banco respondía se acepta hasta RESERVATION_GRACE_MS
+ * después si los precios siguen iguales. El reloj es siempre `now`, nunca las fechas del checkout.
+ * El cobro lo informa quien pide la reserva: si nadie lo verificó con el proveedor (paymentVerified),
+ * la reserva queda "pending_payment" hasta que la recepción lo confirme.
+ * @method placeReservation
+ * @param {{checkout:Object, guest:Object, card:{last4:string}, payment:Object, roomGuests?:Object[]}} request
+ * @param {number} [now]
+ * @param {{paymentVerified?:boolean}} [opts]
+ * @return {{ok:true, reservation:Object}|{ok:false, code:("invalid"|"expired"|"changed"|"unavailable"), free?:Object, fields?:Object}}
+ */
+const placeReservation = ({checkout, guest, card, payment, roomGuests = []} = {}, now = Date.now(), {paymentVerified = false} = {}) => {
+    const expiresAt = Number(checkout?.expiresAt);
+    if (!Number.isFinite(expiresAt)) return {ok: false, code: "invalid"};
+    if (now >= expiresAt + RESERVATION_GRACE_MS) return {ok: false, code: "expired"};
+    // dentro del margen se cotiza como si no hubiera vencido (createdAt no puede ser posterior a now)
+    const verified = verifyCheckout(checkout, Math.min(now, expiresAt - 1));
+    if (!verified.ok) return {ok: false, code: verified.reason === "changed" ? "changed" : "invalid"};
+    // la llegada se compara con el día de hoy real, no con el del reloj corrido del margen
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    if (parseISODate(verified.data.checkin) < today) return {ok: false, code: "invalid"};
+
+    const fields = validateValues(GUEST_SCHEMA, guest || {});
+    (Array.isArray(roomGuests) ? roomGuests : []).forEach((g, i) => {
+        const msg = validateValues({leadName: FIELD_TYPES.personName}, g || {}).leadName;
+        if (msg) fields[`roomGuests.${i}`] = msg;
+    });
+    const units = expandRoomUnits(verified.data.rooms);
+    if (!Array.isArray(roomGuests) || (roomGuests.length && roomGuests.length !== units.length)) fields.roomGuests = "invalid";
+    if (!/^\d{4}$/.test(card?.last4 || "")) fields.card = "invalid";
+    if (Object.keys(fields).length) return {ok: false, code: "invalid", fields};
+
+    const data = verified.data;
+    const free = getAvailability(parseISODate(data.checkin), parseISODate(data.checkout));
+    if (data.rooms.some((r) => r.qty > free[r.id])) return {ok: false, code: "unavailable", free};
+
+    reserveInventory(data);
+    if (data.promo) registerPromoUse(data.promo.code);
+    const clean = (s, max) => String(s ?? "").trim().slice(0, max);
+    const reservation = createReservation(data, {
+        firstName: clean(guest.firstName, 50),
+        lastName: clean(guest.lastName, 50),
+        email: clean(guest.email, 120),
+        phone: clean(guest.phone, 15),
+        address: clean(guest.address, 40),
+        country: clean(guest.country, 40),
+        zip: clean(guest.zip, 4),
+    }, {last4: card.last4}, {
+        provider: clean(payment?.provider, 40),
+        transactionId: clean(payment?.transactionId, 80),
+        status: clean(payment?.status, 20),
+        verified: paymentVerified,
+    }, roomGuests.map((g, i) => ({
+        room: units[i].room,
+        n: units[i].n,
+        of: units[i].of,
+        leadName: clean(g.leadName, 50),
+        arrival: ARRIVAL_TIMES.includes(g.arrival) ? g.arrival : "",
+        bed: BED_PREFERENCES.includes(g.bed) ? g.bed : "",
+        dietary: clean(g.dietary, DIETARY_MAX),
+        request: clean(g.request, SPECIAL_REQUEST_MAX),
+    })), paymentVerified ? "confirmed" : "pending_payment");
+    return {ok: true, reservation};
+};
+
+/**
+ * Lee los mensajes del formulario de contacto.
+ * @method loadMessages
+ * @return {Object[]} Del más viejo al más nuevo.
+ */
+const loadMessages = () => {
+    try {
+        const list = JSON.parse(localStorage.getItem(MESSAGES_KEY) || "[]");
+        return Array.isArray(list) ? list : [];
+    } catch {
+        return [];
+    }
+};
+
+/** Estados de un mensaje en la consola. */
+const MESSAGE_STATUSES = ["new", "handled"];
+
+/**
+ * Marca un mensaje como atendido (o de nuevo como pendiente).
+ * @method setMessageStatus
+ * @param {string} id
+ * @param {string} status - Uno de MESSAGE_STATUSES.
+ * @return {{ok:true, message:Object}|{ok:false, code:("not_found"|"invalid")}}
+ */
+const setMessageStatus = (id, status) => {
+    if (!MESSAGE_STATUSES.includes(status)) return {ok: false, code: "invalid"};
+    const list = loadMessages();
+    const message = list.find((m) => m.id === id);
+    if (!message) return {ok: false, code: "not_found"};
+    message.status = status;
+    localStorage.setItem(MESSAGES_KEY, JSON.stringify(list));
+    return {ok: true, message};
+};
+
+/**
+ * Guarda un mensaje de contacto después de validarlo con CONTACT_SCHEMA.
+ * Un reintento del mismo envío (mismo clientId) devuelve el mensaje ya guardado.
+ * @method recordContactMessage
+ * @param {{fname:string, lname:string, email:string, ccode?:string, phone?:string, message?:string, clientId?:string}} values
+ * @return {{ok:true, id:string}|{ok:false, code:"invalid", fields:Object<string, string>}}
+ */
+const recordContactMessage = (values = {}) => {
+    const fields = validateValues(CONTACT_SCHEMA, values);
+    if (Object.keys(fields).length) return {ok: false, code: "invalid", fields};
+    const list = loadMessages();
+    const clientId = /^[\w-]{8,64}$/.test(values.clientId) ? values.clientId : "";
+    const known = clientId && list.find((m) => m.clientId === clientId);
+    if (known) return {ok: true, id: known.id};
+    const message = {
+        id: `MSG-${Date.now().toString(36).toUpperCase()}${list.length}`,
+        createdAt: new Date().toISOString(),
+        status: "new",
+        ...Object.fromEntries(Object.keys(CONTACT_SCHEMA).map((key) => [key, String(values[key] ?? "").trim()])),
+        ccode: /^\+\d{1,4}$/.test(values.ccode) ? values.ccode : "",
+        clientId,
+    };
+    list.push(message);
+    localStorage.setItem(MESSAGES_KEY, JSON.stringify(list));
+    return {ok: true, id: message.id};
+};
+
+/**
+ * Inventario, disponibilidad y reservas pasan por un cliente de API; las páginas no leen
+ * el almacenamiento directamente. Hay dos adaptadores con las mismas funciones async:
+ * - "local": este navegador (localStorage), para hosting estático como GitHub Pages
+ * - "http": server/server.js (o un backend con las mismas rutas) en SITE_CONFIG.apiUrl
+ * Funciones:
+ * - inventory({from, to})              → {ok, inventory} (noches con ajustes, formato de loadInventory)
+ * - availability({checkin, checkout})   → {ok, free}
+ * - quote(selection)                    → {ok, checkout} | {ok:false, code:"unavailable", free}
+ * - createReservation(request)          → {ok, reservation} (placeReservation)
+ * - findReservation(code, email)        → {ok, reservation} | {ok:false, code:"not_found"}
+ * - getReservation(code)                → igual, sin email (solo local: el servidor pide el email)
+ * - sendContact(values)                 → {ok, id}
+ * Errores de red: "network" (no hubo respuesta) y "timeout"; los demás los define cada operación.
+ */
+
+/** Cuánto esperamos a la API antes de dar el pedido por perdido. */
+const API_TIMEOUT_MS = 8000;
+
+/**
+ * Adaptador local: las operaciones corren en el navegador sobre localStorage.
+ * @method createLocalBookingApi
+ * @return {Object}
+ */
+const createLocalBookingApi = () => ({
+    name: "local",
+    inventory: async () => ({ok: true, inventory: loadInventory()}),
+    availability: async ({checkin, checkout}) => {
+        const inDate = parseISODate(checkin);
+        const outDate = parseISODate(checkout);
+        if (!inDate || !outDate || outDate <= inDate) return {ok: false, code: "invalid"};
+        return {ok: true, free: getAvailability(inDate, outDate)};
+    },
+    quote: async (selection) => prepareQuote(selection),
+    // el simulador de pagos corre en este mismo navegador: el cobro que informa es el que hizo
+    createReservation: async (request) => placeReservation(request, Date.now(), {paymentVerified: true}),
+    findReservation: async (code, email) => {
+        const reservation = findReservation(code, email);
+        return reservation ? {ok: true, reservation} : {ok: false, code: "not_found"};
+    },
+    getReservation: async (code) => {
+        const reservation = loadReservations()[normalizeCode(code)];
+        return reservation ? {ok: true, reservation} : {ok: false, code: "not_found"};
+    },
+    sendContact: async (values) => recordContactMessage(values),
+});
+
+/**
+ * Pedido JSON con tiempo límite. Una respuesta 4xx/5xx trae {code, ...} y su status.
+ * @method requestJson
+ * @param {string} method
+ * @param {string} url
+ * @param {Object} [body]
+ * @param {Object<string, string>} [headers] - Ej. Authorization de la consola.
+ * @return {Promise<{ok:boolean, code?:string, status?:number}>} code "network" o "timeout" si no hubo respuesta.
+ */
+const requestJson = async (method, url, body, headers = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
+    try {
+        const res = await fetch(url, {
+            method,
+            headers: body ? {...headers, "Content-Type": "application/json"} : headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal,
+        });
+        const payload = await res.json().catch(() => ({}));
+        if (res.ok) return {...payload, ok: true};
+        return {...payload, ok: false, status: res.status, code: payload.code || (res.status === 404 ? "not_found" : "error")};
+    } catch (err) {
+        return {ok: false, code: err.name === "AbortError" ? "timeout" : "network"};
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Adaptador HTTP: requestJson sobre las rutas de server/server.js.
+ * @method createHttpBookingApi
+ * @param {string} baseUrl - Ej. "/api" o "http://localhost:8787/api".
+ * @return {Object}
+ */
+const createHttpBookingApi = (baseUrl) => {
+    const request = (method, path, body) => requestJson(method, `${baseUrl}${path}`, body);
+    const query = (params) => new URLSearchParams(params).toString();
+    return {
+        name: "http",
+        inventory: ({from, to}) => request("GET", `/availability?${query({from, to})}`),
+        availability: ({checkin, checkout}) => request("GET", `/availability?${query({checkin, checkout})}`),
+        quote: (selection) => request("POST", "/quotes", selection),
+        createReservation: (body) => request("POST", "/reservations", body),
+        findReservation: (code, email) =>
+            request("GET", `/reservations/${encodeURIComponent(normalizeCode(code))}?${query({email})}`),
+        getReservation: async () => ({ok: false, code: "not_found"}),
+        sendContact: (values) => request("POST", "/contact", values),
+    };
+};
+
+let bookingApi = null;
+
+/**
+ * Cliente de la API según SITE_CONFIG (js/config.js): sin apiUrl, el adaptador local.
+ * @method getBookingApi
+ * @return {Object}
+ */
+const getBookingApi = () => {
+    if (!bookingApi) {
+        const url = siteApiUrl();
+        bookingApi = url ? createHttpBookingApi(url.replace(/\/$/, "")) : createLocalBookingApi();
+    }
+    return bookingApi;
+};
+
+/** Reservas que este navegador ya tiene a mano (recién pagadas o buscadas), para la confirmación y el .ics. */
+const VIEWED_RESERVATIONS_KEY = "sb_viewed_reservations";
+
+/**
+ * Guarda una reserva en la sesión para poder mostrarla sin volver a pedir el email.
+ * @method rememberReservation
+ * @param {Object} reservation
+ * @return {void}
+ */
+const rememberReservation = (reservation) => {
+    const all = recallReservations();
+    all[reservation.code] = reservation;
+    try {
+        sessionStorage.setItem(VIEWED_RESERVATIONS_KEY, JSON.stringify(all));
+    } catch {
+        // sin sessionStorage (modo privado lleno): la confirmación pedirá buscarla
+    }
+};
+
+/**
+ * Reservas vistas en esta sesión.
+ * @method recallReservations
+ * @return {Object<string, Object>}
+ */
+const recallReservations = () => {
+    try {
+        return JSON.parse(sessionStorage.getItem(VIEWED_RESERVATIONS_KEY) || "{}") || {};
+    } catch {
+        return {};
+    }
+};
+
+/* Confirmación y calendario */
+
+/** Datos fijos del hotel para la confirmación y el .ics. */
+const HOTEL = {
+    name: "Santorini Blue",
+    address: "Oia, Santorini 847 02, Greece",
+    phone: "+54 9 351 815 1351",
+    checkInTime: "15:00",
+    checkOutTime: "11:00",
+    timeZone: "Europe/Athens",
+};
+
+/** Reglas de horario de Atenas (EET/EEST) para que los eventos caigan a la hora local del hotel. */
+const ICS_TIMEZONE = [
+    "BEGIN:VTIMEZONE",
+    `TZID:${HOTEL.timeZone}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19701025T040000",
+    "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+    "TZOFFSETFROM:+0300",
+    "TZOFFSETTO:+0200",
+    "TZNAME:EET",
+    "END:STANDARD",
+    "BEGIN:DAYLIGHT",
+    "DTSTART:19700329T030000",
+    "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+    "TZOFFSETFROM:+0200",
+    "TZOFFSETTO:+0300",
+    "TZNAME:EEST",
+    "END:DAYLIGHT",
+    "END:VTIMEZONE",
+];
+
+/**
+ * Escapa texto para iCalendar (RFC 5545: barra, coma, punto y coma y saltos de línea).
+ * @method icsText
+ * @param {string} s
+ * @return {string}
+ */
+const icsText = (s) => String(s).replace(/\\/g, "\\\\").replace(/[,;]/g, (c) => `\\${c}`).replace(/\r?\n/g, "\\n");
+
+/**
+ * Corta líneas de más de 75 bytes (las siguientes empiezan con un espacio).
+ * Se cuenta en bytes UTF-8 para no partir letras griegas o acentos.
+ * @method foldIcsLine
+ * @param {string} line
+ * @return {string}
+ */
+const foldIcsLine = (line) => {
+    const encoder = new TextEncoder();
+    const out = [];
+    let current = "";
+    let size = 0;
+    for (const ch of line) {
+        const bytes = encoder.encode(ch).length;
+        if (size + bytes > 75) {
+            out.push(current);
+            current = " ";
+            size = 1;
+        }
+        current += ch;
+        size += bytes;
+    }
+    out.push(current);
+    return out.join("\r\n");
+};
+
+/**
+ * Arma el .ics de la reserva con dos eventos: check-in y check-out.
+ * @method buildIcs
+ * @param {Object} r - Reserva (createReservation).
+ * @return {string} Contenido del archivo (CRLF).
+ */
+const buildIcs = (r) => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    const local = (iso, time) => `${iso.replace(/-/g, "")}T${time.replace(":", "")}00`;
+    const rooms = r.rooms.map((room) => roomCountLabel(room.id, room.qty)).join(", ");
+    const details = `${t("conf.code")}: ${r.code}\n${rooms}\n${HOTEL.phone}`;
+    const event = (kind, iso, time) => [
+        "BEGIN:VEVENT",
+        `UID:${r.code}-${kind}@santoriniblue`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;TZID=${HOTEL.timeZone}:${local(iso, time)}`,
+        "DURATION:PT1H",
+        `SUMMARY:${icsText(t(`conf.ics.${kind}`, {hotel: HOTEL.name}))}`,
+        `LOCATION:${icsText(HOTEL.address)}`,
+        `DESCRIPTION:${icsText(details)}`,
+        "END:VEVENT",
+    ];
+    return [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Santorini Blue//Booking//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        ...ICS_TIMEZONE,
+        ...event("checkin", r.checkin, HOTEL.checkInTime),
+        ...event("checkout", r.checkout, HOTEL.checkOutTime),
+        "END:VCALENDAR",
+    ].map(foldIcsLine).join("\r\n") + "\r\n";
+};
+
+/**
+ * Descarga el .ics de la reserva.
+ * @method downloadIcs
+ * @param {Object} r - Reserva.
+ * @return {void}
+ */
+const downloadIcs = (r) => {
+    const blob = new Blob([buildIcs(r)], {type: "text/calendar;charset=utf-8"});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `santorini-blue-${r.code}.ics`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// botones "Add to calendar" (modal de pago, Mi reserva y confirmación)
+document.addEventListener("click", async (e) => {
+    const btn = e.target.closest('[data-action="download-ics"]');
+    if (!btn) return;
+    const code = btn.dataset.code;
+    const reservation = recallReservations()[code] || (await getBookingApi().getReservation(code)).reservation;
+    if (reservation) downloadIcs(reservation);
+});
+
+/* Pagos */
+
+/**
+ * Un proveedor de pagos es un objeto con cuatro funciones async:
+ * - authorize({amount, currency, card, reference}) → {ok:true, id, status:"authorized"}
+ *                                                 | {ok:true, id, status:"challenge", challenge:{hint}}
+ *                                                 | {ok:false, code}
+ * - confirmChallenge(id, answer) → igual que authorize, sin "challenge"
+ * - capture(id)                  → {ok:true, id, status:"captured"} | {ok:false, code}
+ * - void(id)                     → {ok:true, id, status:"voided"}   | {ok:false, code}
+ * Los code de error que entiende la UI: "declined", "insufficient_funds", "challenge_failed",
+ * "challenge_cancelled", "timeout" y "error".
+ */
+const PAYMENT_PROVIDERS = {};
+
+/** Proveedor activo y cuánto esperamos cada llamada antes de darla por perdida. */
+const PAYMENT_PROVIDER = "simulator";
+const PAYMENT_TIMEOUT_MS = 10000;
+
+/**
+ * Registra un proveedor (factory que devuelve el objeto con authorize/capture/void).
+ * @method registerPaymentProvider
+ * @param {string} name
+ * @param {function():Object} factory
+ * @return {void}
+ */
+const registerPaymentProvider = (name, factory) => {
+    PAYMENT_PROVIDERS[name] = factory;
+};
+
+/**
+ * Devuelve el proveedor configurado.
+ * @method getPaymentProvider
+ * @param {string} [name=PAYMENT_PROVIDER]
+ * @return {Object}
+ */
+const getPaymentProvider = (name = PAYMENT_PROVIDER) => {
+    const factory = PAYMENT_PROVIDERS[name];
+    if (!factory) throw new Error(`Unknown payment provider "${name}"`);
+    return factory();
+};
+
+/**
+ * Corta una llamada al proveedor si tarda más de `ms` (resuelve {ok:false, code:"timeout"}).
+ * @method withPaymentTimeout
+ * @param {Promise<Object>} promise
+ * @param {number} [ms=PAYMENT_TIMEOUT_MS]
+ * @return {Promise<Object>}
+ */
+const withPaymentTimeout = (promise, ms = PAYMENT_TIMEOUT_MS) => {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve({ok: false, code: "timeout"}), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Tarjetas de prueba del simulador (cualquier otra tarjeta válida se aprueba).
+ * El resultado depende solo del número, así los casos se pueden repetir.
+ */
+const SIMULATOR_CARDS = {
+    "4000000000000002": "declined",
+    "4000000000009995": "insufficient_funds",
+    "4000000000003220": "challenge",
+    "4000000000000119": "timeout",
+};
+
+/** Código que acepta el simulador en el paso 3-D Secure. */
+const SIMULATOR_OTP = "123456";
+
+/**
+ * Pasarela simulada: responde con una demora fija y guarda las transacciones en memoria.
+ * @method createSimulatedGateway
+ * @param {{latency?:number}} [options]
+ * @return {Object} Proveedor (authorize, confirmChallenge, capture, void).
+ */
+const createSimulatedGateway = ({latency = 700} = {}) => {
+    const transactions = {};
+    let seq = 0;
+    const reply = (result) => new Promise((resolve) => setTimeout(() => resolve(result), latency));
+    const never = () => new Promise(() => {});
+
+    return {
+        name: "simulator",
+
+        authorize: ({amount, currency, card}) => {
+            const outcome = SIMULATOR_CARDS[String(card.number).replace(/\D/g, "")] || "approved";
+            if (outcome === "timeout") return never();
+            if (outcome === "declined" || outcome === "insufficient_funds") return reply({ok: false, code: outcome});
+
+            const id = `sim_${Date.now().toString(36)}_${++seq}`;
+            const status = outcome === "challenge" ? "challenge" : "authorized";
+            transactions[id] = {amount, currency, status};
+            return status === "challenge"
+                ? reply({ok: true, id, status, challenge: {hint: SIMULATOR_OTP}})
+                : reply({ok: true, id, status});
+        },
+
+        confirmChallenge: (id, answer) => {
+            const tx = transactions[id];
+            if (!tx || tx.status !== "challenge") return reply({ok: false, code: "error"});
+            if (String(answer).trim() !== SIMULATOR_OTP) {
+                tx.status = "failed";
+                return reply({ok: false, code: "challenge_failed"});
+            }
+            tx.status = "authorized";
+            return reply({ok: true, id, status: "authorized"});
+        },
+
+        capture: (id) => {
+            const tx = transactions[id];
+            if (!tx || tx.status !== "authorized") return reply({ok: false, code: "error"});
+            tx.status = "captured";
+            return reply({ok: true, id, status: "captured"});
+        },
+
+        void: (id) => {
+            const tx = transactions[id];
+            if (!tx || tx.status !== "authorized") return reply({ok: false, code: "error"});
+            tx.status = "voided";
+            return reply({ok: true, id, status: "voided"});
+        },
+    };
+};
+
+registerPaymentProvider("simulator", createSimulatedGateway);
+
+/**
+ * Muestra el paso 3-D Secure del banco y espera el código.
+ * @method askChallengeCode
+ * @param {{hint?:string}} challenge
+ * @return {Promise<string|null>} El código, o null si el huésped cancela.
+ */
+const askChallengeCode = (challenge) => new Promise((resolve) => {
+    ensureModal();
+    showModal(`
+      <form class="challenge-form" novalidate>
+        <p>${t('pay.challenge.intro')}</p>
+        ${challenge.hint ? `<p class="muted">${t('pay.challenge.hint', {code: challenge.hint})}</p>` : ''}
+        <div class="field">
+          <label for="challenge-code">${t('pay.challenge.label')}</label>
+          <input id="challenge-code" inputmode="numeric" autocomplete="one-time-code" maxlength="6">
+        </div>
+        <button type="submit" class="btn-pay">${t('pay.challenge.submit')}</button>
+      </form>`, t('pay.challenge.title'));
+
+    const overlay = document.getElementById('app-modal');
+    const challengeForm = overlay.querySelector('.challenge-form');
+    const input = overlay.querySelector('#challenge-code');
+    const actions = overlay.querySelector('.modal-actions');
+    if (actions) actions.hidden = true; // el "OK" no tiene sentido en este paso
+    input.focus();
+
+    // cerrar el modal (×, Escape o click afuera) cuenta como cancelar
+    const observer = new MutationObserver(() => {
+        if (overlay.getAttribute('aria-hidden') === 'true') finish(null);
+    });
+    const finish = (answer) => {
+        observer.disconnect();
+        if (actions) actions.hidden = false;
+        resolve(answer);
+    };
+    observer.observe(overlay, {attributes: true, attributeFilter: ['aria-hidden']});
+    challengeForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        finish(input.value);
+        hideModal();
+    });
+});
+
+/* Tarjetas */
+
+/**
+ * Redes de tarjeta por rango de IIN (primeros dígitos).
+ * - prefixes: "34" o rangos ["2221", "2720"] (mismo largo en los dos extremos)
+ * - lengths: largos válidos; groups: cómo se agrupa al escribir (por largo o "default")
+ * - cvv: dígitos del código de seguridad y cómo se llama en la tarjeta
+ * - luhn: false para las que no siempre cumplen el dígito verificador (UnionPay)
+ * Si dos redes coinciden gana el prefijo más largo (ej. 622126 es Discover, 62 UnionPay).
+ */
+const CARD_NETWORKS = [
+    {id: "visa", name: "Visa", prefixes: ["4"], lengths: [13, 16, 19], cvv: 3, cvvName: "CVV"},
+    {id: "mastercard", name: "Mastercard", prefixes: [["51", "55"], ["2221", "2720"]], lengths: [16], cvv: 3, cvvName: "CVC"},
+    {
+        id: "amex", name: "American Express", prefixes: ["34", "37"], lengths: [15],
+        groups: {default: [4, 6, 5]}, cvv: 4, cvvName: "CID",
+    },
+    {
+        id: "diners", name: "Diners Club", prefixes: [["300", "305"], "36", "38", "39"], lengths: [14, 16, 17, 18, 19],
+        groups: {14: [4, 6, 4]}, cvv: 3, cvvName: "CVV",
+    },
+    {
+        id: "discover", name: "Discover", prefixes: ["6011", ["644", "649"], "65", ["622126", "622925"]],
+        lengths: [16, 17, 18, 19], cvv: 3, cvvName: "CID",
+    },
+    {
+        id: "maestro", name: "Maestro",
+        prefixes: ["5018", "5020", "5038", "5893", "6304", "6759", "6761", "6762", "6763"],
+        lengths: [12, 13, 14, 15, 16, 17, 18, 19], cvv: 3, cvvName: "CVC",
+    },
+    {id: "unionpay", name: "UnionPay", prefixes: ["62", "81"], lengths: [16, 17, 18, 19], cvv: 3, cvvName: "CVN", luhn: false},
+];
+
+/** Redes que acepta el hotel (el resto se detecta pero se rechaza). */
+const ACCEPTED_CARD_NETWORKS = ["visa", "mastercard", "amex", "diners", "maestro"];
+
+/**
+ * Red de la tarjeta según sus primeros dígitos (null si todavía no alcanza o no coincide).
+ * @method detectCardNetwork
+ * @param {string} digits - Solo dígitos.
+ * @return {Object|null} Entrada de CARD_NETWORKS.
+ */
+const detectCardNetwork = (digits) => {
+    let best = null;
+    let bestLength = 0;
+    CARD_NETWORKS.forEach((network) => {
+        network.prefixes.forEach((prefix) => {
+            const [from, to] = Array.isArray(prefix) ? prefix : [prefix, prefix];
+            if (digits.length < from.length || from.length <= bestLength) return;
+            const head = Number(digits.slice(0, from.length));
+            if (head >= Number(from) && head <= Number(to)) {
+                best = network;
+                bestLength = from.length;
+            }
+        });
+    });
+    return best;
+};
+
+/**
+ * ¿El hotel acepta esta red?
+ * @method isCardAccepted
+ * @param {Object} network
+ * @return {boolean}
+ */
+const isCardAccepted = (network) => ACCEPTED_CARD_NETWORKS.includes(network.id);
+
+/**
+ * "Visa, Mastercard, American Express…" para los mensajes.
+ * @method acceptedCardNames
+ * @return {string}
+ */
+const acceptedCardNames = () =>
+    formatList(CARD_NETWORKS.filter(isCardAccepted).map((network) => network.name));
+
+/**
+ * Agrupa los dígitos como vienen impresos en la tarjeta (4-4-4-4, 4-6-5 en Amex...).
+ * @method formatCardNumber
+ * @param {string} digits
+ * @param {Object|null} network
+ * @return {string}
+ */
+const formatCardNumber = (digits, network) => {
+    const groups = network?.groups?.[digits.length] || network?.groups?.default;
+    if (!groups) return digits.replace(/(\d{4})(?=\d)/g, "$1 ").trim();
+    const parts = [];
+    let pos = 0;
+    groups.forEach((size) => {
+        if (pos < digits.length) parts.push(digits.slice(pos, pos + size));
+        pos += size;
+    });
+    if (pos < digits.length) parts.push(digits.slice(pos));
+    return parts.join(" ");
+};
+
+/**
+ * Dígito verificador (Luhn).
+ * @method luhnCheck
+ * @param {string} digits
+ * @return {boolean}
+ */
+const luhnCheck = (digits) => {
+    let sum = 0, dbl = false;
+    for (let i = digits.length - 1; i >= 0; i--) {
+        let d = +digits[i];
+        if (dbl) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+        dbl = !dbl;
+    }
+    return sum % 10 === 0;
+};
+
 /**
  * Valida rango de fechas y que no sean del pasado.
  * - Check-in >= hoy
@@ -66,15 +1519,15 @@ const validateDates = (inEl, outEl) => {
     today.setHours(0, 0, 0, 0);
 
     if (inDate < today) {
-        showErrorAndClear(inEl, "The check-in date cannot be earlier than today.");
+        showErrorAndClear(inEl, t("dates.checkinPast"));
         return false;
     }
     if (outDate < today) {
-        showErrorAndClear(outEl, "The check-out date cannot be earlier than today.");
+        showErrorAndClear(outEl, t("dates.checkoutPast"));
         return false;
     }
     if (outDate <= inDate) {
-        showErrorAndClear(outEl, "The check-out date must be after the check-in date.");
+        showErrorAndClear(outEl, t("dates.order"));
         return false;
     }
     return true;
@@ -98,61 +1551,990 @@ const validateRoomQty = (input) => {
         num < Number(input.min ?? 0) ||
         num > Number(input.max ?? 9)
     ) {
-        showErrorAndClear(input, "Invalid quantity (must be an integer between 0 and 9).");
+        showErrorAndClear(input, t("qty.invalid"));
         return 0;
     }
     return num;
 };
 
+/**
+ * Lee las cantidades elegidas de cada tipo de habitación.
+ * @method readRoomQty
+ * @return {Object<string, number>} Cantidad por id de habitación.
+ */
+const readRoomQty = () =>
+    Object.fromEntries(Object.keys(ROOMS_DB).map((id) => [id, validateRoomQty(roomQtyInput(id))]));
+
 /**
  * Obtiene referencias seguras a elementos del resumen.
  * @method getSummaryRefs
- * @return {{inSpan:(Element|null), outSpan:(Element|null), totalSpan:(Element|null), warn:(Element|null), note:(Element|null)}}
+ * @return {{inSpan:(Element|null), outSpan:(Element|null), totalSpan:(Element|null), warn:(Element|null), note:(Element|null), alert:(Element|null)}}
  */
 const getSummaryRefs = () => {
     const mutedSpans = document.querySelectorAll(".resumen-line .muted");
     const totalSpan = document.querySelector(".resumen-total span:last-child");
     const warn = document.querySelector(".resumen-warn");
     const note = document.querySelector(".resumen-note");
+    const alert = document.querySelector(".resumen-alert");
     return {
         inSpan: mutedSpans[0] || null,
         outSpan: mutedSpans[1] || null,
         totalSpan: totalSpan || null,
         warn,
         note,
+        alert,
+    };
+};
+
+/* Tarifas */
+
+/**
+ * Única fuente de precios (USD por habitación y noche).
+ * - base: tarifa regular por tipo (rate de ROOM_CATALOG)
+ * - seasons: rangos mm-dd (pueden cruzar fin de año) con multiplicador y estadía mínima
+ * - weekend: recargo sobre las noches de viernes y sábado
+ * - stayDiscounts: descuento por cantidad de noches (se aplica el mayor que corresponda)
+ * Los nombres se traducen con t("season.<id>") y t("discount.<id>").
+ */
+const RATES = {
+    base: Object.fromEntries(ROOM_CATALOG.map((room) => [room.id, room.rate])),
+    seasons: [
+        {id: "high", from: "06-15", to: "09-15", factor: 1.4, minStay: 3},
+        {id: "shoulder", from: "04-15", to: "06-14", factor: 1.15, minStay: 2},
+        {id: "shoulder", from: "09-16", to: "10-31", factor: 1.15, minStay: 2},
+        {id: "low", from: "11-01", to: "03-31", factor: 0.75, minStay: 1},
+    ],
+    weekend: {days: [5, 6], surcharge: 0.1},
+    stayDiscounts: [
+        {id: "weekly", minNights: 7, pct: 10},
+        {id: "long", minNights: 4, pct: 5},
+    ],
+};
+
+/**
+ * Planes tarifarios. Cada tipo de habitación ofrece los de su "plans" en ROOM_CATALOG y
+ * la reserva va con un solo plan, que tienen que ofrecer todos los tipos elegidos.
+ * - discountPct: descuento sobre las habitaciones (después del código promocional)
+ * - payNowPct: parte del total que se cobra en payment.html; el resto se paga en el hotel
+ * - freeCancelDays: hasta cuántos días antes del check-in se cancela sin cargo (null = nunca)
+ * Pasado ese día se retiene todo lo pagado. Los textos salen de t("plan.<id>…").
+ */
+const RATE_PLANS = [
+    {id: "flex", discountPct: 0, payNowPct: 100, freeCancelDays: 7},
+    {id: "nonref", discountPct: 10, payNowPct: 100, freeCancelDays: null},
+    {id: "hotel", discountPct: 0, payNowPct: 20, freeCancelDays: 3},
+];
+const DEFAULT_RATE_PLAN = "flex";
+const RATE_PLANS_DB = Object.fromEntries(RATE_PLANS.map((plan) => [plan.id, plan]));
+
+/**
+ * Planes que se pueden elegir para una selección de habitaciones (todos si no hay ninguna).
+ * @method offeredPlans
+ * @param {Object<string, number>} qty - Cantidades por tipo.
+ * @return {string[]} ids en el orden de RATE_PLANS.
+ */
+const offeredPlans = (qty) => {
+    const ids = Object.keys(qty).filter((id) => qty[id] > 0 && ROOMS_DB[id]);
+    return RATE_PLANS.map((plan) => plan.id)
+        .filter((planId) => ids.every((id) => ROOMS_DB[id].plans.includes(planId)));
+};
+
+/**
+ * Condiciones de un plan para una estadía: lo que viaja en sb_checkout y queda en la reserva,
+ * para poder calcular el reintegro si después se cancela.
+ * @method planTerms
+ * @param {string} planId
+ * @param {string} checkin - yyyy-mm-dd ("" sin fechas).
+ * @return {{id:string, discountPct:number, payNowPct:number, freeCancelUntil:(string|null)}}
+ *  freeCancelUntil: último día (hora del hotel, incluido) para cancelar sin cargo.
+ */
+const planTerms = (planId, checkin) => {
+    const plan = RATE_PLANS_DB[planId];
+    const freeCancelUntil = plan.freeCancelDays === null || !checkin
+        ? null
+        : addDaysISO(checkin, -plan.freeCancelDays);
+    return {id: plan.id, discountPct: plan.discountPct, payNowPct: plan.payNowPct, freeCancelUntil};
+};
+
+/**
+ * Condición de cancelación de un plan ya fechado (reserva o cotización).
+ * @method planCancelText
+ * @param {{id:string, freeCancelUntil:(string|null)}} plan - planTerms.
+ * @param {Date} [today]
+ * @return {string}
+ */
+const planCancelText = ({id, freeCancelUntil}, today = new Date()) => {
+    if (!freeCancelUntil) return t("plan.policy.nonref");
+    if (freeCancelUntil < toISODate(today)) return t("plan.policy.tooLate");
+    return t(`plan.policy.${id === "hotel" ? "depositFree" : "free"}`, {date: formatDate(freeCancelUntil)});
+};
+
+/**
+ * Política completa antes de pagar: seña (si el plan no cobra todo ahora) y cancelación.
+ * @method planPolicyText
+ * @param {{plan:Object, dueNow:number, dueAtHotel:number}} q - Cotización o checkout.
+ * @return {string}
+ */
+const planPolicyText = (q) => {
+    const deposit = q.plan.payNowPct < 100 ? t("plan.policy.deposit", {
+        pct: q.plan.payNowPct,
+        deposit: formatMoney(q.dueNow, SETTLEMENT_CURRENCY),
+        balance: formatMoney(q.dueAtHotel, SETTLEMENT_CURRENCY),
+    }) : "";
+    return [deposit, planCancelText(q.plan)].filter(Boolean).join(" ");
+};
+
+/**
+ * Cuánto se devuelve si se cancela una reserva hoy, según el plan con el que se pagó.
+ * Hasta freeCancelUntil (inclusive) se devuelve todo lo pagado; después, nada.
+ * @method computeRefund
+ * @param {{plan?:Object, amountPaid:number}} reservation
+ * @param {Date} [now]
+ * @return {{amount:number, free:boolean, deadline:(string|null)}}
+ */
+const computeRefund = (reservation, now = new Date()) => {
+    const deadline = reservation.plan?.freeCancelUntil ?? null;
+    const free = Boolean(deadline) && toISODate(now) <= deadline;
+    return {amount: free ? roundMoney(reservation.amountPaid) : 0, free, deadline};
+};
+
+/**
+ * Qué pasaría si se cancela hoy, para mostrar en "Mi reserva".
+ * @method refundText
+ * @param {{plan?:Object, amountPaid:number, currency:string}} reservation
+ * @return {string}
+ */
+const refundText = (reservation) => {
+    const refund = computeRefund(reservation);
+    return refund.free
+        ? t("plan.refund", {amount: formatMoney(refund.amount, reservation.currency), date: formatDate(refund.deadline)})
+        : t("plan.noRefund");
+};
+
+/**
+ * Redondea a centavos.
+ * @method roundMoney
+ * @param {number} n
+ * @return {number}
+ */
+const roundMoney = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Temporada que corresponde a una noche (o null si es tarifa regular).
+ * @method findSeason
+ * @param {string} iso - Noche yyyy-mm-dd.
+ * @return {{id:string, from:string, to:string, factor:number, minStay:number}|null}
+ */
+const findSeason = (iso) => {
+    const md = iso.slice(5);
+    return RATES.seasons.find(({from, to}) =>
+        from <= to ? md >= from && md <= to : md >= from || md <= to
+    ) || null;
+};
+
+/**
+ * Inventario con el que se cotiza, que trae las tarifas fijadas por fecha en la consola:
+ * el que la página pidió a la API o, si todavía no hay, el guardado.
+ * @method pricingInventory
+ * @return {Object}
+ */
+const pricingInventory = () => bookingInventory || loadInventory();
+
+/**
+ * Precio de una noche para un tipo de habitación. Una tarifa fijada para esa fecha
+ * reemplaza la calculada (temporada y fin de semana).
+ * @method nightlyRate
+ * @param {string} id - Tipo de habitación (id de ROOM_CATALOG).
+ * @param {string} iso - Noche yyyy-mm-dd.
+ * @param {Object} [inv] - Inventario (pricingInventory).
+ * @return {{date:string, price:number, season:(string|null), weekend:boolean}}
+ */
+const nightlyRate = (id, iso, inv = pricingInventory()) => {
+    const season = findSeason(iso);
+    const weekend = RATES.weekend.days.includes(parseISODate(iso).getDay());
+    const custom = Number(inv[iso]?.[id]?.rate);
+    if (custom > 0) return {date: iso, price: roundMoney(custom), season: season ? season.id : null, weekend};
+    let price = (RATES.base[id] || 0) * (season ? season.factor : 1);
+    if (weekend) price *= 1 + RATES.weekend.surcharge;
+    return {date: iso, price: roundMoney(price), season: season ? season.id : null, weekend};
+};
+
+/**
+ * Estadía mínima exigida: la mayor entre las temporadas que toca la estadía.
+ * @method getMinStay
+ * @param {string[]} nights - Noches yyyy-mm-dd.
+ * @return {{nights:number, season:(string|null)}}
+ */
+const getMinStay = (nights) => nights.reduce((acc, iso) => {
+    const season = findSeason(iso);
+    return season && season.minStay > acc.nights ? {nights: season.minStay, season: season.id} : acc;
+}, {nights: 1, season: null});
+
+/**
+ * Mensaje de estadía mínima en el idioma elegido.
+ * @method minStayMessage
+ * @param {{nights:number, season:(string|null)}} minStay
+ * @return {string}
+ */
+const minStayMessage = (minStay) =>
+    t("minStay.msg", {season: t(`season.${minStay.season}`), nights: t("unit.night", {count: minStay.nights})});
+
+/**
+ * Cotiza la estadía noche por noche.
+ * @method priceStay
+ * @param {Object<string, number>} qty - Cantidades por tipo.
+ * @param {Date} checkIn - Fecha de ingreso.
+ * @param {Date} checkOut - Fecha de egreso.
+ * @return {{
+ *   nights:number,
+ *   lines:{id:string, name:string, qty:number, nights:{date:string, price:number, season:(string|null), weekend:boolean}[], subtotal:number}[],
+ *   subtotal:number,
+ *   stayDiscount:({id:string, pct:number, amount:number}|null),
+ *   total:number,
+ *   minStay:{nights:number, season:(string|null)}
+ * }}
+ */
+const priceStay = (qty, checkIn, checkOut) => {
+    const dates = eachNight(checkIn, checkOut);
+    const inv = pricingInventory();
+    const lines = Object.keys(RATES.base)
+        .filter((id) => qty[id] > 0)
+        .map((id) => {
+            const nights = dates.map((iso) => nightlyRate(id, iso, inv));
+            const perRoom = nights.reduce((sum, n) => sum + n.price, 0);
+            return {id, name: getRoomCopy(id).title, qty: qty[id], nights, subtotal: roundMoney(perRoom * qty[id])};
+        });
+    const subtotal = roundMoney(lines.reduce((sum, l) => sum + l.subtotal, 0));
+
+    const rule = RATES.stayDiscounts
+        .filter((d) => dates.length >= d.minNights)
+        .sort((a, b) => b.pct - a.pct)[0];
+    const stayDiscount = rule && subtotal > 0
+        ? {id: rule.id, pct: rule.pct, amount: roundMoney(subtotal * rule.pct / 100)}
+        : null;
+
+    return {
+        nights: dates.length,
+        lines,
+        subtotal,
+        stayDiscount,
+        total: roundMoney(subtotal - (stayDiscount ? stayDiscount.amount : 0)),
+        minStay: getMinStay(dates),
+    };
+};
+
+/* Códigos promocionales */
+
+/**
+ * Reglas de cada código (todas opcionales salvo code/type/value; el nombre sale de t("promo.<code>")):
+ * - type "percent" | "fixed" (USD)
+ * - validFrom/validTo: ventana en la que se puede reservar con el código
+ * - stayFrom/stayTo: ventana en la que tiene que caer el check-in
+ * - earlyBirdDays: reservar con al menos N días de anticipación
+ * - minNights: estadía mínima
+ * - rooms: tipos de habitación sobre los que aplica
+ * - maxUses: usos totales permitidos
+ */
+const PROMO_CODES = [
+    {code: "BLUE10", type: "percent", value: 10, validFrom: "2025-01-01", validTo: "2027-12-31"},
+    {code: "WELCOME50", type: "fixed", value: 50, maxUses: 100},
+    {code: "EARLYBIRD", type: "percent", value: 15, earlyBirdDays: 60},
+    {code: "STAYLONGER", type: "percent", value: 12, minNights: 5},
+    {code: "FAMILY80", type: "fixed", value: 80, rooms: ["fam"]},
+    {code: "WINTERSUN", type: "percent", value: 20, stayFrom: "2026-11-01", stayTo: "2027-03-31"},
+];
+
+const PROMO_USES_KEY = "sb_promo_uses";
+
+/**
+ * Usos registrados por código.
+ * @method loadPromoUses
+ * @return {Object<string, number>}
+ */
+const loadPromoUses = () => {
+    try {
+        return JSON.parse(localStorage.getItem(PROMO_USES_KEY) || "{}") || {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Suma un uso al código (se llama al confirmar el pago).
+ * @method registerPromoUse
+ * @param {string} code
+ * @return {void}
+ */
+const registerPromoUse = (code) => {
+    const uses = loadPromoUses();
+    uses[code] = (uses[code] || 0) + 1;
+    localStorage.setItem(PROMO_USES_KEY, JSON.stringify(uses));
+};
+
+/**
+ * Evalúa un código contra una cotización.
+ * @method evaluatePromo
+ * @param {string} rawCode - Código tal como lo escribió el huésped.
+ * @param {{lines:{id:string, name:string, subtotal:number}[], subtotal:number, total:number, nights:number}} quote - Resultado de priceStay.
+ * @param {string} checkin - Check-in yyyy-mm-dd.
+ * @param {Date} [today] - Fecha de la reserva.
+ * @return {{ok:true, promo:{code:string, amount:number}}|{ok:false, reason:string}}
+ */
+const evaluatePromo = (rawCode, quote, checkin, today = new Date()) => {
+    const code = (rawCode || "").trim().toUpperCase();
+    const rule = PROMO_CODES.find((p) => p.code === code);
+    const reject = (reason) => ({ok: false, reason});
+
+    if (!code) return reject(t("promo.err.empty"));
+    if (!rule) return reject(t("promo.err.unknown", {code}));
+
+    const todayISO = toISODate(today);
+    if (rule.validFrom && todayISO < rule.validFrom) return reject(t("promo.err.notYet", {code, date: formatDate(rule.validFrom)}));
+    if (rule.validTo && todayISO > rule.validTo) return reject(t("promo.err.expired", {code, date: formatDate(rule.validTo)}));
+    if (rule.maxUses && (loadPromoUses()[code] || 0) >= rule.maxUses) return reject(t("promo.err.limit", {code}));
+    if (!quote.nights || !quote.lines.length) return reject(t("promo.err.noQuote"));
+
+    if (rule.stayFrom && (checkin < rule.stayFrom || checkin > rule.stayTo)) {
+        return reject(t("promo.err.stayWindow", {code, from: formatDate(rule.stayFrom), to: formatDate(rule.stayTo)}));
+    }
+    if (rule.minNights && quote.nights < rule.minNights) {
+        return reject(t("promo.err.minNights", {code, nights: t("unit.night", {count: rule.minNights}), count: quote.nights}));
+    }
+    if (rule.earlyBirdDays) {
+        const daysAhead = calcNights(parseISODate(todayISO), parseISODate(checkin));
+        if (daysAhead < rule.earlyBirdDays) {
+            return reject(t("promo.err.earlyBird", {
+                code,
+                days: t("unit.day", {count: rule.earlyBirdDays}),
+                ahead: t("unit.day", {count: daysAhead}),
+            }));
+        }
+    }
+
+    // base: lo que queda de las habitaciones elegibles después del descuento por estadía
+    const eligible = rule.rooms ? quote.lines.filter((l) => rule.rooms.includes(l.id)) : quote.lines;
+    if (!eligible.length) {
+        const rooms = rule.rooms.map((id) => getRoomCopy(id).title).join(", ");
+        return reject(t("promo.err.rooms", {code, rooms}));
+    }
+    const eligibleSubtotal = eligible.reduce((sum, l) => sum + l.subtotal, 0);
+    const base = quote.subtotal > 0 ? quote.total * eligibleSubtotal / quote.subtotal : 0;
+    const amount = rule.type === "percent" ? base * rule.value / 100 : Math.min(rule.value, base);
+
+    return {ok: true, promo: {code, amount: roundMoney(amount)}};
+};
+
+/* Impuestos y cargos */
+
+/**
+ * Configuración de impuestos (Grecia):
+ * - vatPct: IVA de alojamiento, sobre habitaciones y cargo por servicio
+ * - stayTaxPerRoomNight: tasa de estadía por habitación y noche (USD, no lleva IVA)
+ * - serviceFeePct: cargo por servicio opcional (0 lo desactiva)
+ * - displayMode: "excluded" muestra tarifas netas; "included" con IVA y cargo incluidos
+ */
+const TAXES = {
+    vatPct: 13,
+    stayTaxPerRoomNight: 4,
+    serviceFeePct: 2,
+    displayMode: "excluded",
+};
+
+const TAX_MODE_KEY = "sb_tax_mode";
+
+/**
+ * Modo de visualización elegido por el huésped (o el de TAXES).
+ * @method getTaxMode
+ * @return {"included"|"excluded"}
+ */
+const getTaxMode = () => {
+    const mode = localStorage.getItem(TAX_MODE_KEY);
+    return mode === "included" || mode === "excluded" ? mode : TAXES.displayMode;
+};
+
+/**
+ * Importe a mostrar según el modo: neto, o con cargo por servicio e IVA incluidos.
+ * @method displayAmount
+ * @param {number} net - Importe neto.
+ * @return {number}
+ */
+const displayAmount = (net) => getTaxMode() === "included"
+    ? roundMoney(net * (1 + TAXES.serviceFeePct / 100) * (1 + TAXES.vatPct / 100))
+    : roundMoney(net);
+
+/**
+ * Calcula impuestos y cargos sobre el neto de habitaciones.
+ * @method computeTaxes
+ * @param {number} net - Habitaciones después de descuentos más extras.
+ * @param {number} roomNights - Habitaciones × noches.
+ * @return {{serviceFee:number, vat:number, stayTax:number, roomNights:number, total:number}}
+ */
+const computeTaxes = (net, roomNights) => {
+    const serviceFee = roundMoney(net * TAXES.serviceFeePct / 100);
+    const vat = roundMoney((net + serviceFee) * TAXES.vatPct / 100);
+    const stayTax = roundMoney(roomNights * TAXES.stayTaxPerRoomNight);
+    return {serviceFee, vat, stayTax, roomNights, total: roundMoney(serviceFee + vat + stayTax)};
+};
+
+/**
+ * Renglones de totales (subtotal, descuentos, impuestos) para los resúmenes de booking y payment.
+ * En modo "included" el IVA y el cargo por servicio se informan como "Includes …".
+ * @method buildTotalsRows
+ * @param {{subtotal:number, stayDiscount:(Object|null), promo:(Object|null), plan?:Object, planDiscount?:number, extrasTotal?:number, taxes:(Object|null)}} q - Cotización o checkout.
+ * @return {{label:string, amount:number, info?:boolean}[]} amount negativo para descuentos.
+ */
+const buildTotalsRows = (q) => {
+    const rows = [{label: t("totals.subtotal"), amount: displayAmount(q.subtotal)}];
+    if (q.stayDiscount) {
+        rows.push({label: `${t(`discount.${q.stayDiscount.id}`)} (${q.stayDiscount.pct}%)`, amount: -displayAmount(q.stayDiscount.amount)});
+    }
+    if (q.promo) {
+        rows.push({label: t("totals.promo", {code: q.promo.code, label: t(`promo.${q.promo.code}`)}), amount: -displayAmount(q.promo.amount)});
+    }
+    if (q.planDiscount) {
+        rows.push({label: `${t(`plan.${q.plan.id}`)} (−${q.plan.discountPct}%)`, amount: -displayAmount(q.planDiscount)});
+    }
+    if (q.extrasTotal) rows.push({label: t("totals.extras"), amount: displayAmount(q.extrasTotal)});
+
+    const tax = q.taxes;
+    if (!tax) return rows;
+    const included = getTaxMode() === "included";
+    if (tax.serviceFee) {
+        rows.push({label: t(included ? "totals.serviceFeeIncl" : "totals.serviceFee", {pct: TAXES.serviceFeePct}), amount: tax.serviceFee, info: included});
+    }
+    if (tax.vat) rows.push({label: t(included ? "totals.vatIncl" : "totals.vat", {pct: TAXES.vatPct}), amount: tax.vat, info: included});
+    if (tax.stayTax) {
+        rows.push({
+            label: t("totals.stayTax", {
+                rate: formatPrice(TAXES.stayTaxPerRoomNight),
+                roomNights: t("unit.roomNight", {count: tax.roomNights}),
+            }),
+            amount: tax.stayTax,
+        });
+    }
+    return rows;
+};
+
+/**
+ * Pinta los renglones de totales con la clase de cada resumen.
+ * @method renderTotalsRows
+ * @param {{label:string, amount:number, info?:boolean}[]} rows
+ * @param {string} cls - "resumen-row" | "sum-row".
+ * @return {string} HTML.
+ */
+const renderTotalsRows = (rows, cls) => rows.map((r) => `
+    <div class="${cls}${r.info ? " is-info" : ""}">
+      <span>${r.label}</span>
+      <span>${r.amount < 0 ? "−" : ""}${formatPrice(Math.abs(r.amount))}</span>
+    </div>`).join("");
+
+/**
+ * Conecta el checkbox #tax-mode ("prices with taxes included") y guarda la elección.
+ * @method bindTaxModeToggle
+ * @param {function():void} onChange - Vuelve a pintar el resumen.
+ * @return {void}
+ */
+const bindTaxModeToggle = (onChange) => {
+    const toggle = document.getElementById("tax-mode");
+    if (!toggle) return;
+    toggle.checked = getTaxMode() === "included";
+    toggle.addEventListener("change", () => {
+        localStorage.setItem(TAX_MODE_KEY, toggle.checked ? "included" : "excluded");
+        onChange();
+    });
+};
+
+/* Extras */
+
+/** EXTRAS_CATALOG indexado por id. */
+const EXTRAS_DB = Object.fromEntries(EXTRAS_CATALOG.map((extra) => [extra.id, extra]));
+
+/**
+ * Textos de un extra en el idioma elegido.
+ * @method getExtraCopy
+ * @param {string} id
+ * @return {{title:string, desc:string, unit?:string}}
+ */
+const getExtraCopy = (id) => EXTRAS_DB[id].copy[getLang()] || EXTRAS_DB[id].copy.en;
+
+/**
+ * Cómo se cobra un extra ("per guest, per night").
+ * @method extraUnitLabel
+ * @param {string} id
+ * @return {string}
+ */
+const extraUnitLabel = (id) => getExtraCopy(id).unit
+    || (EXTRAS_DB[id].per.length ? EXTRAS_DB[id].per.map((p) => t(`extras.per.${p}`)).join(", ") : t("extras.per.stay"));
+
+/**
+ * Un extra de cantidad 0/1 sin tope por habitación o huésped se elige con un checkbox.
+ * @method isExtraToggle
+ * @param {string} id
+ * @return {boolean}
+ */
+const isExtraToggle = (id) => EXTRAS_DB[id].maxQty === 1 && !EXTRAS_DB[id].maxPer;
+
+/**
+ * Tope de cantidad de un extra para la reserva (maxQty × habitaciones o huéspedes si tiene maxPer).
+ * @method extraMaxQty
+ * @param {string} id
+ * @param {{rooms:number, guests:number}} stay
+ * @return {number}
+ */
+const extraMaxQty = (id, {rooms, guests}) => {
+    const extra = EXTRAS_DB[id];
+    const factor = {room: rooms, guest: guests}[extra.maxPer] ?? 1;
+    return extra.maxQty * factor;
+};
+
+/**
+ * Cotiza los extras elegidos: precio × cantidad × lo que indique "per"
+ * (noches, huéspedes sin bebés, habitaciones). Sin noches, lo que va por noche da 0.
+ * @method priceExtras
+ * @param {Object<string, {qty:number, date?:string}>} selection - Por id de extra.
+ * @param {{nights:number, rooms:number, guests:number}} stay
+ * @return {{lines:{id:string, name:string, qty:number, date:string, units:number, subtotal:number}[], total:number}}
+ */
+const priceExtras = (selection, {nights, rooms, guests}) => {
+    const factors = {night: nights, guest: guests, room: rooms};
+    const lines = EXTRAS_CATALOG
+        .filter((extra) => selection[extra.id]?.qty > 0)
+        .map((extra) => {
+            const {qty, date = ""} = selection[extra.id];
+            const units = extra.per.reduce((acc, p) => acc * factors[p], qty);
+            return {
+                id: extra.id,
+                name: getExtraCopy(extra.id).title,
+                qty,
+                date: extra.dated ? date : "",
+                units,
+                subtotal: roundMoney(extra.price * units),
+            };
+        });
+    return {lines, total: roundMoney(lines.reduce((sum, l) => sum + l.subtotal, 0))};
+};
+
+/**
+ * Texto de una línea de extra para los resúmenes ("Sunset catamaran cruise × 2 · Tue, 2 Feb").
+ * @method extraLineLabel
+ * @param {{id:string, name:string, qty:number, date:string}} line
+ * @return {string}
+ */
+const extraLineLabel = (line) => {
+    const known = line.id in EXTRAS_DB;
+    const name = known ? getExtraCopy(line.id).title : line.name;
+    const qty = known && isExtraToggle(line.id) ? "" : ` × ${line.qty}`;
+    return `${name}${qty}${line.date ? ` · ${formatNight(line.date)}` : ""}`;
+};
+
+/**
+ * Renglones de extras para los resúmenes de payment, mi reserva y confirmación.
+ * @method renderExtraLines
+ * @param {Object[]} lines - extras de la cotización o la reserva.
+ * @param {string} cls - "sum-row".
+ * @return {string} HTML ("" si no hay extras).
+ */
+const renderExtraLines = (lines = [], cls) => (lines.length ? `
+    <div class="${cls} is-heading"><span>${t("extras.title")}</span></div>` : "") + lines.map((line) => `
+    <div class="${cls}">
+      <span>${extraLineLabel(line)}</span>
+      <span>${line.subtotal ? formatPrice(displayAmount(line.subtotal)) : t("extras.free")}</span>
+    </div>`).join("");
+
+/**
+ * Arma en #extras-list un renglón por extra: checkbox o stepper y, si es de un solo día, la fecha.
+ * Conserva lo que ya estaba elegido (se vuelve a llamar al cambiar de idioma).
+ * @method renderExtrasPicker
+ * @return {void}
+ */
+const renderExtrasPicker = () => {
+    const list = document.getElementById("extras-list");
+    if (!list) return;
+    const selection = readExtras();
+    list.innerHTML = EXTRAS_CATALOG.map((extra) => {
+        const copy = getExtraCopy(extra.id);
+        const name = `extra_${extra.id}_qty`;
+        const control = isExtraToggle(extra.id)
+            ? `<input type="checkbox" id="${name}" name="${name}" aria-describedby="extra_${extra.id}_price">`
+            : `<div class="counter nojs">
+                  <button type="button" class="qty-btn" data-action="dec" data-target="${name}" aria-controls="${name}"
+                          tabindex="-1" aria-label="${t("room.decrease", {name: copy.title})}">−</button>
+                  <input id="${name}" type="number" name="${name}" min="0" max="${extra.maxQty}" value="0"
+                         inputmode="numeric" size="2" aria-describedby="extra_${extra.id}_price">
+                  <button type="button" class="qty-btn" data-action="inc" data-target="${name}" aria-controls="${name}"
+                          tabindex="-1" aria-label="${t("room.increase", {name: copy.title})}">+</button>
+               </div>`;
+        return `
+      <li class="extra${isExtraToggle(extra.id) ? " is-toggle" : ""}" data-extra="${extra.id}">
+        <div class="extra-head">
+          ${isExtraToggle(extra.id) ? control : ""}
+          <label class="extra-name" for="${name}">${copy.title}</label>
+          <span class="extra-total"></span>
+        </div>
+        <p class="extra-desc">${copy.desc}
+          <span class="extra-price" id="extra_${extra.id}_price"></span></p>
+        ${isExtraToggle(extra.id) ? "" : control}
+        ${extra.dated ? `
+        <div class="extra-date" hidden>
+          <label for="extra_${extra.id}_date">${t("extras.date")}</label>
+          <select id="extra_${extra.id}_date" name="extra_${extra.id}_date" data-value=""></select>
+        </div>` : ""}
+      </li>`;
+    }).join("");
+    setExtrasSelection(selection);
+};
+
+/**
+ * Lee los extras elegidos en booking.html.
+ * @method readExtras
+ * @return {Object<string, {qty:number, date:string}>} Solo los que tienen cantidad.
+ */
+const readExtras = () => Object.fromEntries(EXTRAS_CATALOG
+    .map((extra) => {
+        const input = document.querySelector(`[name="extra_${extra.id}_qty"]`);
+        const qty = !input ? 0 : input.type === "checkbox" ? Number(input.checked) : Number(input.value) || 0;
+        const date = document.querySelector(`[name="extra_${extra.id}_date"]`)?.dataset.value || "";
+        return [extra.id, {qty, date}];
+    })
+    .filter(([, sel]) => sel.qty > 0));
+
+/**
+ * Carga una selección de extras en el picker (al restaurar sb_checkout).
+ * @method setExtrasSelection
+ * @param {Object<string, {qty:number, date?:string}>} selection
+ * @return {void}
+ */
+const setExtrasSelection = (selection) => {
+    EXTRAS_CATALOG.forEach((extra) => {
+        const sel = selection[extra.id] || {qty: 0, date: ""};
+        const input = document.querySelector(`[name="extra_${extra.id}_qty"]`);
+        if (input?.type === "checkbox") input.checked = sel.qty > 0;
+        else if (input) input.value = String(sel.qty);
+        const date = document.querySelector(`[name="extra_${extra.id}_date"]`);
+        if (date) date.dataset.value = sel.date || "";
+    });
+};
+
+/**
+ * Pone el picker de extras al día con la estadía: recorta cantidades al tope, arma los días a elegir
+ * y muestra el precio unitario en la moneda y el modo de impuestos elegidos.
+ * Va antes de cotizar, así la cotización ya usa lo recortado.
+ * @method syncExtrasPicker
+ * @param {{nights:string[], rooms:number, guests:number}} stay - Noches yyyy-mm-dd.
+ * @return {void}
+ */
+const syncExtrasPicker = ({nights, rooms, guests}) => {
+    document.querySelectorAll("#extras-list [data-extra]").forEach((row) => {
+        const id = row.dataset.extra;
+        row.querySelector(".extra-price").textContent = EXTRAS_DB[id].price
+            ? `${formatPrice(displayAmount(EXTRAS_DB[id].price))} ${extraUnitLabel(id)}`
+            : t("extras.free");
+        const input = row.querySelector(`[name="extra_${id}_qty"]`);
+        if (input.type === "number") {
+            const max = extraMaxQty(id, {rooms, guests});
+            input.max = String(max);
+            if (Number(input.value) > max) input.value = String(max);
+            row.querySelector('[data-action="inc"]').disabled = Number(input.value) >= max;
+        }
+        const selected = input.type === "checkbox" ? input.checked : Number(input.value) > 0;
+        row.classList.toggle("is-selected", selected);
+
+        const select = row.querySelector("select");
+        if (select) {
+            if (!nights.includes(select.dataset.value)) select.dataset.value = "";
+            const key = nights.join(",");
+            if (select.dataset.nights !== key) {
+                select.innerHTML = `<option value="">${t("extras.datePlaceholder")}</option>`
+                    + nights.map((iso) => `<option value="${iso}">${formatNight(iso)}</option>`).join("");
+                select.dataset.nights = key;
+            }
+            select.value = select.dataset.value;
+            select.closest(".extra-date").hidden = !selected || !nights.length;
+        }
+    });
+};
+
+/**
+ * Subtotal de cada extra elegido junto a su nombre (vacío hasta que haya fechas).
+ * @method renderExtraTotals
+ * @param {Object[]} lines - quote.extras
+ * @param {number} nights
+ * @return {void}
+ */
+const renderExtraTotals = (lines, nights) => {
+    document.querySelectorAll("#extras-list [data-extra]").forEach((row) => {
+        const line = lines.find((l) => l.id === row.dataset.extra);
+        const amount = line?.subtotal ? formatPrice(displayAmount(line.subtotal)) : t("extras.free");
+        row.querySelector(".extra-total").textContent = line && nights ? amount : "";
+    });
+};
+
+/**
+ * Extras de un solo día que quedaron sin fecha.
+ * @method missingExtraDates
+ * @param {Object<string, {qty:number, date:string}>} selection
+ * @return {string[]} Mensajes para el modal.
+ */
+const missingExtraDates = (selection) => Object.keys(selection)
+    .filter((id) => EXTRAS_DB[id].dated && !selection[id].date)
+    .map((id) => t("extras.dateMissing", {name: getExtraCopy(id).title}));
+
+/**
+ * Cotización completa: habitaciones por noche + código promocional + plan tarifario + extras + impuestos.
+ * Los descuentos (estadía, promo y plan) son solo sobre habitaciones; los extras suman al neto y llevan IVA.
+ * @method buildQuote
+ * @param {Object<string, number>} qty - Cantidades por tipo.
+ * @param {Date} checkIn - Fecha de ingreso.
+ * @param {Date} checkOut - Fecha de egreso.
+ * @param {{promoCode?:string, plan?:string, extras?:Object<string, {qty:number, date?:string}>, party?:{adults:number, childAges:(number|null)[]}}} [opts]
+ * @return {Object} Lo mismo que priceStay más promo ({code,amount}|null), promoError, plan (planTerms),
+ *  planDiscount, extras (líneas), extrasTotal, net (habitaciones con descuentos + extras),
+ *  taxes (computeTaxes), total final, dueNow (lo que se cobra ahora) y dueAtHotel.
+ */
+const buildQuote = (qty, checkIn, checkOut, {promoCode = "", plan = DEFAULT_RATE_PLAN, extras = {}, party = null} = {}) => {
+    const stay = priceStay(qty, checkIn, checkOut);
+    const checkin = checkIn ? toISODate(checkIn) : "";
+    const result = promoCode ? evaluatePromo(promoCode, stay, checkin) : null;
+    const promo = result?.ok ? result.promo : null;
+    const terms = planTerms(plan, checkin);
+    const rooms = roundMoney(stay.total - (promo ? promo.amount : 0));
+    const planDiscount = roundMoney(rooms * terms.discountPct / 100);
+    const addOns = priceExtras(extras, {
+        nights: stay.nights,
+        rooms: stay.lines.reduce((sum, l) => sum + l.qty, 0),
+        guests: party ? partyBeds(party) : 0,
+    });
+    const net = roundMoney(rooms - planDiscount + addOns.total);
+    const roomNights = stay.lines.reduce((sum, l) => sum + l.qty * l.nights.length, 0);
+    const taxes = computeTaxes(net, roomNights);
+    const total = roundMoney(net + taxes.total);
+    const dueNow = roundMoney(total * terms.payNowPct / 100);
+    return {
+        ...stay,
+        promo,
+        promoError: result && !result.ok ? result.reason : "",
+        plan: terms,
+        planDiscount,
+        extras: addOns.lines,
+        extrasTotal: addOns.total,
+        net,
+        taxes,
+        total,
+        dueNow,
+        dueAtHotel: roundMoney(total - dueNow),
     };
 };
 
 /**
- * Calcula el total en base a noches y cantidades por tipo de habitación.
- * @method computeTotal
- * @param {{std:number,sup:number,fam:number}} qty - Cantidades por tipo.
- * @param {number} nights - Cantidad de noches.
- * @return {number} Total.
+ * Arma en #rate-plans un radio por plan (name="rate_plan"). Conserva el elegido.
+ * @method renderPlanPicker
+ * @return {void}
+ */
+const renderPlanPicker = () => {
+    const list = document.getElementById("rate-plans");
+    if (!list) return;
+    const selected = list.querySelector('input[name="rate_plan"]:checked')?.value || DEFAULT_RATE_PLAN;
+    list.innerHTML = RATE_PLANS.map((plan) => `
+      <li class="plan" data-plan="${plan.id}">
+        <input type="radio" id="plan_${plan.id}" name="rate_plan" value="${plan.id}"
+               aria-describedby="plan_${plan.id}_policy"${plan.id === selected ? " checked" : ""}>
+        <label class="plan-name" for="plan_${plan.id}">${t(`plan.${plan.id}`)}</label>
+        <span class="plan-price"></span>
+        <p class="plan-policy" id="plan_${plan.id}_policy"></p>
+      </li>`).join("");
+};
+
+/**
+ * Plan marcado en booking.html.
+ * @method getSelectedPlan
+ * @return {string}
+ */
+const getSelectedPlan = () =>
+    document.querySelector('#rate-plans input[name="rate_plan"]:checked')?.value || DEFAULT_RATE_PLAN;
+
+/**
+ * Marca un plan (al restaurar sb_checkout o un enlace). syncPlanPicker lo corrige si no se ofrece.
+ * @method setSelectedPlan
+ * @param {string} planId
+ * @return {void}
+ */
+const setSelectedPlan = (planId) => {
+    const radio = document.getElementById(`plan_${planId}`);
+    if (radio) radio.checked = true;
+};
+
+/**
+ * Habilita los planes que ofrecen todos los tipos elegidos y, si el marcado dejó de estar,
+ * pasa al primero que quede. Va antes de cotizar.
+ * @method syncPlanPicker
+ * @param {Object<string, number>} qty
+ * @return {string} id del plan elegido.
+ */
+const syncPlanPicker = (qty) => {
+    const offered = offeredPlans(qty);
+    const radios = [...document.querySelectorAll('#rate-plans input[name="rate_plan"]')];
+    radios.forEach((radio) => {
+        radio.disabled = !offered.includes(radio.value);
+    });
+    let checked = radios.find((radio) => radio.checked && !radio.disabled);
+    if (!checked && radios.length) {
+        checked = radios.find((radio) => radio.value === offered[0]);
+        if (checked) checked.checked = true;
+    }
+    return checked?.value || offered[0] || DEFAULT_RATE_PLAN;
+};
+
+/**
+ * Precio total y condiciones de cada plan para la selección actual. Los que no se ofrecen
+ * dicen para qué habitaciones no valen; sin fechas se muestra la condición en días.
+ * @method renderPlanPrices
+ * @param {Object<string, number>} qty
+ * @param {(plan:string) => Object} quoteFor - Cotiza la selección con ese plan.
+ * @param {number} nights
+ * @return {void}
+ */
+const renderPlanPrices = (qty, quoteFor, nights) => {
+    const ids = Object.keys(qty).filter((id) => qty[id] > 0);
+    document.querySelectorAll("#rate-plans [data-plan]").forEach((row) => {
+        const plan = RATE_PLANS_DB[row.dataset.plan];
+        const missing = ids.filter((id) => !ROOMS_DB[id].plans.includes(plan.id));
+        const priced = nights > 0 && ids.length > 0 && !missing.length;
+        const quote = priced ? quoteFor(plan.id) : null;
+        row.classList.toggle("is-disabled", missing.length > 0);
+        row.querySelector(".plan-price").textContent = quote ? formatPrice(quote.total) : "";
+        row.querySelector(".plan-policy").textContent = missing.length
+            ? t("plan.unavailable", {rooms: formatList(missing.map((id) => getRoomCopy(id).title))})
+            : quote ? planPolicyText(quote) : t(`plan.${plan.id}.short`, {
+                days: plan.freeCancelDays,
+                pct: plan.discountPct,
+                deposit: plan.payNowPct,
+            });
+    });
+};
+
+/**
+ * Texto corto de una noche para el desglose ("Fri 12 Jun").
+ * @method formatNight
+ * @param {string} iso - Noche yyyy-mm-dd.
+ * @return {string}
+ */
+const formatNight = (iso) => formatDate(iso, {weekday: "short", day: "numeric", month: "short"});
+
+/**
+ * HTML del desglose por noche de una línea de habitación.
+ * @method renderNightBreakdown
+ * @param {{qty:number, nights:{date:string, price:number, season:(string|null), weekend:boolean}[]}} line
+ * @return {string}
+ */
+const renderNightBreakdown = (line) => `
+      <details class="night-breakdown">
+        <summary>${t("price.perNight")}</summary>
+        <ul>${line.nights.map((n) => `
+          <li>
+            <span>${formatNight(n.date)}${n.season ? ` · ${t(`season.${n.season}`)}` : ""}${n.weekend ? ` · ${t("price.weekend")}` : ""}</span>
+            <span>${line.qty > 1 ? `${line.qty} × ` : ""}${formatPrice(displayAmount(n.price))}</span>
+          </li>`).join("")}
+        </ul>
+      </details>`;
+
+/**
+ * Actualiza el precio de cada .room-card: tarifa base sin fechas,
+ * o "from" la noche más barata del rango elegido.
+ * @method renderRoomPrices
+ * @param {Date|null} checkIn
+ * @param {Date|null} checkOut
+ * @return {void}
+ */
+const renderRoomPrices = (checkIn, checkOut) => {
+    const dates = eachNight(checkIn, checkOut);
+    const inv = pricingInventory();
+    Object.keys(RATES.base).forEach((id) => {
+        const el = roomQtyInput(id)?.closest(".room-card")?.querySelector(".room-price");
+        if (!el) return;
+        if (!dates.length) {
+            el.textContent = formatPrice(displayAmount(RATES.base[id]));
+            return;
+        }
+        const prices = dates.map((iso) => displayAmount(nightlyRate(id, iso, inv).price));
+        const min = Math.min(...prices);
+        el.textContent = prices.every((p) => p === min) ? formatPrice(min) : t("price.from", {price: formatPrice(min)});
+    });
+};
+
+/**
+ * Código promocional aplicado en el resumen ("" si no hay).
+ * @method getAppliedPromo
+ * @return {string}
+ */
+const getAppliedPromo = () => document.getElementById("promo-code")?.dataset.applied || "";
+
+/**
+ * Muestra bajo el campo si el código aplicado sigue valiendo para la selección actual.
+ * @method renderPromoStatus
+ * @param {{promo:(Object|null), promoError:string}} quote
+ * @return {void}
+ */
+const renderPromoStatus = (quote) => {
+    const status = document.querySelector(".promo-status");
+    if (!status) return;
+    const code = getAppliedPromo();
+    const removeBtn = `<button type="button" class="link-like" data-action="remove-promo">${t("summary.remove")}</button>`;
+    status.classList.toggle("is-invalid", Boolean(code && quote.promoError));
+    if (!code) status.innerHTML = "";
+    else if (quote.promo) {
+        status.innerHTML = `${t("promo.applied", {code, label: t(`promo.${code}`)})} ${removeBtn}`;
+    } else {
+        status.innerHTML = `${t("promo.notApplied", {code, reason: quote.promoError})} ${removeBtn}`;
+    }
+};
+
+/**
+ * Aplica el código escrito. Si no corresponde, explica el motivo en el modal.
+ * @method applyPromoCode
+ * @return {void}
  */
-const computeTotal = (qty, nights) => {
-    const PRICES = {std: 200, sup: 300, fam: 400}; // USD por noche
-    const sub =
-        qty.std * PRICES.std + qty.sup * PRICES.sup + qty.fam * PRICES.fam;
-    return sub * (nights || 0);
+const applyPromoCode = () => {
+    const input = document.getElementById("promo-code");
+    const inEl = document.getElementById("checkin");
+    const outEl = document.getElementById("checkout");
+    if (!input || !inEl || !outEl) return;
+
+    const inDate = parseISODate(inEl.value);
+    const outDate = parseISODate(outEl.value);
+    const result = evaluatePromo(input.value, priceStay(readRoomQty(), inDate, outDate), inEl.value);
+    if (!result.ok) {
+        showModal(result.reason, t("promo.title"));
+        return;
+    }
+    input.value = result.promo.code;
+    input.dataset.applied = result.promo.code;
+    updateSummary(inEl, outEl);
 };
 
-/**
- * Devuelve "1 singular" o "N plural".
- * @method pluralize
- * @param {number} n
- * @param {string} singular
- * @param {string} [plural=singular + "s"]
- * @returns {string}
- */
-const pluralize = (n, singular, plural = singular + "s") =>
-    n === 1 ? `1 ${singular}` : `${n} ${plural}`;
+document.addEventListener("click", (e) => {
+    if (e.target.closest('[data-action="apply-promo"]')) {
+        applyPromoCode();
+        return;
+    }
+    if (!e.target.closest('[data-action="remove-promo"]')) return;
+    const input = document.getElementById("promo-code");
+    if (!input) return;
+    input.value = "";
+    delete input.dataset.applied;
+    updateSummary(document.getElementById("checkin"), document.getElementById("checkout"));
+});
+
+document.getElementById("promo-code")?.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    applyPromoCode();
+});
 
 
 /**
  * Incrementa/decrementa un input de cantidad por name.
  * @method stepQty
- * @param {string} qtyName - name del input (ej: "std_qty").
+ * @param {string} qtyName - name del input ("<id>_qty").
  * @param {number} delta - +1 o -1.
  * @return {void}
  */
@@ -160,10 +2542,11 @@ const stepQty = (qtyName, delta) => {
     const input = document.querySelector(`input[name="${qtyName}"]`);
     if (!input) return;
     const min = Number(input.min ?? 0);
-    const max = Number(input.max ?? 9);
+    const available = input.dataset.available;
+    const max = Math.min(Number(input.max ?? 9), available === undefined ? Infinity : Number(available));
     let val = Number(input.value || 0) + delta;
     if (val < min) val = min;
-    if (val > max) val = max;
+    if (val > max) val = Math.max(max, min);
     input.value = String(val);
     input.dispatchEvent(new Event("input", {bubbles: true}));
 };
@@ -174,6 +2557,28 @@ document.addEventListener("click", (e) => {
     const name = btn.getAttribute("data-target");
     if (!name) return;
     stepQty(name, btn.dataset.action === "inc" ? 1 : -1);
+    const input = document.querySelector(`input[name="${name}"]`);
+    if (input) announce(input.getAttribute("aria-valuetext") || input.value);
+});
+
+/**
+ * Teclado del stepper (patrón spinbutton): flechas ±1, Home 0, End el máximo disponible.
+ * Pasa por stepQty para respetar min/max y data-available igual que los botones.
+ */
+document.addEventListener("keydown", (e) => {
+    const input = e.target.closest?.('.counter input[type="number"]');
+    if (!input) return;
+    const steps = {ArrowUp: 1, ArrowRight: 1, PageUp: 1, ArrowDown: -1, ArrowLeft: -1, PageDown: -1, Home: -Infinity, End: Infinity};
+    if (!(e.key in steps)) return;
+    e.preventDefault();
+    const delta = Number.isFinite(steps[e.key]) ? steps[e.key] : steps[e.key] > 0 ? 99 : -99;
+    stepQty(input.name, delta);
+});
+
+// lo que se escribe a mano se recorta al rango permitido
+document.addEventListener("change", (e) => {
+    const input = e.target.closest?.('.counter input[type="number"]');
+    if (input) stepQty(input.name, 0);
 });
 
 
@@ -187,34 +2592,58 @@ document.addEventListener("click", (e) => {
  * @return {void}
  */
 const updateSummary = (inEl, outEl) => {
-    const {inSpan, outSpan, totalSpan, warn, note} = getSummaryRefs();
+    const {inSpan, outSpan, totalSpan, warn, note, alert} = getSummaryRefs();
 
     const inDate = parseISODate(inEl.value);
     const outDate = parseISODate(outEl.value);
     const nights = calcNights(inDate, outDate);
 
-    const stdQty = validateRoomQty(document.querySelector('input[name="std_qty"]'));
-    const supQty = validateRoomQty(document.querySelector('input[name="sup_qty"]'));
-    const famQty = validateRoomQty(document.querySelector('input[name="fam_qty"]'));
+    const qty = readRoomQty();
+    const totalRooms = Object.values(qty).reduce((sum, n) => sum + n, 0);
+    const party = readParty();
+    syncExtrasPicker({nights: eachNight(inDate, outDate), rooms: totalRooms, guests: partyBeds(party)});
+    const quoteOpts = {promoCode: getAppliedPromo(), extras: readExtras(), party};
+    const quoteFor = (plan) => buildQuote(qty, inDate, outDate, {...quoteOpts, plan});
+    const quote = quoteFor(syncPlanPicker(qty));
+    renderRoomPrices(inDate, outDate);
+    renderPlanPrices(qty, quoteFor, nights);
+    renderExtraTotals(quote.extras, nights);
+    renderPromoStatus(quote);
+
+    // disponibilidad del rango (solo con fechas válidas)
+    const free = nights > 0 && bookingInventory ? getAvailability(inDate, outDate, bookingInventory) : null;
+    renderAvailability(free);
+    const over = free ? Object.keys(qty).filter((id) => qty[id] > free[id]) : [];
+    const alerts = over.map((id) => free[id]
+        ? t("avail.left", {rooms: roomCountLabel(id, free[id])})
+        : t("avail.soldOut", {name: getRoomCopy(id).title}));
+    if (nights > 0 && nights < quote.minStay.nights) {
+        alerts.push(minStayMessage(quote.minStay));
+    }
+    const partyIssue = totalRooms > 0 ? checkPartyFit(qty, party) : "";
+    if (partyIssue) alerts.push(partyIssue);
+    if (alert instanceof HTMLElement) {
+        alert.hidden = alerts.length === 0;
+        alert.textContent = alerts.join(" ");
+    }
 
-    if (inSpan) inSpan.textContent = inDate ? inEl.value : "—";
-    if (outSpan) outSpan.textContent = outDate ? outEl.value : "—";
+    if (inSpan) inSpan.textContent = inDate ? formatDate(inEl.value) : "—";
+    if (outSpan) outSpan.textContent = outDate ? formatDate(outEl.value) : "—";
 
     const listEl = document.getElementById("summary-items");
+    const items = Object.keys(qty)
+        .filter((id) => qty[id] > 0)
+        .map((id) => ({id, text: roomCountLabel(id, qty[id])}));
 
     if (listEl) {
-        const items = [];
-        if (stdQty > 0) items.push({id: "std", text: pluralize(stdQty, "Standard Room")});
-        if (supQty > 0) items.push({id: "sup", text: pluralize(supQty, "Superior Room")});
-        if (famQty > 0) items.push({id: "fam", text: pluralize(famQty, "Family Room")});
-
-        if (note) note.textContent = "";
+        if (note) note.textContent = document.getElementById("adults") ? describeParty(party) : "";
 
         listEl.innerHTML = items.map(it => `
-      <li data-room="${it.id}">
-        <span>${it.text}${nights > 0 ? `, ${pluralize(nights, "night")}` : ""}</span>
-        <button type="button" class="line-remove" data-remove-room="${it.id}" aria-label="Remove">×</button>
-      </li>
+      <li data-room="${it.id}"${over.includes(it.id) ? ' class="is-over"' : ""}>
+        <span>${it.text}${nights > 0 ? `, ${t("unit.night", {count: nights})}` : ""}</span>
+        <button type="button" class="line-remove" data-remove-room="${it.id}" aria-label="${t("summary.remove")}">×</button>
+      </li>${nights > 0 ? `
+      <li class="resumen-nights">${renderNightBreakdown(quote.lines.find((l) => l.id === it.id))}</li>` : ""}
     `).join("");
 
         if (warn instanceof HTMLElement) {
@@ -224,16 +2653,10 @@ const updateSummary = (inEl, outEl) => {
         }
     } else {
         // modo etiqueta compacta
-        const label = (() => {
-            const parts = [];
-            if (stdQty > 0) parts.push(pluralize(stdQty, "Standard Room"));
-            if (supQty > 0) parts.push(pluralize(supQty, "Superior Room"));
-            if (famQty > 0) parts.push(pluralize(famQty, "Family Room"));
-            return parts.length ? parts.join(" + ") : "";
-        })();
+        const label = items.map((it) => it.text).join(" + ");
 
         if (note) {
-            if (label && nights > 0) note.textContent = `${label}, ${pluralize(nights, "night")}`;
+            if (label && nights > 0) note.textContent = `${label}, ${t("unit.night", {count: nights})}`;
             else note.textContent = label || "";
         }
 
@@ -244,8 +2667,24 @@ const updateSummary = (inEl, outEl) => {
         }
     }
 
-    const total = computeTotal({std: stdQty, sup: supQty, fam: famQty}, nights);
-    if (totalSpan) totalSpan.textContent = formatPrice(total);
+    const breakdown = document.getElementById("summary-breakdown");
+    if (breakdown) {
+        breakdown.innerHTML = quote.lines.length ? renderTotalsRows(buildTotalsRows(quote), "resumen-row") : "";
+    }
+    const totalText = formatPrice(quote.total);
+    if (syncUrl) {
+        syncBookingUrl();
+        saveBookingDraft();
+    }
+    if (totalSpan) {
+        // el lector de pantalla escucha el total nuevo sin tener que ir a buscarlo
+        if (totalSpan.dataset.rendered && totalSpan.textContent !== totalText) announce(t("a11y.total", {total: totalText}));
+        totalSpan.textContent = totalText;
+        totalSpan.dataset.rendered = "1";
+    }
+    Object.keys(qty).forEach((id) => roomQtyInput(id)?.setAttribute("aria-valuetext", roomCountLabel(id, qty[id])));
+    const fxNote = document.querySelector(".resumen-fx");
+    if (fxNote) fxNote.textContent = currencyNote() && `${currencyNote()} ${t("fx.chargedIn", {base: SETTLEMENT_CURRENCY})}`;
 
     const bindListRemove = () => {
         const ul = document.getElementById("summary-items");
@@ -253,9 +2692,7 @@ const updateSummary = (inEl, outEl) => {
         ul.addEventListener("click", (e) => {
             const btn = e.target.closest("[data-remove-room]");
             if (!btn) return;
-            const id = btn.dataset.removeRoom; // "std" | "sup" | "fam"
-            const nameById = {std: "std_qty", sup: "sup_qty", fam: "fam_qty"};
-            const input = document.querySelector(`input[name="${nameById[id]}"]`);
+            const input = roomQtyInput(btn.dataset.removeRoom);
             if (!input) return;
             input.value = "0";
             input.dispatchEvent(new Event("input", {bubbles: true}));
@@ -269,9 +2706,7 @@ document.querySelector(".resumen")?.addEventListener("click", (e) => {
     const btn = e.target.closest("[data-remove-room]");
     if (!btn) return;
 
-    const id = btn.dataset.removeRoom;            // "std" | "sup" | "fam"
-    const nameById = {std: "std_qty", sup: "sup_qty", fam: "fam_qty"};
-    const input = document.querySelector(`input[name="${nameById[id]}"]`);
+    const input = roomQtyInput(btn.dataset.removeRoom);
     if (!input) return;
 
     input.value = "0";
@@ -279,46 +2714,196 @@ document.querySelector(".resumen")?.addEventListener("click", (e) => {
 });
 
 
+/* Huéspedes */
+
+/** Límites del buscador. Hasta INFANT_MAX_AGE años duermen en cuna y no cuentan como cama. */
+const PARTY_LIMITS = {maxAdults: 12, maxChildren: 6, maxChildAge: 17};
+const INFANT_MAX_AGE = 1;
+
 /**
- * Muestra/oculta tarjetas por nombre del input de cantidad
- * y resetea valor cuando se oculta.
- * @method setVisibilityByQtyName
- * @param {"std_qty"|"sup_qty"|"fam_qty"} qtyName - name del input.
- * @param {boolean} visible - true para mostrar, false para ocultar.
- * @return {void}
+ * Lee adultos y edades de los niños del formulario.
+ * @method readParty
+ * @return {{adults:number, childAges:(number|null)[]}} null = edad sin elegir.
  */
-const setVisibilityByQtyName = (qtyName, visible) => {
-    const input = document.querySelector(`input[name="${qtyName}"]`);
-    const card = input?.closest(".room-card");
+const readParty = () => {
+    const adults = Number(document.getElementById("adults")?.value);
+    const childAges = Array.from(document.querySelectorAll("[data-child-age]"),
+        (sel) => (sel.value === "" ? null : Number(sel.value)));
+    return {adults: Number.isInteger(adults) ? Math.min(PARTY_LIMITS.maxAdults, Math.max(1, adults)) : 1, childAges};
+};
+
+/**
+ * Cuántas camas necesita el grupo (los bebés no cuentan).
+ * @method partyBeds
+ * @param {{adults:number, childAges:(number|null)[]}} party
+ * @return {number}
+ */
+const partyBeds = (party) =>
+    party.adults + party.childAges.filter((age) => age === null || age > INFANT_MAX_AGE).length;
+
+/**
+ * "2 adults, 1 child" en el idioma elegido.
+ * @method describeParty
+ * @param {{adults:number, childAges:(number|null)[]}} party
+ * @return {string}
+ */
+const describeParty = (party) => {
+    const parts = [t("unit.adult", {count: party.adults})];
+    if (party.childAges.length) parts.push(t("unit.child", {count: party.childAges.length}));
+    return parts.join(", ");
+};
+
+/**
+ * Revisa si las habitaciones elegidas alcanzan para el grupo.
+ * Cada habitación necesita un adulto, y entre todas tienen que sobrar
+ * lugares para adultos (occupancy.adults) y camas (occupancy.guests).
+ * @method checkPartyFit
+ * @param {Object<string, number>} qty - Cantidad por tipo.
+ * @param {{adults:number, childAges:(number|null)[]}} party
+ * @return {string} Mensaje del problema ("" si entran todos).
+ */
+const checkPartyFit = (qty, party) => {
+    const ids = Object.keys(ROOMS_DB);
+    const rooms = ids.reduce((acc, id) => acc + (qty[id] || 0), 0);
+    const maxAdults = ids.reduce((acc, id) => acc + (qty[id] || 0) * ROOMS_DB[id].occupancy.adults, 0);
+    const maxGuests = ids.reduce((acc, id) => acc + (qty[id] || 0) * ROOMS_DB[id].occupancy.guests, 0);
+    const beds = partyBeds(party);
+
+    if (rooms > party.adults) {
+        return t("party.tooManyRooms", {rooms: t("unit.room", {count: rooms}), adults: t("unit.adult", {count: party.adults})});
+    }
+    if (party.adults > maxAdults) {
+        return t("party.adultsOver", {max: t("unit.adult", {count: maxAdults}), adults: party.adults});
+    }
+    if (beds > maxGuests) return t("party.guestsOver", {max: maxGuests, count: beds});
+    return "";
+};
 
-    if (card) card.style.display = visible ? "" : "none";
+/** Tope de pasos de la búsqueda de suggestRoomCombos, por si el catálogo crece mucho. */
+const SUGGEST_SEARCH_STEPS = 20000;
+
+/**
+ * Combinaciones de habitaciones más baratas donde entra el grupo.
+ * Agrega habitaciones tipo por tipo (hasta maxQty, lo que quede libre o una por adulto) y poda:
+ * en cuanto entra el grupo no sigue sumando (ya no sería mínima), y corta las ramas que ya
+ * cuestan más que la peor de las `limit` guardadas.
+ * @method suggestRoomCombos
+ * @param {{adults:number, childAges:(number|null)[]}} party
+ * @param {Date|null} checkIn
+ * @param {Date|null} checkOut
+ * @param {number} [limit=3]
+ * @return {{qty:Object<string, number>, price:number}[]} De menor a mayor precio.
+ */
+const suggestRoomCombos = (party, checkIn, checkOut, limit = 3) => {
+    const ids = Object.keys(ROOMS_DB);
+    const nights = calcNights(checkIn, checkOut);
+    const free = nights > 0 ? getAvailability(checkIn, checkOut, bookingInventory || {}) : ROOM_STOCK;
+    // precio de una habitación de cada tipo (por estadía si hay fechas, si no la tarifa base)
+    const unit = Object.fromEntries(ids.map((id) => [id, nights > 0
+        ? priceStay({[id]: 1}, checkIn, checkOut).subtotal
+        : RATES.base[id]]));
+
+    const byPrice = (a, b) => a.price - b.price || a.rooms - b.rooms;
+    const best = [];
+    let steps = 0;
+    const walk = (i, qty, rooms, price) => {
+        if (++steps > SUGGEST_SEARCH_STEPS) return;
+        if (best.length === limit && price > best[limit - 1].price) return;
+        if (rooms && !checkPartyFit(qty, party)) {
+            const minimal = ids.every((id) => !qty[id] || checkPartyFit({...qty, [id]: qty[id] - 1}, party));
+            if (minimal) {
+                best.push({qty: Object.fromEntries(ids.map((id) => [id, qty[id] || 0])), rooms, price: roundMoney(price)});
+                best.sort(byPrice).splice(limit);
+            }
+            return;
+        }
+        if (i === ids.length || rooms >= party.adults) return;
+        const id = ids[i];
+        const max = Math.min(ROOMS_DB[id].maxQty, free[id] ?? 0, party.adults - rooms);
+        for (let n = 0; n <= max; n++) walk(i + 1, {...qty, [id]: n}, rooms + n, price + n * unit[id]);
+    };
+    walk(0, {}, 0, 0);
 
-    if (input) input.disabled = !visible;
+    return best.map(({qty, price}) => ({qty, price}));
 };
 
 /**
- * Filtra las habitaciones visibles según el value del select #guests.
- * Values: "all" | "1" | "2" | "3-5"
- *  - 1  -> Standard
- *  - 2  -> Superior
- *  - 3-5-> Family
- *  - all-> Todas
- * @method filterRoomsByGuests
+ * Pinta las sugerencias en #room-suggestions con un botón para aplicarlas.
+ * @method renderSuggestions
+ * @param {Date|null} checkIn
+ * @param {Date|null} checkOut
  * @return {void}
  */
-const filterRoomsByGuests = () => {
-    const sel = document.getElementById("guests");
-    if (!sel) return;
+const renderSuggestions = (checkIn, checkOut) => {
+    const box = document.getElementById("room-suggestions");
+    if (!box) return;
+    const party = readParty();
+    const nights = calcNights(checkIn, checkOut);
+    const combos = suggestRoomCombos(party, checkIn, checkOut);
+
+    if (!combos.length) {
+        box.innerHTML = `<p class="suggest-none">${t("suggest.none", {party: describeParty(party)})}</p>`;
+        box.hidden = false;
+        return;
+    }
+    box.innerHTML = `
+      <h3 class="suggest-title">${t("suggest.title", {party: describeParty(party)})}</h3>
+      <ul class="suggest-list">${combos.map((c) => `
+        <li>
+          <span>${Object.keys(c.qty).filter((id) => c.qty[id]).map((id) => roomCountLabel(id, c.qty[id])).join(" + ")}</span>
+          <span class="suggest-price">${nights > 0
+        ? t("suggest.stay", {price: formatPrice(c.price), nights: t("unit.night", {count: nights})})
+        : t("suggest.perNight", {price: formatPrice(c.price)})}</span>
+          <button type="button" class="btn-suggest" data-action="use-combo" data-combo='${JSON.stringify(c.qty)}'>${t("suggest.use")}</button>
+        </li>`).join("")}
+      </ul>`;
+    box.hidden = false;
+};
 
-    const val = sel.value; // "all" | "1" | "2" | "3-5"
-    let only = "all";
-    if (val === "1") only = "std";
-    else if (val === "2") only = "sup";
-    else if (val === "3-5") only = "fam";
+/**
+ * Crea/quita los select de edad según la cantidad de niños (conserva las edades ya elegidas).
+ * @method renderChildAges
+ * @return {void}
+ */
+const renderChildAges = () => {
+    const box = document.getElementById("child-ages");
+    const countEl = document.getElementById("children");
+    if (!box || !countEl) return;
+    const count = Math.min(PARTY_LIMITS.maxChildren, Math.max(0, Number(countEl.value) || 0));
+    const prev = Array.from(box.querySelectorAll("[data-child-age]"), (sel) => sel.value);
+
+    const options = [`<option value="">${t("book.agePlaceholder")}</option>`]
+        .concat(Array.from({length: PARTY_LIMITS.maxChildAge + 1}, (_, age) =>
+            `<option value="${age}">${age === 0 ? t("book.ageUnder1") : age}</option>`))
+        .join("");
+    box.innerHTML = Array.from({length: count}, (_, i) => `
+      <div class="child-age">
+        <label for="child-age-${i + 1}">${t("book.childAge", {n: i + 1})}</label>
+        <select id="child-age-${i + 1}" name="child_age" data-child-age>${options}</select>
+      </div>`).join("") + (count ? `<p class="child-ages-note">${t("book.infantNote")}</p>` : "");
+    box.querySelectorAll("[data-child-age]").forEach((sel, i) => {
+        sel.value = prev[i] ?? "";
+    });
+};
 
-    setVisibilityByQtyName("std_qty", only === "all" || only === "std");
-    setVisibilityByQtyName("sup_qty", only === "all" || only === "sup");
-    setVisibilityByQtyName("fam_qty", only === "all" || only === "fam");
+/**
+ * Valida el grupo antes de buscar: al menos un adulto y la edad de cada niño.
+ * @method validateParty
+ * @return {boolean}
+ */
+const validateParty = () => {
+    const adultsEl = document.getElementById("adults");
+    if (adultsEl && !(Number(adultsEl.value) >= 1)) {
+        showErrorAndClear(adultsEl, t("party.adultsMin"));
+        return false;
+    }
+    const missing = Array.from(document.querySelectorAll("[data-child-age]")).find((sel) => sel.value === "");
+    if (missing) {
+        showModal(t("party.agesMissing"), t("modal.error"));
+        missing.focus();
+        return false;
+    }
+    return true;
 };
 
 
@@ -334,16 +2919,337 @@ const handleSubmit = (e) => {
     const outEl = document.getElementById("checkout");
 
     if (!inEl.value || !outEl.value) {
-        showErrorAndClear(outEl, "Complete Check-in and Check-out.");
+        // el calendario dice qué fecha falta elegir
+        if (datePicker) datePicker.open();
+        else showErrorAndClear(outEl, t("dates.missing"));
         return;
     }
-    if (!validateDates(inEl, outEl)) return;
+    if (!validateDates(inEl, outEl)) {
+        datePicker?.sync();
+        return;
+    }
+    if (!validateParty()) return;
 
-    // solo al presionar Search se filtran las habitaciones
-    filterRoomsByGuests();
+    // solo al presionar Search se sugieren combinaciones
+    renderSuggestions(parseISODate(inEl.value), parseISODate(outEl.value));
     updateSummary(inEl, outEl);
 };
 
+/* Calendario de fechas */
+
+/** Hasta cuántos meses hacia adelante (contando el actual) se puede reservar desde el calendario. */
+const DATE_PICKER_MONTHS_AHEAD = 18;
+
+/**
+ * Suma días a una fecha ISO.
+ * @method addDaysISO
+ * @param {string} iso - Fecha yyyy-mm-dd.
+ * @param {number} n - Días (negativo para restar).
+ * @return {string}
+ */
+const addDaysISO = (iso, n) => {
+    const d = parseISODate(iso);
+    d.setDate(d.getDate() + n);
+    return toISODate(d);
+};
+
+/**
+ * Precio en la moneda elegida sin decimales, para lugares chicos como el calendario.
+ * @method formatPriceCompact
+ * @param {number} amount - Monto en USD.
+ * @return {string}
+ */
+const formatPriceCompact = (amount) => {
+    const currency = getCurrency();
+    return new Intl.NumberFormat(CURRENCIES[currency].locale, {style: "currency", currency, maximumFractionDigits: 0})
+        .format((Number(amount) || 0) * CURRENCIES[currency].rate);
+};
+
+/**
+ * Noche bloqueada: no queda ningún tipo de habitación libre.
+ * @method isNightBlocked
+ * @param {string} iso - Noche yyyy-mm-dd.
+ * @param {Object} inv - Inventario (loadInventory).
+ * @return {boolean}
+ */
+const isNightBlocked = (iso, inv) => Object.keys(ROOMS_DB).every((id) => getNightStock(inv, iso, id).free === 0);
+
+/**
+ * Tarifa más baja de la noche entre los tipos que tienen lugar (null si está bloqueada).
+ * @method lowestNightlyRate
+ * @param {string} iso - Noche yyyy-mm-dd.
+ * @param {Object} inv - Inventario (loadInventory).
+ * @return {number|null}
+ */
+const lowestNightlyRate = (iso, inv) => {
+    const prices = Object.keys(ROOMS_DB)
+        .filter((id) => getNightStock(inv, iso, id).free > 0)
+        .map((id) => nightlyRate(id, iso, inv).price);
+    return prices.length ? Math.min(...prices) : null;
+};
+
+/**
+ * Calendario de dos meses que elige check-in y check-out en dos clicks y escribe
+ * los valores ISO en los inputs ocultos (con "change", como un input de fecha).
+ * - grisa los días pasados y las noches sin habitaciones libres
+ * - debajo de cada día muestra la tarifa más baja de esa noche
+ * - eligiendo el check-out solo habilita días posteriores al check-in y hasta la primera
+ *   noche bloqueada; un día anterior reinicia el rango con un check-in nuevo
+ * - teclado: flechas, Inicio/Fin (semana), RePág/AvPág (mes, con Shift año), Enter/Espacio y Escape
+ * @method createDateRangePicker
+ * @param {{inEl:HTMLInputElement, outEl:HTMLInputElement, trigger:HTMLButtonElement, panel:HTMLElement}} refs
+ * @return {{open:function():void, close:function(boolean=):void, sync:function():void}}
+ */
+const createDateRangePicker = ({inEl, outEl, trigger, panel}) => {
+    const todayISO = () => toISODate(new Date());
+    const lastISO = () => {
+        const d = new Date();
+        return toISODate(new Date(d.getFullYear(), d.getMonth() + DATE_PICKER_MONTHS_AHEAD, 0));
+    };
+    const monthStart = (iso) => `${iso.slice(0, 7)}-01`;
+    const addMonthsISO = (iso, n) => {
+        const d = parseISODate(iso);
+        const day = d.getDate();
+        d.setDate(1);
+        d.setMonth(d.getMonth() + n);
+        d.setDate(Math.min(day, new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate()));
+        return toISODate(d);
+    };
+    const clamp = (iso) => (iso < todayISO() ? todayISO() : iso > lastISO() ? lastISO() : iso);
+
+    let view = monthStart(todayISO()); // primer mes visible
+    let focusISO = todayISO();         // día con tabindex=0
+    let hoverISO = "";
+
+    const picking = () => (inEl.value && !outEl.value ? "checkout" : "checkin");
+
+    // último check-out posible: la primera noche bloqueada después del check-in (esa noche ya no se duerme)
+    const maxCheckout = (start, inv) => {
+        for (let iso = addDaysISO(start, 1); iso <= lastISO(); iso = addDaysISO(iso, 1)) {
+            if (isNightBlocked(iso, inv)) return iso;
+        }
+        return lastISO();
+    };
+
+    const dayState = (iso, inv, limit) => {
+        const start = inEl.value;
+        const blocked = isNightBlocked(iso, inv);
+        if (iso < todayISO() || iso > lastISO()) return {disabled: true, blocked: false};
+        if (picking() === "checkout" && iso > start) return {disabled: iso > limit, blocked};
+        return {disabled: blocked || iso === start && picking() === "checkout", blocked};
+    };
+
+    const status = () => {
+        const nights = calcNights(parseISODate(inEl.value), parseISODate(outEl.value));
+        if (nights > 0) return t("picker.selected", {nights: t("unit.night", {count: nights})});
+        return t(picking() === "checkout" ? "picker.selectCheckout" : "picker.selectCheckin");
+    };
+
+    const renderMonth = (first, inv, limit) => {
+        const locale = LANGS[getLang()].locale;
+        const d = parseISODate(first);
+        const lead = (d.getDay() + 6) % 7; // semana de lunes a domingo
+        const days = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+        const cells = Array.from({length: lead}, () => "<td></td>");
+        for (let n = 1; n <= days; n++) {
+            const iso = `${first.slice(0, 8)}${String(n).padStart(2, "0")}`;
+            const {disabled, blocked} = dayState(iso, inv, limit);
+            const price = iso >= todayISO() && !blocked ? lowestNightlyRate(iso, inv) : null;
+            const label = [
+                formatDate(iso, {weekday: "long", day: "numeric", month: "long", year: "numeric"}),
+                blocked ? t("picker.soldOut") : price !== null ? t("picker.from", {price: formatPrice(displayAmount(price))}) : "",
+            ].filter(Boolean).join(", ");
+            cells.push(`<td><button type="button" class="dp-day${iso === todayISO() ? " is-today" : ""}${blocked ? " is-blocked" : ""}"
+                data-date="${iso}" tabindex="-1" aria-label="${label}"${disabled ? ' aria-disabled="true"' : ""}>
+                <span class="dp-num">${n}</span><span class="dp-price" aria-hidden="true">${price !== null ? formatPriceCompact(displayAmount(price)) : "&nbsp;"}</span>
+              </button></td>`);
+        }
+        while (cells.length % 7) cells.push("<td></td>");
+        const rows = [];
+        for (let i = 0; i < cells.length; i += 7) rows.push(`<tr>${cells.slice(i, i + 7).join("")}</tr>`);
+        // 1 de enero de 2024 fue lunes
+        const weekdays = Array.from({length: 7}, (_, i) => new Date(2024, 0, 1 + i));
+        const id = `dp-${first.slice(0, 7)}`;
+        return `
+          <table class="dp-month" role="grid" aria-labelledby="${id}">
+            <caption id="${id}">${d.toLocaleDateString(locale, {month: "long", year: "numeric"})}</caption>
+            <thead><tr>${weekdays.map((w) => `<th scope="col" abbr="${w.toLocaleDateString(locale, {weekday: "long"})}">${w.toLocaleDateString(locale, {weekday: "narrow"})}</th>`).join("")}</tr></thead>
+            <tbody>${rows.join("")}</tbody>
+          </table>`;
+    };
+
+    // marca check-in, check-out y el tramo del medio (con vista previa mientras se elige el check-out)
+    const paintRange = () => {
+        const start = inEl.value;
+        const preview = picking() === "checkout" && hoverISO > start ? hoverISO : "";
+        const end = outEl.value || preview;
+        panel.querySelectorAll(".dp-day").forEach((btn) => {
+            const iso = btn.dataset.date;
+            const usable = btn.getAttribute("aria-disabled") !== "true";
+            btn.classList.toggle("is-start", iso === start);
+            btn.classList.toggle("is-end", Boolean(end) && iso === end && (usable || Boolean(outEl.value)));
+            btn.classList.toggle("in-range", Boolean(start && end) && iso > start && iso < end && (Boolean(outEl.value) || usable));
+            btn.setAttribute("aria-pressed", String(iso === start || iso === outEl.value));
+        });
+    };
+
+    const render = () => {
+        const inv = bookingInventory || {};
+        const limit = picking() === "checkout" ? maxCheckout(inEl.value, inv) : "";
+        const second = addMonthsISO(view, 1);
+        const hadFocus = panel.contains(document.activeElement);
+        panel.innerHTML = `
+          <div class="dp-head">
+            <button type="button" class="dp-nav" data-dp="prev" aria-label="${t("picker.prev")}"${view <= monthStart(todayISO()) ? " disabled" : ""}>‹</button>
+            <p class="dp-status" aria-live="polite">${status()}</p>
+            <button type="button" class="dp-nav" data-dp="next" aria-label="${t("picker.next")}"${second >= monthStart(lastISO()) ? " disabled" : ""}>›</button>
+          </div>
+          <div class="dp-months">${renderMonth(view, inv, limit)}${renderMonth(second, inv, limit)}</div>
+          <div class="dp-foot">
+            <button type="button" class="link-like" data-dp="clear">${t("picker.clear")}</button>
+            <button type="button" class="btn-suggest" data-dp="done">${t("picker.done")}</button>
+          </div>`;
+        const focusBtn = panel.querySelector(`[data-date="${focusISO}"]`);
+        if (focusBtn) focusBtn.tabIndex = 0;
+        paintRange();
+        if (hadFocus) focusBtn?.focus();
+    };
+
+    const sync = () => {
+        const label = (value, key) => (value
+            ? formatDate(value, {weekday: "short", day: "numeric", month: "short"})
+            : t(key));
+        trigger.querySelector(".date-in").textContent = label(inEl.value, "book.checkinDate");
+        trigger.querySelector(".date-out").textContent = label(outEl.value, "book.checkoutDate");
+        trigger.querySelector(".date-in").classList.toggle("is-placeholder", !inEl.value);
+        trigger.querySelector(".date-out").classList.toggle("is-placeholder", !outEl.value);
+        if (!panel.hidden) render();
+    };
+
+    const setRange = (start, end) => {
+        inEl.value = start;
+        outEl.value = end;
+        [inEl, outEl].forEach((el) => el.dispatchEvent(new Event("change", {bubbles: true})));
+        sync();
+    };
+
+    const moveFocus = (iso, {focus = true} = {}) => {
+        focusISO = clamp(iso);
+        if (focusISO < view) view = monthStart(focusISO);
+        if (focusISO >= addMonthsISO(view, 2)) view = monthStart(addMonthsISO(focusISO, -1));
+        render();
+        if (focus) panel.querySelector(`[data-date="${focusISO}"]`)?.focus();
+    };
+
+    const open = () => {
+        panel.hidden = false;
+        trigger.setAttribute("aria-expanded", "true");
+        view = monthStart(clamp(inEl.value || todayISO()));
+        moveFocus(outEl.value || inEl.value || todayISO());
+    };
+
+    const close = (returnFocus = false) => {
+        if (panel.hidden) return;
+        panel.hidden = true;
+        trigger.setAttribute("aria-expanded", "false");
+        hoverISO = "";
+        if (returnFocus) trigger.focus();
+    };
+
+    const select = (iso) => {
+        const btn = panel.querySelector(`[data-date="${iso}"]`);
+        if (!btn || btn.getAttribute("aria-disabled") === "true") return;
+        focusISO = iso;
+        if (picking() === "checkout" && iso > inEl.value) {
+            setRange(inEl.value, iso);
+            close(true);
+            return;
+        }
+        setRange(iso, "");
+        panel.querySelector(`[data-date="${iso}"]`)?.focus();
+    };
+
+    trigger.addEventListener("click", () => (panel.hidden ? open() : close()));
+
+    panel.addEventListener("click", (e) => {
+        const day = e.target.closest("[data-date]");
+        if (day) {
+            select(day.dataset.date);
+            return;
+        }
+        const action = e.target.closest("[data-dp]")?.dataset.dp;
+        if (action === "prev" || action === "next") {
+            const n = action === "prev" ? -1 : 1;
+            view = addMonthsISO(view, n);
+            focusISO = clamp(addMonthsISO(focusISO, n));
+            render();
+        } else if (action === "clear") {
+            setRange("", "");
+            moveFocus(todayISO());
+        } else if (action === "done") {
+            close(true);
+        }
+    });
+
+    // vista previa del rango con el mouse o el foco
+    const preview = (e) => {
+        const iso = e.target.closest?.("[data-date]")?.dataset.date || "";
+        if (iso === hoverISO) return;
+        hoverISO = iso;
+        paintRange();
+    };
+    panel.addEventListener("mouseover", preview);
+    panel.addEventListener("focusin", preview);
+
+    panel.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") {
+            e.preventDefault();
+            e.stopPropagation(); // que no cierre otros modales
+            close(true);
+            return;
+        }
+        const iso = e.target.closest?.("[data-date]")?.dataset.date;
+        if (!iso) return;
+        const d = parseISODate(iso);
+        const weekday = (d.getDay() + 6) % 7;
+        const moves = {
+            ArrowLeft: () => addDaysISO(iso, -1),
+            ArrowRight: () => addDaysISO(iso, 1),
+            ArrowUp: () => addDaysISO(iso, -7),
+            ArrowDown: () => addDaysISO(iso, 7),
+            Home: () => addDaysISO(iso, -weekday),
+            End: () => addDaysISO(iso, 6 - weekday),
+            PageUp: () => addMonthsISO(iso, e.shiftKey ? -12 : -1),
+            PageDown: () => addMonthsISO(iso, e.shiftKey ? 12 : 1),
+        };
+        if (!moves[e.key]) return;
+        e.preventDefault();
+        moveFocus(moves[e.key]());
+    });
+
+    // se cierra al hacer click o tabular fuera (composedPath: el día clickeado ya se volvió a pintar)
+    document.addEventListener("click", (e) => {
+        const path = e.composedPath();
+        if (!panel.hidden && !path.includes(panel) && !path.includes(trigger)) close();
+    });
+    panel.addEventListener("focusout", (e) => {
+        if (e.relatedTarget && !panel.contains(e.relatedTarget) && e.relatedTarget !== trigger) close();
+    });
+
+    [inEl, outEl].forEach((el) => el.addEventListener("change", sync));
+    document.addEventListener("sb:langchange", sync);
+    sync();
+
+    return {open, close, sync};
+};
+
+/** Calendario de booking.html (null en otras páginas). */
+let datePicker = null;
+/** Inventario que devolvió la API (null mientras carga): disponibilidad y tarifas por fecha del calendario, las tarjetas y la cotización. */
+let bookingInventory = null;
+/** true una vez cargada la selección inicial: desde ahí cada cambio se refleja en la URL. */
+let syncUrl = false;
+
 /**
  * Inicializa listeners para inputs y formulario.
  * @method initBooking
@@ -361,56 +3267,523 @@ const initBooking = () => {
         outEl?.addEventListener(ev, () => updateSummary(inEl, outEl));
     });
 
-    document
-        .querySelectorAll('input[name="std_qty"], input[name="sup_qty"], input[name="fam_qty"]')
-        .forEach((el) => {
-            ["change", "input"].forEach((ev) =>
-                el.addEventListener(ev, () => updateSummary(inEl, outEl))
-            );
-        });
+    datePicker = createDateRangePicker({
+        inEl,
+        outEl,
+        trigger: document.getElementById("date-trigger"),
+        panel: document.getElementById("date-picker"),
+    });
+
+    renderRoomCards();
+    renderPlanPicker();
+    document.getElementById("rate-plans")?.addEventListener("change", () => updateSummary(inEl, outEl));
+    renderExtrasPicker();
+    const extrasList = document.getElementById("extras-list");
+    extrasList?.addEventListener("input", () => updateSummary(inEl, outEl));
+    extrasList?.addEventListener("change", (e) => {
+        if (e.target.matches("select")) e.target.dataset.value = e.target.value;
+        updateSummary(inEl, outEl);
+    });
+    Object.keys(ROOMS_DB).map(roomQtyInput).filter(Boolean).forEach((el) => {
+        ["change", "input"].forEach((ev) =>
+            el.addEventListener(ev, () => updateSummary(inEl, outEl))
+        );
+    });
     form.addEventListener("submit", handleSubmit);
 
-    restoreFromCheckout();
+    // grupo: adultos, niños y sus edades
+    document.getElementById("children")?.addEventListener("input", () => {
+        renderChildAges();
+        updateSummary(inEl, outEl);
+    });
+    ["adults", "child-ages"].forEach((id) => {
+        document.getElementById(id)?.addEventListener("change", () => updateSummary(inEl, outEl));
+    });
+    document.getElementById("room-suggestions")?.addEventListener("click", (e) => {
+        const btn = e.target.closest('[data-action="use-combo"]');
+        if (!btn) return;
+        const qty = JSON.parse(btn.dataset.combo);
+        Object.keys(ROOMS_DB).forEach((id) => {
+            const input = roomQtyInput(id);
+            if (input) input.value = String(qty[id] || 0);
+        });
+        updateSummary(inEl, outEl);
+    });
+
+    bindTaxModeToggle(() => updateSummary(inEl, outEl));
+    bindCurrencySelect(() => updateSummary(inEl, outEl));
+    document.addEventListener("sb:langchange", () => {
+        renderRoomCardsCopy();
+        renderPlanPicker();
+        renderExtrasPicker();
+        renderChildAges();
+        const box = document.getElementById("room-suggestions");
+        if (box && !box.hidden) renderSuggestions(parseISODate(inEl.value), parseISODate(outEl.value));
+        updateSummary(inEl, outEl);
+    });
+
+    // un enlace compartido manda sobre lo guardado en este navegador; si no, lo último que se
+    // tocó en el buscador va encima de lo que se mandó a pagar (que trae además extras y promo)
+    const linked = readBookingUrl(location.search);
+    if (linked) restoreFromUrl(linked);
+    else {
+        restoreFromCheckout();
+        const draft = readBookingUrl(localStorage.getItem(BOOKING_DRAFT_KEY) || "");
+        // en la query 2 adultos sin niños no se escribe; en el borrador también hay que volver a eso
+        if (draft) restoreFromUrl({...draft, party: draft.party || {adults: 2, childAges: []}});
+    }
+    datePicker.sync();
     updateSummary(inEl, outEl);
+    syncUrl = true;
+    syncBookingUrl();
+    if (linked?.issues.length) showModal(linked.issues, t("link.title"));
+    showCheckoutNotice();
+
+    document.querySelector('[data-action="copy-link"]')?.addEventListener("click", copyBookingLink);
+
+    loadBookingInventory();
+    const status = document.querySelector(".resumen-status");
+    status?.addEventListener("click", (e) => {
+        if (!e.target.closest('[data-action="api-retry"]')) return;
+        if (status.dataset.retry === "quote") document.querySelector(".btn-continue")?.click();
+        else loadBookingInventory();
+    });
+    document.addEventListener("sb:langchange", () => setApiStatus(status, status.dataset.state || "", status.dataset.loadingKey));
 };
 
 document.addEventListener("DOMContentLoaded", initBooking);
-document
-    .querySelectorAll('input[name="std_qty"], input[name="sup_qty"], input[name="fam_qty"]')
-    .forEach((el) => {
-        el.readOnly = true;
+
+/**
+ * Mensaje para un error de la API de reservas ("network" y "timeout" tienen el suyo).
+ * @method apiErrorText
+ * @param {string} code
+ * @return {string}
+ */
+const apiErrorText = (code) => t(apiErrorKey(code));
+
+/**
+ * Clave de i18n del mensaje de un error de la API.
+ * @method apiErrorKey
+ * @param {string} code
+ * @return {string}
+ */
+const apiErrorKey = (code) => (["network", "timeout"].includes(code) ? `api.error.${code}` : "api.error.error");
+
+/**
+ * Estado de un pedido a la API en un resumen (.resumen-status): "loading", un código de error
+ * (con botón para reintentar) o "" para ocultarlo. Mientras carga, el resumen queda aria-busy.
+ * @method setApiStatus
+ * @param {HTMLElement|null} el
+ * @param {string} state
+ * @param {string} [loadingKey] - Texto mientras carga.
+ * @return {void}
+ */
+const setApiStatus = (el, state, loadingKey = "api.loading") => {
+    if (!el) return;
+    el.dataset.state = state;
+    el.dataset.loadingKey = loadingKey;
+    el.hidden = !state;
+    el.classList.toggle("is-error", Boolean(state) && state !== "loading");
+    el.innerHTML = !state ? "" : state === "loading" ? t(loadingKey) : `${apiErrorText(state)}
+        <button type="button" class="link-like" data-action="api-retry">${t("api.retry")}</button>`;
+    el.closest(".resumen")?.setAttribute("aria-busy", String(state === "loading"));
+};
+
+/**
+ * Pide a la API el inventario de las fechas que muestra el calendario y repinta.
+ * @method loadBookingInventory
+ * @return {Promise<void>}
+ */
+const loadBookingInventory = async () => {
+    const status = document.querySelector(".resumen-status");
+    setApiStatus(status, "loading");
+    const now = new Date();
+    const result = await getBookingApi().inventory({
+        from: toISODate(now),
+        to: toISODate(new Date(now.getFullYear(), now.getMonth() + DATE_PICKER_MONTHS_AHEAD, 1)),
+    });
+    if (!result.ok) {
+        setApiStatus(status, result.code);
+        if (status) status.dataset.retry = "inventory";
+        return;
+    }
+    bookingInventory = result.inventory;
+    setApiStatus(status, "");
+    datePicker?.sync();
+    updateSummary(document.getElementById("checkin"), document.getElementById("checkout"));
+};
+
+const restoreFromCheckout = () => {
+    const data = loadCheckout();
+    if (!data) return;
+
+    const inEl = document.getElementById("checkin");
+    const outEl = document.getElementById("checkout");
+    if (inEl) inEl.value = data.checkin || "";
+    if (outEl) outEl.value = data.checkout || "";
+
+    (data.rooms || []).forEach(r => {
+        const input = roomQtyInput(r.id);
+        if (input) {
+            input.value = String(r.qty || 0);
+            input.dispatchEvent(new Event("input", {bubbles: true}));
+        }
+    });
+
+    const promoInput = document.getElementById("promo-code");
+    if (promoInput && data.promo) {
+        promoInput.value = data.promo.code;
+        promoInput.dataset.applied = data.promo.code;
+    }
+
+    const adultsEl = document.getElementById("adults");
+    const childrenEl = document.getElementById("children");
+    if (data.party && adultsEl && childrenEl) {
+        adultsEl.value = String(data.party.adults);
+        childrenEl.value = String(data.party.childAges.length);
+        renderChildAges();
+        document.querySelectorAll("[data-child-age]").forEach((sel, i) => {
+            sel.value = String(data.party.childAges[i] ?? "");
+        });
+    }
+
+    if (data.plan?.id in RATE_PLANS_DB) setSelectedPlan(data.plan.id);
+
+    if (Array.isArray(data.extras)) {
+        setExtrasSelection(Object.fromEntries(data.extras.filter((e) => e?.id in EXTRAS_DB).map((e) => [e.id, e])));
+    }
+
+    updateSummary(inEl, outEl);
+};
+
+/* Enlaces de reserva */
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Estado del buscador como query string de booking.html, para compartir o guardar la selección:
+ * ?checkin=2027-02-01&checkout=2027-02-03&adults=2&children=2&ages=5,&std=1&fam=1&plan=hotel
+ * (ages va en orden, vacío = edad sin elegir). Lo que está en el valor por defecto no se escribe.
+ * @method bookingQuery
+ * @return {string} Query sin "?" ("" si no hay nada elegido).
+ */
+const bookingQuery = () => {
+    const params = new URLSearchParams();
+    const checkin = document.getElementById("checkin")?.value;
+    const checkout = document.getElementById("checkout")?.value;
+    if (checkin) params.set("checkin", checkin);
+    if (checkout) params.set("checkout", checkout);
+
+    const party = readParty();
+    if (party.adults !== 2 || party.childAges.length) params.set("adults", String(party.adults));
+    if (party.childAges.length) {
+        params.set("children", String(party.childAges.length));
+        params.set("ages", party.childAges.map((age) => (age === null ? "" : age)).join(","));
+    }
+
+    const qty = readRoomQty();
+    Object.keys(qty).filter((id) => qty[id] > 0).forEach((id) => params.set(id, String(qty[id])));
+    if (getSelectedPlan() !== DEFAULT_RATE_PLAN) params.set("plan", getSelectedPlan());
+    return params.toString().replace(/%2C/g, ",");
+};
+
+/**
+ * Deja la URL igual a lo elegido, sin sumar entradas al historial.
+ * @method syncBookingUrl
+ * @return {void}
+ */
+const syncBookingUrl = () => {
+    const query = bookingQuery();
+    const url = `${location.pathname}${query ? `?${query}` : ""}${location.hash}`;
+    if (url !== `${location.pathname}${location.search}${location.hash}`) history.replaceState(history.state, "", url);
+};
+
+/** Borrador del buscador (la misma query que el enlace): lo elegido sobrevive a una recarga o a un corte. */
+const BOOKING_DRAFT_KEY = "sb_booking_draft";
+
+/**
+ * Guarda lo elegido en el buscador (o borra el borrador si no hay nada elegido).
+ * @method saveBookingDraft
+ * @return {void}
+ */
+const saveBookingDraft = () => {
+    const query = bookingQuery();
+    if (query) localStorage.setItem(BOOKING_DRAFT_KEY, query);
+    else localStorage.removeItem(BOOKING_DRAFT_KEY);
+};
+
+/**
+ * Lee un enlace de reserva y lo valida. Lo que no sirve se descarta o se ajusta
+ * y queda explicado en issues (fechas inválidas o pasadas, cantidades fuera de rango, plan desconocido).
+ * @method readBookingUrl
+ * @param {string} search - location.search
+ * @return {{checkin:string, checkout:string, party:{adults:number, childAges:(number|null)[]}|null, rooms:Object<string, number>, plan:string, issues:string[]}|null}
+ *   null si la URL no trae nada del buscador.
+ */
+const readBookingUrl = (search) => {
+    const params = new URLSearchParams(search);
+    const roomIds = Object.keys(ROOMS_DB);
+    const keys = ["checkin", "checkout", "adults", "children", "ages", "plan", ...roomIds];
+    if (!keys.some((key) => params.has(key))) return null;
+
+    const issues = [];
+    const isDate = (v) => ISO_DATE_PATTERN.test(v) && toISODate(parseISODate(v) || new Date(NaN)) === v;
+    const intParam = (key, min, max, fallback) => {
+        if (!params.has(key)) return fallback;
+        const n = Number(params.get(key));
+        const ok = params.get(key) !== "" && Number.isInteger(n);
+        const value = ok ? Math.min(max, Math.max(min, n)) : fallback;
+        return {value, adjusted: !ok || value !== n};
+    };
+
+    // fechas: las dos bien o ninguna
+    let checkin = params.get("checkin") || "";
+    let checkout = params.get("checkout") || "";
+    if (checkin || checkout) {
+        const today = toISODate(new Date());
+        const limit = new Date();
+        const last = toISODate(new Date(limit.getFullYear(), limit.getMonth() + DATE_PICKER_MONTHS_AHEAD, 0));
+        if (!isDate(checkin) || !isDate(checkout) || checkout <= checkin) {
+            issues.push(t("link.datesInvalid"));
+        } else if (checkin < today) {
+            issues.push(t("link.datesPast", {dates: `${formatDate(checkin)} – ${formatDate(checkout)}`}));
+        } else if (checkout > last) {
+            issues.push(t("link.datesTooFar", {date: formatDate(last)}));
+        }
+        if (issues.length) checkin = checkout = "";
+    }
+
+    // grupo
+    let party = null;
+    if (["adults", "children", "ages"].some((key) => params.has(key))) {
+        const adults = intParam("adults", 1, PARTY_LIMITS.maxAdults, {value: 2, adjusted: false});
+        const ages = (params.get("ages") || "").split(",").filter((_, i, all) => all.length > 1 || all[0] !== "");
+        const children = intParam("children", 0, PARTY_LIMITS.maxChildren, {value: Math.min(ages.length, PARTY_LIMITS.maxChildren), adjusted: false});
+        let agesAdjusted = ages.length > children.value;
+        const childAges = Array.from({length: children.value}, (_, i) => {
+            const raw = ages[i] ?? "";
+            const age = Number(raw);
+            if (raw === "") return null;
+            if (!Number.isInteger(age) || age < 0 || age > PARTY_LIMITS.maxChildAge) {
+                agesAdjusted = true;
+                return null;
+            }
+            return age;
+        });
+        party = {adults: adults.value, childAges};
+        if (adults.adjusted || children.adjusted || agesAdjusted) issues.push(t("link.partyAdjusted"));
+    }
+
+    // habitaciones
+    const rooms = {};
+    let roomsAdjusted = false;
+    roomIds.forEach((id) => {
+        const qty = intParam(id, 0, ROOMS_DB[id].maxQty, null);
+        if (!qty) return;
+        rooms[id] = qty.value;
+        roomsAdjusted = roomsAdjusted || qty.adjusted;
     });
+    if (roomsAdjusted) issues.push(t("link.roomsAdjusted"));
+
+    // plan: si no existe queda el de siempre (y si esas habitaciones no lo ofrecen, lo corrige syncPlanPicker)
+    let plan = params.get("plan") || DEFAULT_RATE_PLAN;
+    if (!(plan in RATE_PLANS_DB)) {
+        plan = DEFAULT_RATE_PLAN;
+        issues.push(t("link.planUnknown", {plan: t(`plan.${plan}`)}));
+    }
+
+    return {checkin, checkout, party, rooms, plan, issues};
+};
+
+/**
+ * Carga en el buscador lo que trae el enlace. Manda sobre sb_checkout: si alguien abre
+ * un enlace compartido, ve esa selección y no la que quedó guardada en su navegador.
+ * @method restoreFromUrl
+ * @param {ReturnType<typeof readBookingUrl>} state
+ * @return {void}
+ */
+const restoreFromUrl = (state) => {
+    const inEl = document.getElementById("checkin");
+    const outEl = document.getElementById("checkout");
+    if (inEl) inEl.value = state.checkin;
+    if (outEl) outEl.value = state.checkout;
+
+    const adultsEl = document.getElementById("adults");
+    const childrenEl = document.getElementById("children");
+    if (state.party && adultsEl && childrenEl) {
+        adultsEl.value = String(state.party.adults);
+        childrenEl.value = String(state.party.childAges.length);
+        renderChildAges();
+        document.querySelectorAll("[data-child-age]").forEach((sel, i) => {
+            sel.value = String(state.party.childAges[i] ?? "");
+        });
+    }
+
+    Object.keys(ROOMS_DB).forEach((id) => {
+        const input = roomQtyInput(id);
+        if (input) input.value = String(state.rooms[id] || 0);
+    });
+    setSelectedPlan(state.plan);
+
+    updateSummary(inEl, outEl);
+};
 
-const restoreFromCheckout = () => {
-    let data;
+/**
+ * Copia al portapapeles el enlace de la selección actual.
+ * @method copyBookingLink
+ * @return {Promise<void>}
+ */
+const copyBookingLink = async () => {
+    syncBookingUrl();
+    const status = document.querySelector(".share-status");
+    let message;
     try {
-        data = JSON.parse(localStorage.getItem("sb_checkout") || "null");
+        await navigator.clipboard.writeText(location.href);
+        message = t("link.copied");
     } catch {
-        data = null;
+        message = t("link.copyFailed");
     }
-    if (!data) return;
+    if (status) status.textContent = message;
+};
 
-    const inEl = document.getElementById("checkin");
-    const outEl = document.getElementById("checkout");
-    if (inEl) inEl.value = data.checkin || "";
-    if (outEl) outEl.value = data.checkout || "";
+/* Diálogos y anuncios accesibles */
 
-    const map = {std: "std_qty", sup: "sup_qty", fam: "fam_qty"};
-    (data.rooms || []).forEach(r => {
-        const name = map[r.id];
-        const input = document.querySelector(`input[name="${name}"]`);
-        if (input) {
-            input.value = String(r.qty || 0);
-            input.dispatchEvent(new Event("input", {bubbles: true}));
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/** Diálogos abiertos, el último arriba: Escape y el foco atrapado son suyos. */
+const openDialogs = [];
+const dialogControllers = new WeakMap();
+
+/**
+ * Controlador de un diálogo modal (overlay con un [role="dialog"] adentro):
+ * - al abrir lleva el foco adentro y deja el resto de la página inert (teclado y lector de pantalla)
+ * - Tab y Shift+Tab circulan dentro del diálogo
+ * - Escape, el fondo y los [data-dialog-close] lo cierran
+ * - al cerrar el foco vuelve a quien lo abrió y el overlay emite "sb:dialogclose"
+ * @method getDialog
+ * @param {HTMLElement} overlay
+ * @return {{open:function({opener?:HTMLElement, focus?:HTMLElement}=):void, close:function():void, isOpen:function():boolean}}
+ */
+const getDialog = (overlay) => {
+    if (dialogControllers.has(overlay)) return dialogControllers.get(overlay);
+
+    const dialog = overlay.querySelector('[role="dialog"]');
+    dialog.setAttribute('aria-modal', 'true');
+    if (!dialog.hasAttribute('tabindex')) dialog.tabIndex = -1;
+    let opener = null;
+    let inerted = [];
+
+    const focusables = () => [...dialog.querySelectorAll(FOCUSABLE)].filter((el) => !el.closest('[hidden]'));
+    const isOpen = () => openDialogs.includes(controller);
+
+    const open = ({opener: from = document.activeElement, focus} = {}) => {
+        if (!isOpen()) {
+            opener = from;
+            openDialogs.push(controller);
+            // los avisos (aria-live) siguen afuera del inert para que se sigan leyendo
+            inerted = [...document.body.children].filter((el) => el !== overlay && !el.hasAttribute('inert')
+                && !el.matches('[aria-live], [role="status"], [role="alert"], script'));
+            inerted.forEach((el) => el.setAttribute('inert', ''));
+            overlay.removeAttribute('inert'); // un diálogo abierto desde otro (lo dejó inert el de abajo)
+        }
+        overlay.style.display = 'grid';
+        overlay.removeAttribute('aria-hidden');
+        document.body.style.overflow = 'hidden';
+        (focus || focusables()[0] || dialog).focus();
+    };
+
+    const close = () => {
+        if (!isOpen()) return;
+        openDialogs.splice(openDialogs.indexOf(controller), 1);
+        overlay.style.display = 'none';
+        overlay.setAttribute('aria-hidden', 'true');
+        inerted.forEach((el) => el.removeAttribute('inert'));
+        inerted = [];
+        if (!openDialogs.length) document.body.style.overflow = '';
+        if (opener?.isConnected && !opener.disabled) opener.focus();
+        opener = null;
+        overlay.dispatchEvent(new CustomEvent("sb:dialogclose"));
+    };
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay || e.target.closest('[data-dialog-close]')) close();
+    });
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key !== 'Tab') return;
+        const items = focusables();
+        if (!items.length) {
+            e.preventDefault();
+            return;
+        }
+        const first = items[0];
+        const last = items[items.length - 1];
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
         }
     });
 
-    const guestsSel = document.getElementById("guests");
-    if (guestsSel) guestsSel.value = "all";
+    const controller = {open, close, isOpen};
+    dialogControllers.set(overlay, controller);
+    return controller;
+};
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && openDialogs.length) openDialogs[openDialogs.length - 1].close();
+});
 
-    updateSummary(inEl, outEl);
+/**
+ * Región aria-live compartida (se crea la primera vez).
+ * @method liveRegion
+ * @param {boolean} assertive - true: role="alert" (interrumpe), false: role="status".
+ * @return {HTMLElement}
+ */
+const liveRegion = (assertive) => {
+    const id = assertive ? 'sr-alert' : 'sr-status';
+    let region = document.getElementById(id);
+    if (!region) {
+        region = document.createElement('div');
+        region.id = id;
+        region.className = 'sr-only';
+        region.setAttribute('role', assertive ? 'alert' : 'status');
+        region.setAttribute('aria-live', assertive ? 'assertive' : 'polite');
+        document.body.appendChild(region);
+    }
+    return region;
+};
+
+let announceTimer = 0;
+
+/**
+ * Lee un aviso con el lector de pantalla. Los avisos muy seguidos se pisan: solo
+ * se lee el último (ej. validar todo el formulario anuncia el resumen, no cada campo).
+ * @method announce
+ * @param {string} message
+ * @param {{assertive?:boolean, delay?:number}} [opts]
+ * @return {void}
+ */
+const announce = (message, {assertive = false, delay = 150} = {}) => {
+    const region = liveRegion(assertive);
+    liveRegion(!assertive); // las dos existen antes de usarse, si no el primer aviso se pierde
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+        // vaciar y volver a escribir hace que se relea aunque el texto sea el mismo
+        document.getElementById('sr-status').textContent = '';
+        document.getElementById('sr-alert').textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 30);
+    }, delay);
 };
 
+/**
+ * Crea el modal genérico en las páginas que no lo traen en el HTML.
+ * @method ensureModal
+ * @return {void}
+ */
 const ensureModal = () => {
     if (document.getElementById('app-modal')) return;
     const overlay = document.createElement('div');
@@ -418,27 +3791,18 @@ const ensureModal = () => {
     overlay.className = 'modal-backdrop';
     overlay.setAttribute('aria-hidden', 'true');
     overlay.innerHTML = `
-    <div class="modal" role="dialog" aria-modal="true" aria-labelledby="modal-title">
-      <button class="modal-close" aria-label="Close">×</button>
-      <h3 id="modal-title">Error</h3>
+    <div class="modal" role="dialog" aria-modal="true" aria-labelledby="modal-title" aria-describedby="modal-msg">
+      <button class="modal-close" type="button" aria-label="${t("modal.close")}" data-dialog-close>×</button>
+      <h3 id="modal-title">${t("modal.error")}</h3>
       <div id="modal-msg"></div>
       <div class="modal-actions">
-        <button id="modal-ok" class="btn-continue" type="button">OK</button>
+        <button id="modal-ok" class="btn-continue" type="button" data-dialog-close>${t("modal.ok")}</button>
       </div>
     </div>`;
     document.body.appendChild(overlay);
-
-    overlay.addEventListener('click', (e) => {
-        if (e.target.id === 'app-modal') hideModal();
-    });
-    overlay.querySelector('.modal-close').addEventListener('click', hideModal);
-    overlay.querySelector('#modal-ok').addEventListener('click', hideModal);
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') hideModal();
-    });
 };
 
-const showModal = (message, title = 'Error') => {
+const showModal = (message, title = t("modal.error")) => {
     ensureModal();
     const overlay = document.getElementById('app-modal');
     const titleEl = document.getElementById('modal-title');
@@ -449,29 +3813,15 @@ const showModal = (message, title = 'Error') => {
         ? `<ul class="modal-list">${message.map(m => `<li>${m}</li>`).join('')}</ul>`
         : String(message);
 
-    overlay.style.display = 'grid';
-    overlay.removeAttribute('aria-hidden');
-    document.body.style.overflow = 'hidden';
+    const ok = document.getElementById('modal-ok');
+    getDialog(overlay).open({focus: ok && !ok.closest('[hidden]') ? ok : undefined});
 };
 
 const hideModal = () => {
     const overlay = document.getElementById('app-modal');
-    if (!overlay) return;
-    overlay.style.display = 'none';
-    overlay.setAttribute('aria-hidden', 'true');
-    document.body.style.overflow = '';
+    if (overlay) getDialog(overlay).close();
 };
 
-
-document.getElementById("modal-ok")?.addEventListener("click", hideModal);
-document.querySelector("#app-modal .modal-close")?.addEventListener("click", hideModal);
-document.getElementById("app-modal")?.addEventListener("click", (e) => {
-    if (e.target.id === "app-modal") hideModal(); // click fuera
-});
-document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") hideModal();
-});
-
 /**
  * Muestra un mensaje de error en modal y blanquea un input.
  * @method showErrorAndClear
@@ -485,160 +3835,292 @@ const showErrorAndClear = (el, message) => {
     el?.classList?.add("is-error");
     const clearErr = () => el?.classList?.remove("is-error");
     el?.addEventListener?.("input", clearErr, {once: true});
-    showModal(message, "Error");
-};
-
-const ROOMS_DB = {
-    std: {
-        title: "Standard Room",
-        capacity: "1 adult max",
-        size: "30 m²",
-        desc: "Cozy room with a serene vibe and soft natural light. Perfect for solo travelers looking for quiet mornings and a comfy bed.",
-        amenities: [
-            "Double bed",
-            "Private balcony (partial sea view)",
-            "Air conditioning",
-            "Smart TV 43”",
-            "Mini-fridge",
-            "Nespresso coffee machine",
-            "In-room safe",
-            "Free toiletries"
-        ],
-        images: ["Imagenes/carruselStandard"]
-    },
-    sup: {
-        title: "Superior Room",
-        capacity: "2 adults max",
-        size: "30 m²",
-        desc: "Bright superior room with full sea view and a small lounge area. Ideal for couples who want space and sunlight.",
-        amenities: [
-            "King bed or twin",
-            "Full sea-view balcony",
-            "Lounge area",
-            "Air conditioning",
-            "Smart TV 50”",
-            "Rain shower",
-            "Bathrobe & slippers",
-            "USB-C bedside chargers"
-        ],
-        images: ["Imagenes/carruselSuperior"]
-    },
-    fam: {
-        title: "Family Suite",
-        capacity: "Up to 5 guests",
-        size: "45 m²",
-        desc: "Spacious family suite featuring a living area and kitchenette. Great for families or small groups.",
-        amenities: [
-            "Two rooms + living area",
-            "Kitchenette with microwave",
-            "Dining table",
-            "Two bathrooms",
-            "Terrace with pergola",
-            "Smart TV 55”",
-            "Crib on request",
-            "Blackout curtains"
-        ],
-        images: ["Imagenes/carruselFamily"]
-    },
+    showModal(message, t("modal.error"));
+};
+
+/**
+ * Textos de una habitación en el idioma elegido (cae a inglés si falta).
+ * @method getRoomCopy
+ * @param {string} id - Tipo de habitación (id de ROOM_CATALOG).
+ * @return {{title:string, count:Object<string,string>, capacity:string, desc:string, amenities:string[]}}
+ */
+const getRoomCopy = (id) => ROOMS_DB[id].copy[getLang()] || ROOMS_DB[id].copy.en;
+
+/**
+ * "1 Standard Room" / "2 Standard Rooms" en el idioma elegido.
+ * @method roomCountLabel
+ * @param {string} id - Tipo de habitación.
+ * @param {number} n - Cantidad.
+ * @return {string}
+ */
+const roomCountLabel = (id, n) => selectPlural(getRoomCopy(id).count, n).replace("{count}", String(n));
+
+/**
+ * Arma en #room-list una .room-card con su stepper por cada tipo de ROOM_CATALOG.
+ * Los textos los pone renderRoomCardsCopy y los precios renderRoomPrices.
+ * @method renderRoomCards
+ * @return {void}
+ */
+const renderRoomCards = () => {
+    const list = document.getElementById("room-list");
+    if (!list) return;
+    list.innerHTML = ROOM_CATALOG.map((room) => `
+            <article class="room-card" data-room="${room.id}">
+                <img class="room-img" src="${escapeHtml(room.image)}" alt="">
+                <div class="room-body">
+                    <header class="room-head">
+                        <h3 class="room-name" id="${room.id}_name"></h3>
+                        <div class="room-price"></div>
+                    </header>
+                    <ul class="room-meta">
+                        <li><span aria-hidden="true">${room.occupancy.adults > 1 ? "👥" : "👤"}</span> <span class="room-capacity"></span></li>
+                        <li><span aria-hidden="true">⛋</span> ${room.size}</li>
+                    </ul>
+                    <a href="#" class="room-more" data-action="room-details" data-room="${room.id}" data-i18n="room.moreDetails">${t("room.moreDetails")}</a>
+
+                    <div class="room-cant">
+                        <label class="qty-label" id="${room.id}_qty_label" for="${room.id}_qty" data-i18n="room.addRooms">${t("room.addRooms")}</label>
+                        <div class="counter nojs">
+                            <button type="button" class="qty-btn" data-action="dec" data-target="${room.id}_qty"
+                                    aria-controls="${room.id}_qty" tabindex="-1">−</button>
+                            <input id="${room.id}_qty" type="number" name="${room.id}_qty" min="0" max="${room.maxQty}" value="0"
+                                   inputmode="numeric" size="2" maxlength="1" aria-labelledby="${room.id}_name ${room.id}_qty_label">
+                            <button type="button" class="qty-btn" data-action="inc" data-target="${room.id}_qty"
+                                    aria-controls="${room.id}_qty" tabindex="-1">+</button>
+                        </div>
+                    </div>
+                </div>
+            </article>`).join("");
+    renderRoomCardsCopy();
+};
+
+/**
+ * Pasa a cada .room-card los textos de ROOMS_DB en el idioma elegido.
+ * @method renderRoomCardsCopy
+ * @return {void}
+ */
+const renderRoomCardsCopy = () => {
+    document.querySelectorAll(".room-card[data-room]").forEach((card) => {
+        const copy = getRoomCopy(card.dataset.room);
+        card.querySelector(".room-name").textContent = copy.title;
+        card.querySelector(".room-img").alt = copy.title;
+        card.querySelector(".room-capacity").textContent = copy.capacity;
+        card.querySelector('[data-action="dec"]').setAttribute("aria-label", t("room.decrease", {name: copy.title}));
+        card.querySelector('[data-action="inc"]').setAttribute("aria-label", t("room.increase", {name: copy.title}));
+    });
 };
 
-/** abre y cierra modal de detalles */
-const openRoomModal = () => {
+/** abre y cierra modal de detalles (el foco vuelve a "More details") */
+const openRoomModal = (opener) => {
     const o = document.getElementById("room-modal");
-    if (!o) return;
-    o.style.display = "grid";
-    o.removeAttribute("aria-hidden");
-    document.body.style.overflow = "hidden";
+    if (o) getDialog(o).open({opener});
 };
 const closeRoomModal = () => {
     const o = document.getElementById("room-modal");
-    if (!o) return;
-    o.style.display = "none";
-    o.setAttribute("aria-hidden", "true");
-    document.body.style.overflow = "";
+    if (o) getDialog(o).close();
 };
 
-/** crea slides con imágenes */
-const buildSlides = (imgs = []) => {
-    const slider = document.getElementById("room-slider");
-    const dots = document.getElementById("room-dots");
-    if (!slider || !dots) return;
+/**
+ * Texto alternativo de una foto del catálogo en el idioma elegido.
+ * @method galleryAlt
+ * @param {{src:string, alt?:Object<string, string>}} photo
+ * @param {string} fallback - Nombre de la habitación si la foto no trae alt.
+ * @return {string}
+ */
+const galleryAlt = (photo, fallback) => photo.alt?.[getLang()] || photo.alt?.en || fallback;
+
+/**
+ * Galería del modal de habitaciones: slider con miniaturas y lightbox a pantalla completa.
+ * - flechas ‹ ›, teclas ←/→ y deslizar con el dedo (en el slider y en el lightbox)
+ * - las fotos se cargan de a una: la visible y sus vecinas; mientras tanto se ve un placeholder
+ * - los listeners se ponen una sola vez acá; load() solo cambia las fotos y, al cerrarse
+ *   el modal, clear() borra slides, miniaturas y el índice para la próxima apertura
+ * @method createRoomGallery
+ * @param {{modal:HTMLElement, slider:HTMLElement, thumbs:HTMLElement, lightbox:HTMLElement}} refs
+ * @return {{load:function({src:string, alt?:Object<string, string>}[], string):void, show:function(number):void, clear:function():void}}
+ */
+const createRoomGallery = ({modal, slider, thumbs, lightbox}) => {
+    const track = slider.querySelector(".room-track");
+    const counter = slider.querySelector(".room-counter");
+    const zoom = slider.querySelector('[data-action="gallery-zoom"]');
+    const boxImg = lightbox.querySelector(".lightbox-img");
+    const boxCaption = lightbox.querySelector(".lightbox-caption");
+    const boxCounter = lightbox.querySelector(".lightbox-counter");
+    const box = getDialog(lightbox);
+
+    let photos = [];
+    let title = "";
+    let idx = 0;
+
+    // carga diferida: la foto se pide recién cuando es la visible o una vecina
+    const loadSlide = (i) => {
+        const img = track.children[i]?.querySelector("img");
+        if (img && !img.getAttribute("src")) img.src = img.dataset.src;
+    };
+
+    const renderLightbox = () => {
+        const photo = photos[idx];
+        if (!photo) return;
+        boxImg.closest(".lightbox-figure").classList.add("is-loading");
+        boxImg.src = photo.src;
+        boxImg.alt = galleryAlt(photo, title);
+        boxCaption.textContent = boxImg.alt;
+        boxCounter.textContent = t("gallery.counter", {n: idx + 1, total: photos.length});
+    };
+
+    const show = (n) => {
+        if (!photos.length) return;
+        idx = (n + photos.length) % photos.length;
+        [...track.children].forEach((slide, i) => {
+            slide.classList.toggle("active", i === idx);
+            slide.setAttribute("aria-hidden", i === idx ? "false" : "true");
+        });
+        [...thumbs.children].forEach((thumb, i) => {
+            if (i === idx) thumb.setAttribute("aria-current", "true");
+            else thumb.removeAttribute("aria-current");
+        });
+        [idx, idx + 1, idx - 1].forEach((i) => loadSlide((i + photos.length) % photos.length));
+        counter.textContent = t("gallery.counter", {n: idx + 1, total: photos.length});
+        if (box.isOpen()) renderLightbox();
+    };
 
-    slider.querySelectorAll(".room-slide").forEach(el => el.remove());
-    dots.innerHTML = "";
+    const renderAlts = () => {
+        [...track.children].forEach((slide, i) => {
+            slide.querySelector("img").alt = galleryAlt(photos[i], title);
+        });
+        [...thumbs.children].forEach((thumb, i) => {
+            thumb.setAttribute("aria-label", t("gallery.thumb", {n: i + 1, alt: galleryAlt(photos[i], title)}));
+        });
+        show(idx);
+    };
 
-    const sources = imgs.length ? imgs : [];
+    const load = (list, roomTitle) => {
+        clear();
+        photos = list;
+        title = roomTitle;
+        track.innerHTML = photos.map((photo) => `
+            <div class="room-slide is-loading" role="group" aria-roledescription="slide">
+                <img data-src="${escapeHtml(photo.src)}" alt="" decoding="async">
+            </div>`).join("");
+        thumbs.innerHTML = photos.map((photo, i) => `
+            <button type="button" class="room-thumb" data-index="${i}">
+                <img src="${escapeHtml(photo.src)}" alt="" loading="lazy" decoding="async">
+            </button>`).join("");
+        track.querySelectorAll("img").forEach((img) => {
+            img.addEventListener("load", () => img.parentElement.classList.remove("is-loading"), {once: true});
+            img.addEventListener("error", () => img.parentElement.classList.replace("is-loading", "is-broken"), {once: true});
+        });
+        slider.classList.toggle("is-single", photos.length < 2);
+        thumbs.hidden = photos.length < 2;
+        renderAlts();
+    };
 
-    sources.forEach((src, i) => {
-        const wrap = document.createElement("div");
-        wrap.className = "room-slide" + (i === 0 ? " active" : "");
-        wrap.innerHTML = `<img src="${src}" alt="" loading="lazy">`;
-        slider.appendChild(wrap);
+    const clear = () => {
+        box.close();
+        photos = [];
+        idx = 0;
+        track.innerHTML = "";
+        thumbs.innerHTML = "";
+        counter.textContent = "";
+        boxImg.removeAttribute("src");
+    };
 
-        const dot = document.createElement("button");
-        dot.className = i === 0 ? "active" : "";
-        dot.dataset.index = String(i);
-        dots.appendChild(dot);
-    });
+    const openLightbox = (opener) => {
+        if (!photos.length) return;
+        box.open({opener});
+        renderLightbox();
+    };
 
-    let idx = 0;
-    const update = (n) => {
-        idx = (n + sources.length) % sources.length;
-        slider.querySelectorAll(".room-slide").forEach((s, i) => s.classList.toggle("active", i === idx));
-        dots.querySelectorAll("button").forEach((d, i) => d.classList.toggle("active", i === idx));
+    // deslizar: un gesto horizontal de más de 40px cambia de foto (el vertical sigue siendo scroll)
+    let swiped = false;
+    const bindSwipe = (el) => {
+        let start = null;
+        el.addEventListener("pointerdown", (e) => {
+            start = {x: e.clientX, y: e.clientY};
+            swiped = false;
+        });
+        el.addEventListener("pointerup", (e) => {
+            if (!start) return;
+            const dx = e.clientX - start.x;
+            const dy = e.clientY - start.y;
+            start = null;
+            if (Math.abs(dx) < 40 || Math.abs(dx) < Math.abs(dy)) return;
+            swiped = true;
+            show(idx + (dx < 0 ? 1 : -1));
+        });
+        el.addEventListener("pointercancel", () => {
+            start = null;
+        });
+    };
+    bindSwipe(track);
+    bindSwipe(lightbox.querySelector(".lightbox-figure"));
+
+    const arrows = (e) => {
+        if (e.target.closest("input, select, textarea")) return;
+        if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+        e.preventDefault();
+        show(idx + (e.key === "ArrowRight" ? 1 : -1));
     };
 
-    slider.querySelector(".nav-prev")?.addEventListener("click", () => sources.length && update(idx - 1), {once: false});
-    slider.querySelector(".nav-next")?.addEventListener("click", () => sources.length && update(idx + 1), {once: false});
-    document.getElementById("room-dots")?.addEventListener("click", (e) => {
-        const b = e.target.closest("button");
-        if (!b) return;
-        update(Number(b.dataset.index));
-    }, {once: false});
+    slider.querySelector(".nav-prev").addEventListener("click", () => show(idx - 1));
+    slider.querySelector(".nav-next").addEventListener("click", () => show(idx + 1));
+    lightbox.querySelector(".nav-prev").addEventListener("click", () => show(idx - 1));
+    lightbox.querySelector(".nav-next").addEventListener("click", () => show(idx + 1));
+    thumbs.addEventListener("click", (e) => {
+        const thumb = e.target.closest(".room-thumb");
+        if (thumb) show(Number(thumb.dataset.index));
+    });
+    track.addEventListener("click", () => {
+        if (!swiped) openLightbox(zoom);
+        swiped = false;
+    });
+    zoom.addEventListener("click", () => openLightbox(zoom));
+    boxImg.addEventListener("load", () => boxImg.closest(".lightbox-figure").classList.remove("is-loading"));
+    modal.addEventListener("keydown", arrows);
+    lightbox.addEventListener("keydown", arrows);
+    modal.addEventListener("sb:dialogclose", clear);
+    document.addEventListener("sb:langchange", () => {
+        if (photos.length) renderAlts();
+    });
+
+    return {load, show, clear};
 };
 
+/** Galería de booking.html (se crea la primera vez que se abre un modal). */
+let roomGallery = null;
+
 /**
- * Abre “More details” con datos y fotos de la tarjeta.
- * Usa data-room="std|sup|fam". Si no está, intenta inferir por el título.
+ * Abre “More details” con los datos y la galería del tipo de habitación (data-room).
  * @param {HTMLElement} trigger - Botón/Link clickeado
  */
 const openRoomDetails = (trigger) => {
-
-    let key = trigger?.dataset?.room;
-    if (!key) {
-        const title = trigger.closest(".room-card")?.querySelector("h3, .room-title")?.textContent || "";
-        if (/standard/i.test(title)) key = "std";
-        else if (/superior/i.test(title)) key = "sup";
-        else key = "fam";
-    }
-    const data = ROOMS_DB[key];
+    const key = trigger.dataset.room || trigger.closest(".room-card")?.dataset.room;
+    if (!ROOMS_DB[key]) return;
+    const data = getRoomCopy(key);
 
     document.getElementById("room-title").textContent = data.title;
     document.getElementById("room-capacity").textContent = data.capacity;
-    document.getElementById("room-size").textContent = data.size;
+    document.getElementById("room-size").textContent = ROOMS_DB[key].size;
     const desc = document.getElementById("room-desc");
     desc.textContent = data.desc;
     desc.classList.add("line-clamp");
 
     const ul = document.getElementById("room-amenities");
-    ul.innerHTML = data.amenities.map(a => `<li>${a}</li>`).join("");
-
-    const cardImg = trigger.closest(".room-card")?.querySelector("img")?.src;
-    const imgs = cardImg ? [cardImg] : [];
-    buildSlides(imgs);
+    ul.innerHTML = data.amenities.map(a => `<li>${escapeHtml(a)}</li>`).join("");
+
+    if (!roomGallery) {
+        roomGallery = createRoomGallery({
+            modal: document.getElementById("room-modal"),
+            slider: document.getElementById("room-slider"),
+            thumbs: document.getElementById("room-thumbs"),
+            lightbox: document.getElementById("room-lightbox"),
+        });
+    }
 
-    openRoomModal();
+    roomGallery.load(ROOMS_DB[key].gallery, data.title);
+    openRoomModal(trigger);
 };
 
-
-document.querySelector("#room-modal .room-close")?.addEventListener("click", closeRoomModal);
-document.getElementById("room-modal")?.addEventListener("click", (e) => {
-    if (e.target.id === "room-modal") closeRoomModal(); // click fuera
-});
-document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") closeRoomModal();
-});
-
 document.addEventListener("click", (e) => {
     const btn = e.target.closest('[data-action="room-details"]');
     if (!btn) return;
@@ -650,228 +4132,980 @@ document.addEventListener("click", (e) => {
 /* Payment */
 
 
-const buildCheckoutData = () => {
-    const checkin = document.getElementById("checkin")?.value || "";
-    const checkout = document.getElementById("checkout")?.value || "";
+/** Versión del formato de sb_checkout: un carrito de otra versión no se acepta en payment.html. */
+const CHECKOUT_VERSION = 4;
+/** Cuánto se sostiene la cotización en payment.html antes de pedir que se vuelva a buscar. */
+const CHECKOUT_HOLD_MS = 15 * 60 * 1000;
+const CHECKOUT_KEY = "sb_checkout";
+/** Motivo ("changed" | "expired" | "invalid") por el que payment.html devolvió al huésped a booking.html. */
+const CHECKOUT_NOTICE_KEY = "sb_checkout_notice";
 
+/**
+ * Cotiza una selección con las tarifas vigentes y la deja con la forma de sb_checkout.
+ * @method quoteCheckout
+ * @param {{checkin:string, checkout:string, qty:Object<string, number>, promoCode:string, plan:string, extras:Object, party:Object}} selection
+ * @return {{checkin:string, checkout:string, nights:number, rooms:Object[], totalRooms:number, subtotal:number, stayDiscount:(Object|null), promo:(Object|null), plan:Object, planDiscount:number, extras:Object[], extrasTotal:number, net:number, taxes:Object, total:number, dueNow:number, dueAtHotel:number, minStay:Object, party:Object}}
+ *  plan trae freeCancelUntil para calcular el reintegro si después se cancela (computeRefund).
+ */
+const quoteCheckout = ({checkin, checkout, qty, promoCode, plan, extras, party}) => {
     const inDate = parseISODate(checkin);
     const outDate = parseISODate(checkout);
-    const nights = calcNights(inDate, outDate);
+    const quote = buildQuote(qty, inDate, outDate, {promoCode, plan, extras, party});
+
+    return {
+        checkin, checkout,
+        nights: calcNights(inDate, outDate),
+        rooms: quote.lines,
+        totalRooms: Object.values(qty).reduce((sum, n) => sum + n, 0),
+        subtotal: quote.subtotal,
+        stayDiscount: quote.stayDiscount,
+        promo: quote.promo,
+        plan: quote.plan,
+        planDiscount: quote.planDiscount,
+        extras: quote.extras,
+        extrasTotal: quote.extrasTotal,
+        net: quote.net,
+        taxes: quote.taxes,
+        total: quote.total,
+        dueNow: quote.dueNow,
+        dueAtHotel: quote.dueAtHotel,
+        minStay: quote.minStay,
+        party,
+    };
+};
+
+/**
+ * Lo elegido en booking.html, con la forma que reciben quoteCheckout y la API (POST /quotes).
+ * @method readBookingSelection
+ * @return {{checkin:string, checkout:string, qty:Object<string, number>, promoCode:string, plan:string, extras:Object, party:Object}}
+ */
+const readBookingSelection = () => ({
+    checkin: document.getElementById("checkin")?.value || "",
+    checkout: document.getElementById("checkout")?.value || "",
+    qty: readRoomQty(),
+    promoCode: getAppliedPromo(),
+    plan: getSelectedPlan(),
+    extras: readExtras(),
+    party: readParty(),
+});
+
+/**
+ * Arma los datos que viajan a payment.html (sb_checkout) con la cotización por noche,
+ * la versión del formato y el vencimiento de la cotización.
+ * @method createCheckout
+ * @param {Object} selection - readBookingSelection.
+ * @param {number} [now]
+ * @return {Object} Lo mismo que quoteCheckout más version, createdAt y expiresAt (ms).
+ */
+const createCheckout = (selection, now = Date.now()) => ({
+    version: CHECKOUT_VERSION,
+    createdAt: now,
+    expiresAt: now + CHECKOUT_HOLD_MS,
+    ...quoteCheckout(selection),
+});
+
+/**
+ * Checkout de la selección actual de booking.html, para validar antes de pedir la cotización a la API.
+ * @method buildCheckoutData
+ * @return {Object}
+ */
+const buildCheckoutData = () => createCheckout(readBookingSelection());
+
+/**
+ * El carrito que viaja de booking.html a payment.html. Es estado de este navegador (como el idioma),
+ * no del backend: la API vuelve a cotizarlo antes de guardar la reserva.
+ * @method loadCheckout
+ * @return {Object|null}
+ */
+const loadCheckout = () => {
+    try {
+        return JSON.parse(localStorage.getItem(CHECKOUT_KEY) || "null");
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * @method saveCheckout
+ * @param {Object} data - Checkout cotizado por la API.
+ * @return {void}
+ */
+const saveCheckout = (data) => localStorage.setItem(CHECKOUT_KEY, JSON.stringify(data));
+
+/**
+ * @method clearCheckout
+ * @return {void}
+ */
+const clearCheckout = () => localStorage.removeItem(CHECKOUT_KEY);
+
+/**
+ * Importes iguales al centavo (lo guardado puede venir como texto si lo editaron a mano).
+ * @method sameAmount
+ * @param {*} a
+ * @param {number} b
+ * @return {boolean}
+ */
+const sameAmount = (a, b) => Math.abs(Number(a) - b) < 0.005;
+
+/**
+ * Vuelve a cotizar sb_checkout con las tarifas canónicas y lo compara con lo guardado.
+ * payment.html cobra solo lo que devuelve esta función, nunca los importes de localStorage.
+ * @method verifyCheckout
+ * @param {Object} data - sb_checkout tal como está guardado.
+ * @param {number} [now] - Date.now().
+ * @return {{ok:true, data:Object}|{ok:false, reason:("invalid"|"expired"|"changed")}}
+ */
+const verifyCheckout = (data, now = Date.now()) => {
+    const invalid = {ok: false, reason: "invalid"};
+    if (!data || data.version !== CHECKOUT_VERSION || !Array.isArray(data.rooms) || !data.rooms.length) return invalid;
+
+    const createdAt = Number(data.createdAt);
+    const expiresAt = Number(data.expiresAt);
+    if (!Number.isFinite(createdAt) || createdAt > now || expiresAt !== createdAt + CHECKOUT_HOLD_MS) return invalid;
+    if (expiresAt <= now) return {ok: false, reason: "expired"};
+
+    const qty = Object.fromEntries(Object.keys(ROOMS_DB).map((id) => [id, 0]));
+    for (const r of data.rooms) {
+        // cada tipo una sola vez y con la misma cantidad que permite el stepper (1–maxQty)
+        if (!r || !(r.id in qty) || qty[r.id] || !Number.isInteger(r.qty) || r.qty < 1 || r.qty > ROOMS_DB[r.id].maxQty) return invalid;
+        qty[r.id] = r.qty;
+    }
+
+    const party = data.party;
+    const partyOk = party && Number.isInteger(party.adults)
+        && party.adults >= 1 && party.adults <= PARTY_LIMITS.maxAdults
+        && Array.isArray(party.childAges) && party.childAges.length <= PARTY_LIMITS.maxChildren
+        && party.childAges.every((age) => Number.isInteger(age) && age >= 0 && age <= PARTY_LIMITS.maxChildAge);
+    if (!partyOk) return invalid;
+
+    const inDate = parseISODate(data.checkin);
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    if (!inDate || inDate < today) return invalid;
+
+    // extras: conocidos, una vez cada uno, dentro del tope y con una fecha de la estadía si son de un día
+    if (!Array.isArray(data.extras)) return invalid;
+    const nights = eachNight(inDate, parseISODate(data.checkout));
+    const stayShape = {rooms: Object.values(qty).reduce((sum, n) => sum + n, 0), guests: partyBeds(party)};
+    const extras = {};
+    for (const e of data.extras) {
+        if (!e || !(e.id in EXTRAS_DB) || extras[e.id] || !Number.isInteger(e.qty) || e.qty < 1
+            || e.qty > extraMaxQty(e.id, stayShape)) return invalid;
+        if (EXTRAS_DB[e.id].dated ? !nights.includes(e.date) : e.date) return invalid;
+        extras[e.id] = {qty: e.qty, date: e.date || ""};
+    }
+
+    // plan: uno que ofrezcan todas las habitaciones elegidas
+    if (!offeredPlans(qty).includes(data.plan?.id)) return invalid;
+
+    const fresh = quoteCheckout({
+        checkin: data.checkin,
+        checkout: data.checkout,
+        qty,
+        promoCode: data.promo?.code || "",
+        plan: data.plan.id,
+        extras,
+        party: {adults: party.adults, childAges: [...party.childAges]},
+    });
+    if (fresh.nights <= 0 || fresh.nights < fresh.minStay.nights || checkPartyFit(qty, fresh.party)) return invalid;
+
+    const matches = fresh.rooms.length === data.rooms.length
+        && fresh.rooms.every((line, i) => data.rooms[i].id === line.id && data.rooms[i].qty === line.qty
+            && sameAmount(data.rooms[i].subtotal, line.subtotal))
+        && fresh.extras.every((line, i) => data.extras[i].id === line.id && sameAmount(data.extras[i].subtotal, line.subtotal))
+        && ["subtotal", "planDiscount", "extrasTotal", "net", "total", "dueNow", "dueAtHotel"].every((key) => sameAmount(data[key], fresh[key]))
+        && ["discountPct", "payNowPct", "freeCancelUntil"].every((key) => data.plan[key] === fresh.plan[key])
+        && sameAmount(data.taxes?.total, fresh.taxes.total)
+        && Boolean(data.promo) === Boolean(fresh.promo)
+        && sameAmount(data.promo?.amount ?? 0, fresh.promo?.amount ?? 0);
+    if (!matches) return {ok: false, reason: "changed"};
+
+    return {ok: true, data: {...fresh, version: CHECKOUT_VERSION, createdAt, expiresAt}};
+};
+
+/**
+ * Devuelve al huésped a booking.html explicando por qué no se pudo seguir con el pago.
+ * Un carrito inválido se descarta; uno vencido o con precios distintos se conserva
+ * para que booking.html recupere fechas y habitaciones y muestre la cotización nueva.
+ * @method rejectCheckout
+ * @param {"invalid"|"expired"|"changed"} reason
+ * @return {void}
+ */
+const rejectCheckout = (reason) => {
+    localStorage.setItem(CHECKOUT_NOTICE_KEY, reason);
+    if (reason === "invalid") clearCheckout();
+    window.location.replace("booking.html");
+};
+
+/**
+ * En booking.html: muestra (una sola vez) el motivo por el que payment.html nos devolvió.
+ * @method showCheckoutNotice
+ * @return {void}
+ */
+const showCheckoutNotice = () => {
+    const reason = localStorage.getItem(CHECKOUT_NOTICE_KEY);
+    if (!reason) return;
+    localStorage.removeItem(CHECKOUT_NOTICE_KEY);
+    showModal(t(`checkout.${reason}`), t("checkout.title"));
+};
+
+document.querySelector(".btn-continue")?.addEventListener("click", async (e) => {
+    const btn = e.currentTarget;
+    if (btn.getAttribute("aria-busy") === "true") return; // ya hay una cotización en camino
+    const data = buildCheckoutData();
+
+    const inDate = parseISODate(data.checkin);
+    const outDate = parseISODate(data.checkout);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    if (!inDate || !outDate) {
+        showModal(t("dates.missing"), t("modal.error"));
+        return;
+    }
+    if (inDate < today) {
+        showModal(t("dates.checkinPast"), t("modal.error"));
+        return;
+    }
+    if (outDate < today) {
+        showModal(t("dates.checkoutPast"), t("modal.error"));
+        return;
+    }
+    if (data.nights <= 0) {
+        showModal(t("dates.order"), t("modal.error"));
+        return;
+    }
+    if (data.totalRooms === 0) {
+        showModal(t("booking.addRooms"), t("modal.error"));
+        return;
+    }
+    if (data.nights < data.minStay.nights) {
+        showModal(minStayMessage(data.minStay), t("minStay.title"));
+        return;
+    }
+    if (!validateParty()) return;
+    const partyIssue = checkPartyFit(readRoomQty(), data.party);
+    if (partyIssue) {
+        showModal(partyIssue, t("party.title"));
+        return;
+    }
+    const undated = missingExtraDates(readExtras());
+    if (undated.length) {
+        showModal(undated, t("extras.title"));
+        return;
+    }
+
+    // la cotización que vale es la de la API: precios, disponibilidad y reserva temporal
+    const status = document.querySelector(".resumen-status");
+    btn.setAttribute("aria-busy", "true");
+    setApiStatus(status, "loading", "api.quoting");
+    const result = await getBookingApi().quote(readBookingSelection());
+    btn.removeAttribute("aria-busy");
+    if (!result.ok) {
+        if (result.code === "unavailable") {
+            setApiStatus(status, "");
+            showModal(checkAvailability(data, result.free), t("avail.title"));
+            loadBookingInventory();
+        } else if (result.code === "invalid") {
+            setApiStatus(status, "");
+            showModal(t("checkout.invalid"), t("checkout.title"));
+        } else {
+            setApiStatus(status, result.code);
+            if (status) status.dataset.retry = "quote";
+        }
+        return;
+    }
+    setApiStatus(status, "");
+    saveCheckout(result.checkout);
+    window.location.href = "payment.html";
+});
+
+/* Validación de formularios */
+
+/**
+ * Inserta/actualiza el mensaje de error bajo el campo y marca estilos.
+ * El mensaje queda en aria-describedby del campo (sin pisar las descripciones que ya tenía)
+ * y un error nuevo se anuncia.
+ * @method setError
+ * @param {HTMLElement} el - input/textarea a validar
+ * @param {string} msg - mensaje de error ("" para limpiar)
+ */
+const setError = (el, msg) => {
+    const field = el.closest('.field') || el.parentElement;
+    let help = field.querySelector('.field-error');
+    if (!help) {
+        help = document.createElement('p');
+        help.className = 'field-error';
+        field.appendChild(help);
+    }
+    if (el.id) help.id = `${el.id}-error`;
+    const isNew = Boolean(msg) && help.textContent !== msg;
+    help.textContent = msg;
+    el.classList.toggle('input-error', Boolean(msg));
+    el.setAttribute('aria-invalid', msg ? 'true' : 'false');
+
+    if (help.id) {
+        const ids = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter((id) => id && id !== help.id);
+        if (msg) ids.push(help.id);
+        if (ids.length) el.setAttribute('aria-describedby', ids.join(' '));
+        else el.removeAttribute('aria-describedby');
+    }
+    if (isNew) announce(msg, {assertive: true});
+};
+
+/**
+ * Fábricas de reglas. Una regla recibe el valor (ya sin espacios en los bordes) y una
+ * función get(id) para leer otros campos del mismo formulario; devuelve "" si pasa
+ * o el mensaje traducido. Solo corren con el campo completo: lo vacío lo resuelve "required".
+ */
+const rules = {
+    minLength: (min, key) => (v) => (v.length < min ? t(key, {min}) : ''),
+    maxLength: (max, key = 'val.maxChars') => (v) => (v.length > max ? t(key, {max}) : ''),
+    pattern: (re, key, params) => (v) => (re.test(v) ? '' : t(key, params)),
+    digits: (min, max, key) => (v) => {
+        const n = v.replace(/\D/g, '').length;
+        return n < min || n > max ? t(key, {min, max}) : '';
+    },
+};
+
+const NAME_PATTERN = /^[\p{L} ]+$/u;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * Tipos de campo compartidos: el mismo dato se valida igual en todos los formularios.
+ */
+const FIELD_TYPES = {
+    personName: {required: 'val.required', rules: [rules.minLength(2, 'val.min2'), rules.pattern(NAME_PATTERN, 'val.letters')]},
+    email: {required: 'val.emailRequired', rules: [rules.pattern(EMAIL_PATTERN, 'val.email')]},
+    phone: {rules: [rules.digits(7, 15, 'val.phone')]},
+};
+
+/** Quien reserva, tal como llega a la API (los mismos tipos que el formulario de pago). */
+const GUEST_SCHEMA = {
+    firstName: FIELD_TYPES.personName,
+    lastName: FIELD_TYPES.personName,
+    email: FIELD_TYPES.email,
+    phone: FIELD_TYPES.phone,
+};
+
+/**
+ * Primer error de un valor según su entrada de esquema ("" si pasa). Lo vacío lo resuelve required.
+ * @method checkValue
+ * @param {{required?:string, rules?:Function[]}} spec
+ * @param {string} v - Valor sin espacios en los bordes.
+ * @param {function(string):string} get - Lee otro campo (reglas cruzadas).
+ * @return {string}
+ */
+const checkValue = (spec, v, get) => {
+    if (!v) return spec.required ? t(spec.required) : '';
+    for (const rule of spec.rules || []) {
+        const msg = rule(v, get);
+        if (msg) return msg;
+    }
+    return '';
+};
+
+/**
+ * Valida valores sueltos con un esquema, sin formulario (lo que recibe la API).
+ * Las reglas async no corren acá.
+ * @method validateValues
+ * @param {Object} schema - Como el de createFormValidator.
+ * @param {Object<string, *>} values
+ * @return {Object<string, string>} Mensaje por campo con error (vacío si todo pasa).
+ */
+const validateValues = (schema, values) => {
+    const get = (id) => String(values[id] ?? '').trim();
+    return Object.fromEntries(Object.keys(schema)
+        .map((id) => [id, checkValue(schema[id], get(id), get)])
+        .filter(([, msg]) => msg));
+};
+
+/**
+ * Arma el validador de un formulario a partir de su esquema y conecta blur/input.
+ * Cada entrada del esquema es {id: {required?, rules?, asyncRules?, deps?}}:
+ * - required: clave de i18n para el campo vacío; sin ella el campo es opcional y vacío pasa.
+ * - rules: reglas sincrónicas, en orden; se muestra la primera que falla.
+ * - asyncRules: reglas que devuelven una Promise; corren solo si las sincrónicas pasaron
+ *   y una respuesta vieja nunca pisa a una más nueva.
+ * - deps: ids de otros campos; si cambian, este se vuelve a validar (reglas cruzadas).
+ * Falla en voz alta: un id del esquema que no está en el formulario, un [required] sin
+ * validador o pedir validar un id desconocido lanzan un Error.
+ * @method createFormValidator
+ * @param {HTMLFormElement} form
+ * @param {Object<string, {required?:string, rules?:Function[], asyncRules?:Function[], deps?:string[]}>} schema
+ * @return {{validate:function(string):Promise<boolean>, validateAll:function():Promise<boolean>, reset:function():void}}
+ */
+const createFormValidator = (form, schema) => {
+    const ids = Object.keys(schema);
+    const fields = Object.fromEntries(ids.map((id) => {
+        const el = document.getElementById(id);
+        if (!el || !form.contains(el)) throw new Error(`Validation schema names #${id}, but the form has no such field`);
+        return [id, el];
+    }));
+    form.querySelectorAll('[required]').forEach((el) => {
+        if (!(el.id in schema)) throw new Error(`Required field #${el.id || el.name} has no validator`);
+    });
+    ids.forEach((id) => (schema[id].deps || []).forEach((dep) => {
+        if (!(dep in schema)) throw new Error(`#${id} depends on #${dep}, which has no validator`);
+    }));
 
-    const qty = {
-        std: validateRoomQty(document.querySelector('input[name="std_qty"]')),
-        sup: validateRoomQty(document.querySelector('input[name="sup_qty"]')),
-        fam: validateRoomQty(document.querySelector('input[name="fam_qty"]')),
+    const fieldFor = (id) => {
+        if (!(id in schema)) throw new Error(`No validator registered for #${id}`);
+        return fields[id];
+    };
+    const get = (id) => (fieldFor(id).value || '').trim();
+    const touched = new Set();
+    const attempts = {};
+
+    const check = (id) => checkValue(schema[id], get(id), get);
+
+    const run = async (id, el) => {
+        const attempt = (attempts[id] || 0) + 1;
+        attempts[id] = attempt;
+        let msg = check(id);
+        if (!msg && get(id) && schema[id].asyncRules?.length) {
+            el.setAttribute('aria-busy', 'true');
+            for (const rule of schema[id].asyncRules) {
+                msg = await rule(get(id), get);
+                if (msg) break;
+            }
+            if (attempt !== attempts[id]) return !msg; // ya hay una validación más nueva en curso
+            el.removeAttribute('aria-busy');
+        }
+        setError(el, msg);
+        return !msg;
     };
-    const totalRooms = qty.std + qty.sup + qty.fam;
-    const total = computeTotal(qty, nights);
+    // el id desconocido se rechaza antes de la parte async, para que el error no quede en una Promise
+    const validate = (id) => run(id, fieldFor(id));
+
+    const validateDependents = (id) => ids
+        .filter((other) => touched.has(other) && schema[other].deps?.includes(id))
+        .forEach(validate);
+
+    ids.forEach((id) => {
+        const el = fields[id];
+        el.addEventListener('blur', () => {
+            touched.add(id);
+            validate(id);
+            validateDependents(id);
+        });
+        el.addEventListener(el.tagName === 'SELECT' ? 'change' : 'input', () => {
+            if (el.classList.contains('input-error')) validate(id);
+            validateDependents(id);
+        });
+    });
+    // los mensajes visibles se vuelven a generar en el idioma nuevo
+    document.addEventListener('sb:langchange', () => {
+        ids.filter((id) => fields[id].classList.contains('input-error')).forEach(validate);
+    });
 
     return {
-        checkin, checkout, nights,
-        rooms: [
-            ...(qty.std ? [{id: "std", name: "Standard Room", qty: qty.std, price: 200}] : []),
-            ...(qty.sup ? [{id: "sup", name: "Superior Room", qty: qty.sup, price: 300}] : []),
-            ...(qty.fam ? [{id: "fam", name: "Family Suite", qty: qty.fam, price: 400}] : []),
-        ],
-        totalRooms,
-        total
+        validate,
+        /**
+         * Valida todo el formulario y lleva el foco al primer campo con error.
+         * @return {Promise<boolean>}
+         */
+        validateAll: async () => {
+            ids.forEach((id) => touched.add(id));
+            const results = await Promise.all(ids.map(validate));
+            const firstInvalid = ids.find((id, i) => !results[i]);
+            if (firstInvalid) {
+                // un solo aviso con el resumen en vez de leer cada error
+                announce(t('a11y.formErrors', {count: results.filter((ok) => !ok).length}), {assertive: true});
+                fields[firstInvalid].focus();
+            }
+            return !firstInvalid;
+        },
+        /** Limpia errores y el estado "tocado" (después de un envío exitoso). */
+        reset: () => {
+            touched.clear();
+            ids.forEach((id) => setError(fields[id], ''));
+        },
     };
 };
 
-document.querySelector(".btn-continue")?.addEventListener("click", () => {
-    const data = buildCheckoutData();
+/* Contacto */
 
-    const inDate = parseISODate(data.checkin);
-    const outDate = parseISODate(data.checkout);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+const CONTACT_SCHEMA = {
+    fname: FIELD_TYPES.personName,
+    lname: FIELD_TYPES.personName,
+    email: FIELD_TYPES.email,
+    phone: FIELD_TYPES.phone,
+    message: {rules: [rules.maxLength(500)]},
+};
 
-    if (!inDate || !outDate) {
-        showModal("Complete Check-in and Check-out.", "Error");
-        return;
-    }
-    if (inDate < today) {
-        showModal("The check-in date cannot be earlier than today.", "Error");
-        return;
-    }
-    if (outDate < today) {
-        showModal("The check-out date cannot be earlier than today.", "Error");
-        return;
-    }
-    if (data.nights <= 0) {
-        showModal("The check-out date must be after the check-in date.", "Error");
-        return;
-    }
-    if (data.totalRooms === 0) {
-        showModal("Please add rooms.", "Error");
-        return;
-    }
+/**
+ * Mensajes que no se pudieron entregar (sin conexión o error del servidor) esperan acá y se
+ * reintentan solos: al abrir cualquier página, al volver la conexión y con espera creciente.
+ */
+const CONTACT_OUTBOX_KEY = 'sb_contact_outbox';
+/** Espera antes del primer reintento; se duplica en cada fallo hasta CONTACT_RETRY_MAX_MS. */
+const CONTACT_RETRY_BASE_MS = 5000;
+const CONTACT_RETRY_MAX_MS = 10 * 60 * 1000;
 
-    localStorage.setItem("sb_checkout", JSON.stringify(data));
-    window.location.href = "payment.html";
-});
+/**
+ * Manda un mensaje de contacto: a SITE_CONFIG.contactUrl si está configurado, si no a la API de reservas.
+ * @method sendContactMessage
+ * @param {Object} values - Campos de CONTACT_SCHEMA, ccode y clientId.
+ * @return {Promise<{ok:boolean, code?:string, status?:number}>}
+ */
+const sendContactMessage = (values) => {
+    const url = typeof SITE_CONFIG !== 'undefined' ? SITE_CONFIG.contactUrl : '';
+    return url ? requestJson('POST', url, values) : getBookingApi().sendContact(values);
+};
 
-// contact formulario
+/**
+ * Si vale la pena reintentar: no hubo respuesta o el servidor falló (no si rechazó los datos).
+ * @method isRetryableFailure
+ * @param {{code?:string, status?:number}} result
+ * @return {boolean}
+ */
+const isRetryableFailure = (result) =>
+    ['network', 'timeout'].includes(result.code) || result.status === 429 || result.status >= 500;
 
 /**
- * Inserta/actualiza el mensaje de error bajo el campo y marca estilos.
- * @method setError
- * @param {HTMLElement} el - input/textarea a validar
- * @param {string} msg - mensaje de error ("" para limpiar)
+ * Espera antes del próximo intento después de `attempts` fallos.
+ * @method contactRetryDelay
+ * @param {number} attempts
+ * @return {number} ms
  */
-const setError = (el, msg) => {
-    const field = el.closest('.field') || el.parentElement;
-    let help = field.querySelector('.field-error');
-    if (!help) {
-        help = document.createElement('p');
-        help.className = 'field-error';
-        field.appendChild(help);
+const contactRetryDelay = (attempts) => Math.min(CONTACT_RETRY_MAX_MS, CONTACT_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * Lee la bandeja de salida. Un mensaje con failed ya no se reintenta solo (el servidor lo rechazó
+ * sin decir que era inválido) pero se guarda: se vuelve a probar cuando vuelve la conexión.
+ * @method loadContactOutbox
+ * @return {{id:string, values:Object, createdAt:string, attempts:number, nextAttemptAt:number, failed?:boolean}[]}
+ */
+const loadContactOutbox = () => {
+    try {
+        const list = JSON.parse(localStorage.getItem(CONTACT_OUTBOX_KEY) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch {
+        return [];
     }
-    help.textContent = msg;
-    el.classList.toggle('input-error', Boolean(msg));
-    el.setAttribute('aria-invalid', msg ? 'true' : 'false');
 };
 
 /**
- * Valida nombres/apellidos: requerido, min 2, solo letras y espacios.
- * @method validateName
- * @param {string} v
- * @returns {string}
+ * Guarda la bandeja de salida (vacía, borra la clave).
+ * @method saveContactOutbox
+ * @param {Object[]} list
+ * @return {void}
  */
-const validateName = (v) => {
-    const s = (v || '').trim();
-    if (!s) return 'Campo obligatorio.';
-    if (s.length < 2) return 'Mínimo 2 caracteres.';
-    if (!/^[\p{L} ]+$/u.test(s)) return 'Usá solo letras y espacios.';
-    return '';
+const saveContactOutbox = (list) => {
+    if (list.length) localStorage.setItem(CONTACT_OUTBOX_KEY, JSON.stringify(list));
+    else localStorage.removeItem(CONTACT_OUTBOX_KEY);
 };
 
 /**
- * Valida email con patrón razonable.
- * @method validateEmail
- * @param {string} v
- * @returns {string}
+ * Deja un mensaje en la bandeja de salida y agenda el reintento.
+ * @method queueContactMessage
+ * @param {Object} values - Con su clientId: el servidor lo usa para no guardarlo dos veces.
+ * @param {number} [attempts] - Intentos ya fallados.
+ * @return {void}
  */
-const validateEmail = (v) => {
-    const s = (v || '').trim();
-    if (!s) return 'Campo obligatorio.';
-    const re = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
-    if (!re.test(s)) return 'Ingresá un email válido.';
-    return '';
+const queueContactMessage = (values, attempts = 0) => {
+    const now = Date.now();
+    saveContactOutbox([...loadContactOutbox(), {
+        id: values.clientId,
+        values,
+        createdAt: new Date(now).toISOString(),
+        attempts,
+        nextAttemptAt: now + contactRetryDelay(Math.max(1, attempts)),
+    }]);
+    scheduleContactOutbox();
 };
 
+let contactOutboxTimer = null;
+let contactOutboxBusy = false;
+
 /**
- * Teléfono: opcional. Si se completa, 7–12 dígitos (ignora espacios/guiones).
- * @method validatePhone
- * @param {string} v
- * @returns {string}
+ * Agenda el próximo envío de la bandeja para cuando venza el primer reintento.
+ * @method scheduleContactOutbox
+ * @return {void}
  */
-const validatePhone = (v) => {
-    const d = (v || '').replace(/\D/g, '');
-    if (!d) return '';
-    if (!/^\d{7,15}$/.test(d)) return 'Phone must be 7–15 digits.';
-    return '';
+const scheduleContactOutbox = () => {
+    clearTimeout(contactOutboxTimer);
+    const list = loadContactOutbox().filter((item) => !item.failed);
+    if (!list.length) return;
+    const next = Math.min(...list.map((item) => item.nextAttemptAt));
+    contactOutboxTimer = setTimeout(() => flushContactOutbox(), Math.max(0, next - Date.now()));
 };
 
 /**
- * Mensaje: opcional en tu HTML, pero validamos longitud si escribe.
- * Si querés hacerlo obligatorio, descomentá la primer validación.
- * @method validateMessage
- * @param {string} v
- * @returns {string}
+ * Intenta entregar lo que está en la bandeja. Lo entregado sale, y también lo que el servidor
+ * rechazó por inválido (422): reintentarlo no lo arregla. Ante cualquier otro rechazo el mensaje
+ * queda marcado failed; lo demás vuelve a esperar, cada vez más. Si algo no se pudo entregar se
+ * avisa, y sb:outboxchange lleva {delivered, failed}.
+ * @method flushContactOutbox
+ * @param {{force?:boolean}} [opts] - force: no esperar los plazos y reintentar los failed (volvió la conexión).
+ * @return {Promise<number>} Cuántos se entregaron.
  */
-const validateMessage = (v) => {
-    const s = (v || '').trim();
-    if (s.length > 500) return 'Maximum 500 characters.';
-    return '';
+const flushContactOutbox = async ({force = false} = {}) => {
+    if (contactOutboxBusy || isOffline()) return 0;
+    contactOutboxBusy = true;
+    let delivered = 0;
+    let failed = 0;
+    try {
+        for (const item of loadContactOutbox()) {
+            if (!force && (item.failed || item.nextAttemptAt > Date.now())) continue;
+            const result = await sendContactMessage(item.values);
+            // se relee la bandeja: otra pestaña pudo haberla cambiado mientras esperábamos
+            const list = loadContactOutbox();
+            const current = list.find((m) => m.id === item.id);
+            if (!current) continue;
+            if (result.ok || result.status === 422) {
+                saveContactOutbox(list.filter((m) => m !== current));
+                if (result.ok) delivered += 1;
+                else failed += 1;
+                continue;
+            }
+            current.attempts += 1;
+            if (isRetryableFailure(result)) {
+                current.nextAttemptAt = Date.now() + contactRetryDelay(current.attempts);
+            } else if (!current.failed) {
+                current.failed = true;
+                failed += 1;
+            }
+            saveContactOutbox(list);
+        }
+    } finally {
+        contactOutboxBusy = false;
+    }
+    if (delivered || failed) {
+        // un solo aviso: announce reemplaza al anterior si llegan dos seguidos
+        announce([
+            delivered ? t('contact.outboxDelivered', {count: delivered}) : '',
+            failed ? t('contact.outboxFailed', {count: failed}) : '',
+        ].filter(Boolean).join(' '), {assertive: failed > 0});
+        document.dispatchEvent(new CustomEvent('sb:outboxchange', {detail: {delivered, failed}}));
+    }
+    scheduleContactOutbox();
+    return delivered;
 };
 
+document.addEventListener('DOMContentLoaded', () => {
+    flushContactOutbox();
+    window.addEventListener('online', () => flushContactOutbox({force: true}));
+});
+
+/** Borrador del formulario de contacto: lo escrito sobrevive a una recarga o a un corte hasta que se envía. */
+const CONTACT_DRAFT_KEY = 'sb_contact_draft';
+/** Campos del formulario de contacto que se mandan (y se guardan en el borrador). */
+const CONTACT_FIELDS = [...Object.keys(CONTACT_SCHEMA), 'ccode'];
+
 /**
- * Valida un campo según su id y pinta el error si corresponde.
- * @method validateField
- * @param {HTMLElement} el
- * @returns {boolean} true si pasa
+ * Guarda lo escrito en el formulario de contacto (o borra el borrador si está vacío).
+ * @method saveContactDraft
+ * @param {HTMLFormElement} form
+ * @return {void}
  */
-const validateField = (el) => {
-    const {id, value} = el;
-    let msg = '';
-    if (id === 'fname' || id === 'lname') msg = validateName(value);
-    else if (id === 'email') msg = validateEmail(value);
-    else if (id === 'phone') msg = validatePhone(value);
-    else if (id === 'message') msg = validateMessage(value);
-    setError(el, msg);
-    return !msg;
+const saveContactDraft = (form) => {
+    const values = Object.fromEntries(CONTACT_FIELDS.map((key) => [key, form.elements[key]?.value || '']));
+    const typed = Object.keys(CONTACT_SCHEMA).some((key) => values[key].trim());
+    if (typed) localStorage.setItem(CONTACT_DRAFT_KEY, JSON.stringify(values));
+    else localStorage.removeItem(CONTACT_DRAFT_KEY);
 };
 
 /**
- * Valida el formulario completo.
- * @method validateContactForm
- * @returns {boolean}
+ * Vuelve a cargar el borrador en el formulario de contacto.
+ * @method restoreContactDraft
+ * @param {HTMLFormElement} form
+ * @return {void}
  */
-const validateContactForm = () => {
-    const els = [
-        document.getElementById('fname'),
-        document.getElementById('lname'),
-        document.getElementById('email'),
-        document.getElementById('phone'),
-        document.getElementById('message'),
-    ].filter(Boolean);
-
-    const results = els.map(validateField);
-    if (results.includes(false)) {
-        const firstError = els.find(e => e.classList.contains('input-error'));
-        firstError?.focus();
-        return false;
+const restoreContactDraft = (form) => {
+    let draft;
+    try {
+        draft = JSON.parse(localStorage.getItem(CONTACT_DRAFT_KEY) || 'null');
+    } catch {
+        draft = null;
     }
-    return true;
+    if (!draft || typeof draft !== 'object') return;
+    CONTACT_FIELDS.forEach((key) => {
+        const el = form.elements[key];
+        if (!el || typeof draft[key] !== 'string') return;
+        // un select solo toma valores que tiene
+        if (el.tagName !== 'SELECT' || Array.from(el.options).some((o) => o.value === draft[key])) el.value = draft[key];
+    });
 };
 
 document.addEventListener('DOMContentLoaded', () => {
     const form = document.querySelector('form.contact-form');
     if (!form) return;
 
-    const ids = ['fname', 'lname', 'email', 'phone', 'message'];
-    ids.forEach(id => {
-        const el = document.getElementById(id);
-        if (!el) return;
-        el.addEventListener('blur', () => validateField(el));
-        el.addEventListener('input', () => {
-            if (el.classList.contains('input-error')) validateField(el);
-        });
-    });
+    restoreContactDraft(form);
+    ['input', 'change'].forEach((ev) => form.addEventListener(ev, () => saveContactDraft(form)));
+    const validator = createFormValidator(form, CONTACT_SCHEMA);
 
-    form.addEventListener('submit', (e) => {
+    form.addEventListener('submit', async (e) => {
         e.preventDefault();
-        const valido = validateContactForm();
+        const valido = await validator.validateAll();
 
         if (!valido) {
-            showModal('Please complete the required fields correctly.', 'Error');
+            showModal(t('contact.invalid'), t('modal.error'));
+            return;
+        }
+
+        const submitBtn = form.querySelector('[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        form.setAttribute('aria-busy', 'true');
+        const values = {
+            ...Object.fromEntries(CONTACT_FIELDS.map((key) => [key, form.elements[key]?.value || ''])),
+            clientId: `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+        };
+        // sin conexión ni lo intentamos: va directo a la bandeja
+        const result = isOffline() ? {ok: false, code: 'network'} : await sendContactMessage(values);
+        if (submitBtn) submitBtn.disabled = false;
+        form.setAttribute('aria-busy', 'false');
+        if (!result.ok && !isRetryableFailure(result)) {
+            showModal(result.code === 'invalid' ? t('contact.invalid') : t('contact.failed', {reason: apiErrorText(result.code)}), t('modal.error'));
             return;
         }
 
-        showModal('Thank you! Your message has been sent.', 'Message sent');
+        if (result.ok) {
+            showModal(t('contact.sent'), t('contact.sentTitle'));
+        } else {
+            queueContactMessage(values, isOffline() ? 0 : 1);
+            showModal(t('contact.queued'), t('contact.queuedTitle'));
+        }
         form.reset();
-        ['fname', 'lname', 'email', 'phone', 'message'].forEach(id => {
-            const el = document.getElementById(id);
-            if (el) setError(el, '');
-        });
+        validator.reset();
+        localStorage.removeItem(CONTACT_DRAFT_KEY);
+    });
+
+});
+
+/* Sin conexión */
+
+/**
+ * El sitio sigue andando sin conexión (Wi-Fi del ferry): sw.js guarda las páginas y los
+ * recursos, el buscador y el contacto guardan borradores y un aviso fijo dice si hay conexión.
+ * Lo que necesita la red (cobrar, la API de reservas) espera a que vuelva.
+ */
+
+/** Cuánto queda a la vista el aviso de que volvió la conexión. */
+const NETWORK_BACK_MS = 4000;
+let networkTimer = 0;
+
+/**
+ * Si el navegador sabe que no hay conexión (undefined = no sabe, se asume que hay).
+ * @method isOffline
+ * @return {boolean}
+ */
+const isOffline = () => navigator.onLine === false;
+
+/**
+ * Muestra el aviso de conexión: fijo mientras no hay, unos segundos cuando vuelve.
+ * @method renderNetworkStatus
+ * @param {"offline"|"online"|""} state - "" lo oculta.
+ * @return {void}
+ */
+const renderNetworkStatus = (state) => {
+    let el = document.getElementById("net-status");
+    if (!el) {
+        if (!state) return;
+        el = document.createElement("p");
+        el.id = "net-status";
+        el.className = "net-status";
+        el.setAttribute("role", "status");
+        document.body.appendChild(el);
+    }
+    clearTimeout(networkTimer);
+    el.dataset.state = state;
+    el.hidden = !state;
+    el.textContent = state ? t(`net.${state}`) : "";
+    el.classList.toggle("is-offline", state === "offline");
+    document.documentElement.classList.toggle("is-offline", state === "offline");
+    if (state === "online") networkTimer = setTimeout(() => renderNetworkStatus(""), NETWORK_BACK_MS);
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+    if (isOffline()) renderNetworkStatus("offline");
+    window.addEventListener("offline", () => renderNetworkStatus("offline"));
+    window.addEventListener("online", () => renderNetworkStatus("online"));
+    document.addEventListener("sb:langchange", () => {
+        const el = document.getElementById("net-status");
+        if (el && !el.hidden) el.textContent = t(`net.${el.dataset.state}`);
     });
+});
+
+// el service worker necesita http(s); sin él el sitio anda igual, solo que no sin conexión
+window.addEventListener("load", () => {
+    if (!("serviceWorker" in navigator) || !location.protocol.startsWith("http")) return;
+    navigator.serviceWorker.register("sw.js").catch(() => {});
+});
+
+/* Huéspedes por habitación */
+
+/** Preferencias de cama que se pueden pedir ("" = sin preferencia). El hotel las confirma al llegar. */
+const BED_PREFERENCES = ["double", "twin"];
+/** Horarios estimados de llegada que se ofrecen, de hora en hora ("" = todavía no sé). */
+const ARRIVAL_TIMES = Array.from({length: 16}, (_, i) => `${String(i + 8).padStart(2, "0")}:00`);
+const DIETARY_MAX = 80;
+const SPECIAL_REQUEST_MAX = 300;
+
+/**
+ * Una entrada por habitación reservada (dos Family Suites son dos entradas), en el orden de data.rooms.
+ * @method expandRoomUnits
+ * @param {{id:string, qty:number}[]} rooms
+ * @return {{key:string, room:string, n:number, of:number}[]} key arma los ids de los campos.
+ */
+const expandRoomUnits = (rooms) => rooms.flatMap((r) =>
+    Array.from({length: r.qty}, (_, i) => ({key: `${r.id}-${i + 1}`, room: r.id, n: i + 1, of: r.qty})));
+
+/**
+ * Nombre de una habitación dentro de la reserva ("Family Suite 2 of 2").
+ * @method roomUnitLabel
+ * @param {{room:string, n:number, of:number}} unit
+ * @return {string}
+ */
+const roomUnitLabel = ({room, n, of}) => {
+    const name = ROOMS_DB[room] ? getRoomCopy(room).title : room;
+    return of > 1 ? t("roomGuests.unit", {name, n, of}) : name;
+};
+
+/**
+ * Arma en payment.html un grupo de campos por habitación: titular, llegada, cama, dieta y pedido especial.
+ * Los textos fijos llevan data-i18n; los títulos de cada grupo los repinta renderRoomGuestLegends.
+ * @method renderRoomGuestFields
+ * @param {HTMLElement} box - #room-guests
+ * @param {ReturnType<typeof expandRoomUnits>} units
+ * @return {void}
+ */
+const renderRoomGuestFields = (box, units) => {
+    const option = (value, key) => `<option value="${value}" data-i18n="${key}">${t(key)}</option>`;
+    box.innerHTML = units.map(({key}) => `
+      <fieldset class="room-guest" data-unit="${key}">
+        <legend></legend>
+        <div class="field">
+          <label for="rg-${key}-name" data-i18n="roomGuests.name">${t("roomGuests.name")}</label>
+          <input id="rg-${key}-name" name="rg-${key}-name" autocomplete="off" required>
+        </div>
+        <div class="field">
+          <label for="rg-${key}-arrival" data-i18n="roomGuests.arrival">${t("roomGuests.arrival")}</label>
+          <select id="rg-${key}-arrival" name="rg-${key}-arrival">
+            ${option("", "roomGuests.arrivalUnknown")}
+            ${ARRIVAL_TIMES.map((time) => `<option value="${time}">${time}</option>`).join("")}
+          </select>
+        </div>
+        <div class="field">
+          <label for="rg-${key}-bed" data-i18n="roomGuests.bed">${t("roomGuests.bed")}</label>
+          <select id="rg-${key}-bed" name="rg-${key}-bed">
+            ${option("", "roomGuests.bed.none")}
+            ${BED_PREFERENCES.map((bed) => option(bed, `roomGuests.bed.${bed}`)).join("")}
+          </select>
+        </div>
+        <div class="field">
+          <label for="rg-${key}-diet" data-i18n="roomGuests.diet">${t("roomGuests.diet")}</label>
+          <input id="rg-${key}-diet" name="rg-${key}-diet" maxlength="${DIETARY_MAX}"
+                 placeholder="${t("roomGuests.dietPh")}" data-i18n-attr="placeholder:roomGuests.dietPh">
+        </div>
+        <div class="field field-full">
+          <label for="rg-${key}-request" data-i18n="roomGuests.request">${t("roomGuests.request")}</label>
+          <textarea id="rg-${key}-request" name="rg-${key}-request" rows="2" maxlength="${SPECIAL_REQUEST_MAX}"
+                    placeholder="${t("roomGuests.requestPh")}" data-i18n-attr="placeholder:roomGuests.requestPh"></textarea>
+        </div>
+      </fieldset>`).join("");
+    renderRoomGuestLegends(box, units);
+};
+
+/**
+ * Título de cada grupo (nombre de la habitación en el idioma actual).
+ * @method renderRoomGuestLegends
+ * @param {HTMLElement} box
+ * @param {ReturnType<typeof expandRoomUnits>} units
+ * @return {void}
+ */
+const renderRoomGuestLegends = (box, units) => units.forEach((unit) => {
+    const legend = box.querySelector(`[data-unit="${unit.key}"] legend`);
+    if (legend) legend.textContent = roomUnitLabel(unit);
+});
+
+/**
+ * Validación de los campos por habitación, con los mismos tipos que los datos de quien reserva.
+ * @method roomGuestSchema
+ * @param {ReturnType<typeof expandRoomUnits>} units
+ * @return {Object} Entradas para createFormValidator.
+ */
+const roomGuestSchema = (units) => Object.fromEntries(units.flatMap(({key}) => [
+    [`rg-${key}-name`, FIELD_TYPES.personName],
+    [`rg-${key}-diet`, {rules: [rules.maxLength(DIETARY_MAX)]}],
+    [`rg-${key}-request`, {rules: [rules.maxLength(SPECIAL_REQUEST_MAX)]}],
+]));
 
+/**
+ * Lee lo cargado para cada habitación (lo que queda en la reserva).
+ * @method readRoomGuests
+ * @param {ReturnType<typeof expandRoomUnits>} units
+ * @return {{room:string, n:number, of:number, leadName:string, arrival:string, bed:string, dietary:string, request:string}[]}
+ */
+const readRoomGuests = (units) => units.map(({key, room, n, of}) => {
+    const value = (field) => (document.getElementById(`rg-${key}-${field}`)?.value || "").trim();
+    return {
+        room, n, of,
+        leadName: value("name"),
+        arrival: ARRIVAL_TIMES.includes(value("arrival")) ? value("arrival") : "",
+        bed: BED_PREFERENCES.includes(value("bed")) ? value("bed") : "",
+        dietary: value("diet"),
+        request: value("request"),
+    };
 });
 
+/**
+ * Renglones con los huéspedes de cada habitación para la confirmación y "Mi reserva".
+ * @method renderRoomGuestRows
+ * @param {ReturnType<typeof readRoomGuests>} [list]
+ * @return {string} HTML ("" para reservas sin estos datos).
+ */
+const renderRoomGuestRows = (list = []) => list.map((g) => {
+    const details = [
+        g.arrival && t("roomGuests.arrivesAt", {time: g.arrival}),
+        g.bed && t(`roomGuests.bed.${g.bed}`),
+        g.dietary && `${t("roomGuests.diet")}: ${escapeHtml(g.dietary)}`,
+    ].filter(Boolean).join(" · ");
+    return `
+      <div class="room-guest-row">
+        <div class="sum-row"><span>${roomUnitLabel(g)}</span><strong>${escapeHtml(g.leadName)}</strong></div>
+        ${details ? `<p class="muted">${details}</p>` : ""}
+        ${g.request ? `<p class="muted">“${escapeHtml(g.request)}”</p>` : ""}
+      </div>`;
+}).join("");
+
 /* PAYMENT */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     const form = document.getElementById('pay-form');
     if (!form) return;
 
-    const money = n => new Intl.NumberFormat("en-US", {style: "currency", currency: "USD"}).format(n || 0);
-    const data = (() => {
-        try {
-            return JSON.parse(localStorage.getItem("sb_checkout") || "{}");
-        } catch {
-            return {};
-        }
-    })();
+    const stored = loadCheckout();
+    if (!stored) {
+        window.location.replace('booking.html');
+        return;
+    }
+    // las tarifas por fecha las fija el hotel: se traen antes de volver a cotizar
+    const api = getBookingApi();
+    const sumStatus = document.getElementById('sum-status');
+    const payBtn = form.querySelector('.btn-pay');
+    if (payBtn) payBtn.disabled = true;
+    setApiStatus(sumStatus, 'loading');
+    const rates = await api.inventory({from: stored.checkin, to: stored.checkout});
+    if (!rates.ok) {
+        setApiStatus(sumStatus, rates.code);
+        sumStatus?.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="api-retry"]')) window.location.reload();
+        });
+        return;
+    }
+    bookingInventory = rates.inventory;
+    setApiStatus(sumStatus, '');
+    if (payBtn) payBtn.disabled = false;
+
+    // se cobra lo que cotizamos acá, no lo que haya quedado en localStorage
+    const verified = verifyCheckout(stored);
+    if (!verified.ok) {
+        rejectCheckout(verified.reason);
+        return;
+    }
+    const data = verified.data;
 
     const sumIn = document.getElementById('sum-in');
     const sumOut = document.getElementById('sum-out');
@@ -879,178 +5113,491 @@ document.addEventListener('DOMContentLoaded', () => {
     const sumRooms = document.getElementById('sum-rooms');
     const sumTotal = document.getElementById('sum-total');
 
-    if (!data || !data.total || !data.rooms || !data.rooms.length) {
-        window.location.replace('booking.html');
-        return;
-    }
-    sumIn.textContent = data.checkin;
-    sumOut.textContent = data.checkout;
     sumNights.textContent = data.nights;
-    sumTotal.textContent = money(data.total);
-    sumRooms.innerHTML = data.rooms.map(r => `
+    const sumCharge = document.getElementById('sum-charge');
+    const payPolicy = document.getElementById('pay-policy');
+    const cardAccepted = document.getElementById('card-accepted');
+    const renderAcceptedCards = () => {
+        if (cardAccepted) cardAccepted.textContent = t('pay.cardsAccepted', {accepted: acceptedCardNames()});
+    };
+    renderAcceptedCards();
+    document.addEventListener('sb:langchange', renderAcceptedCards);
+
+    const sumGuests = document.getElementById('sum-guests');
+    const renderRooms = () => {
+        sumIn.textContent = formatDate(data.checkin);
+        sumOut.textContent = formatDate(data.checkout);
+        if (sumGuests && data.party) sumGuests.textContent = describeParty(data.party);
+        const converted = getCurrency() !== SETTLEMENT_CURRENCY;
+        sumTotal.textContent = (converted ? '≈ ' : '') + formatPrice(data.total);
+        if (sumCharge) {
+            sumCharge.textContent = t('fx.charge', {amount: formatMoney(data.dueNow, SETTLEMENT_CURRENCY), base: SETTLEMENT_CURRENCY})
+                + (data.dueAtHotel ? ` ${t('plan.balance', {amount: formatMoney(data.dueAtHotel, SETTLEMENT_CURRENCY)})}` : '')
+                + (converted ? ` ${currencyNote()}` : '');
+        }
+        if (payPolicy) payPolicy.innerHTML = `<strong>${t(`plan.${data.plan.id}`)}.</strong> ${planPolicyText(data)}`;
+        sumRooms.innerHTML = data.rooms.map(r => `
     <div class="sum-row">
-      <span>${r.qty} ${r.name}${r.qty > 1 ? 's' : ''}</span>
-      <strong>${money(r.qty * r.price * data.nights)}</strong>
+      <span>${roomCountLabel(r.id, r.qty)}</span>
+      <strong>${formatPrice(displayAmount(r.subtotal))}</strong>
     </div>
-  `).join('');
+    ${r.nights?.length ? renderNightBreakdown(r) : ''}
+  `).join('') + renderExtraLines(data.extras, 'sum-row') + renderTotalsRows(buildTotalsRows(data), 'sum-row');
+    };
+    renderRooms();
+    bindTaxModeToggle(renderRooms);
+    bindCurrencySelect(renderRooms);
+    document.addEventListener('sb:langchange', renderRooms);
 
-    const setErr = (el, msg) => (typeof setError === 'function' ? setError(el, msg) : (el.title = msg));
     const onlyDigits = s => (s || '').replace(/\D/g, '');
 
-    const validateName = v => {
-        const s = (v || '').trim();
-        if (!s) return 'This field is required.';
-        if (s.length < 2) return 'Minimum 2 characters.';
-        if (!/^[\p{L} ]+$/u.test(s)) return 'Letters and spaces only.';
-        return '';
-    };
-    const validateEmail = v => {
-        const s = (v || '').trim();
-        if (!s) return 'Email is required.';
-        return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(s) ? '' : 'Enter a valid email.';
-    };
-    const luhn = num => {
-        let sum = 0, dbl = false;
-        for (let i = num.length - 1; i >= 0; i--) {
-            let d = +num[i];
-            if (dbl) {
-                d *= 2;
-                if (d > 9) d -= 9;
-            }
-            sum += d;
-            dbl = !dbl;
-        }
-        return sum % 10 === 0;
-    };
     const validateCard = v => {
-        const d = (v || '').replace(/\D/g, '');
-        if (!d) return 'Card number is required.';
-        if (d.length !== 16) return 'Card number must be 16 digits.';
-        return luhn(d) ? '' : 'Invalid card number.';
-    };
-    const validateNameOnCard = (v) => {
-        const s = (v || '').trim();
-        if (!s) return 'Name on card is required.';
-        if (!/^[A-Za-zÀ-ÿÑñ ]{2,40}$/.test(s)) return 'Use letters and spaces only.';
+        const d = onlyDigits(v);
+        const network = detectCardNetwork(d);
+        if (!network) return t('val.cardUnknown');
+        if (!isCardAccepted(network)) return t('val.cardNotAccepted', {brand: network.name, accepted: acceptedCardNames()});
+        if (!network.lengths.includes(d.length)) {
+            return t('val.cardLength', {brand: network.name, lengths: formatList(network.lengths, 'disjunction')});
+        }
+        if (network.luhn !== false && !luhnCheck(d)) return t('val.cardInvalid');
         return '';
     };
     const validateExp = v => {
-        const s = (v || '').trim();
-        if (!s) return 'Expiry is required.';
-        const m = /^(\d{2})\s*\/\s*(\d{2})$/.exec(s);
-        if (!m) return 'Use MM/YY.';
+        const m = /^(\d{2})\s*\/\s*(\d{2})$/.exec(v);
+        if (!m) return t('val.expFormat');
         let [, mm, yy] = m;
         mm = +mm;
         yy = +yy;
-        if (mm < 1 || mm > 12) return 'Invalid month.';
+        if (mm < 1 || mm > 12) return t('val.expMonth');
         const fullYear = 2000 + yy;
         const expDate = new Date(fullYear, mm);
         const now = new Date();
-        if (expDate <= new Date(now.getFullYear(), now.getMonth() + 1, 1)) return 'Card is expired.';
+        if (expDate <= new Date(now.getFullYear(), now.getMonth() + 1, 1)) return t('val.expired');
         return '';
     };
-    const validateCvv = (v) => {
-        const d = (v || '').replace(/\D/g, '');
-        if (!/^\d{3,4}$/.test(d)) return 'CVV must be 3–4 digits.';
-        return '';
-    };
-    const validatePhone = v => {
+    // regla cruzada: el largo del CVV depende de la red de la tarjeta
+    const validateCvv = (v, get) => {
         const d = onlyDigits(v);
-        if (!d) return '';
-        if (d.length < 7 || d.length > 12) return 'Phone must be 7–12 digits.';
+        const network = detectCardNetwork(onlyDigits(get('card')));
+        if (network) return d.length === network.cvv ? '' : t('val.cvvLength', {name: network.cvvName, count: network.cvv});
+        if (!/^\d{3,4}$/.test(d)) return t('val.cvv');
         return '';
     };
-    const validateZip = v => {
-        const d = (v || '').replace(/\D/g, '');
-        if (!d) return '';
-        if (d.length > 4) return 'ZIP must be up to 4 digits.';
-        if (!/^\d{1,4}$/.test(d)) return 'ZIP must contain digits only.';
-        return '';
+
+    // quién se aloja en cada habitación: un grupo de campos por habitación reservada
+    const roomUnits = expandRoomUnits(data.rooms);
+    const roomGuestsBox = document.getElementById('room-guests');
+    if (roomGuestsBox) {
+        renderRoomGuestFields(roomGuestsBox, roomUnits);
+        document.addEventListener('sb:langchange', () => renderRoomGuestLegends(roomGuestsBox, roomUnits));
+    }
+
+    const validator = createFormValidator(form, {
+        ...(roomGuestsBox ? roomGuestSchema(roomUnits) : {}),
+        fname: FIELD_TYPES.personName,
+        lname: FIELD_TYPES.personName,
+        email: FIELD_TYPES.email,
+        phone: FIELD_TYPES.phone,
+        card: {required: 'val.cardRequired', rules: [validateCard]},
+        nameoncard: {required: 'val.nameOnCardRequired', rules: FIELD_TYPES.personName.rules},
+        exp: {required: 'val.expRequired', rules: [validateExp]},
+        cvv: {required: 'val.cvv', rules: [validateCvv], deps: ['card']},
+        zip: {rules: [rules.pattern(/^\d+$/, 'val.zipDigits'), rules.maxLength(4, 'val.zipMax')]},
+    });
+
+    const payStatus = document.getElementById('pay-status');
+    const provider = getPaymentProvider();
+    const value = (id) => (document.getElementById(id)?.value || '').trim();
+    let paying = false;
+
+    /**
+     * Estado del botón y del aviso de pago: "idle" | "pending" | "failed" | "paid".
+     * @param {string} state
+     * @param {string} [messageKey] - Clave de i18n del aviso ("" lo oculta).
+     */
+    const setPayState = (state, messageKey = '') => {
+        // sin conexión no se puede cobrar: el botón espera y el aviso lo explica (si no hay otro)
+        const offline = isOffline() && state !== 'paid';
+        const message = messageKey ? t(messageKey) : offline ? t('net.payOffline') : '';
+        form.dataset.state = state;
+        form.dataset.message = messageKey;
+        form.setAttribute('aria-busy', state === 'pending' ? 'true' : 'false');
+        if (payBtn) {
+            payBtn.disabled = state === 'pending' || state === 'paid' || offline;
+            payBtn.textContent = t({pending: 'pay.processing', failed: 'pay.retry', paid: 'pay.paid'}[state] || 'pay.payNow');
+        }
+        if (payStatus) {
+            payStatus.hidden = !message;
+            payStatus.textContent = message;
+            payStatus.classList.toggle('is-error', state === 'failed');
+        }
+    };
+    setPayState('idle');
+    document.addEventListener('sb:langchange', () => setPayState(form.dataset.state, form.dataset.message));
+    ['online', 'offline'].forEach((ev) => window.addEventListener(ev, () => setPayState(form.dataset.state, form.dataset.message)));
+
+    // disponibilidad según la API: al abrir la página (en el resumen), antes de cobrar y con la tarjeta ya autorizada
+    const checkRooms = async () => {
+        const result = await api.availability({checkin: data.checkin, checkout: data.checkout});
+        if (!result.ok) return result;
+        const unavailable = checkAvailability(data, result.free);
+        return unavailable.length ? {ok: false, code: 'unavailable', messages: unavailable} : {ok: true};
+    };
+    const confirmRooms = async () => {
+        setApiStatus(sumStatus, 'loading', 'api.checkingRooms');
+        const result = await checkRooms();
+        if (result.ok || result.code === 'unavailable') setApiStatus(sumStatus, '');
+        else setApiStatus(sumStatus, result.code);
+        if (result.code === 'unavailable') showModal(result.messages, t('avail.title'));
     };
+    confirmRooms();
+    sumStatus?.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="api-retry"]')) confirmRooms();
+    });
+    document.addEventListener('sb:langchange', () => {
+        if (sumStatus) setApiStatus(sumStatus, sumStatus.dataset.state || '', sumStatus.dataset.loadingKey);
+    });
 
-    const validateField = el => {
-        const {id, value} = el;
-        let msg = '';
-        switch (id) {
-            case 'fname':
-            case 'lname':
-                msg = validateName(value);
-                break;
-            case 'email':
-                msg = validateEmail(value);
-                break;
-            case 'phone':
-                msg = validatePhone(value);
-                break;
-            case 'card':
-                msg = validateCard(value);
-                break;
-            case 'nameoncard':
-                msg = validateNameOnCard(value);
-                break;
-            case 'exp':
-                msg = validateExp(value);
-                break;
-            case 'cvv':
-                msg = validateCVV(value);
-                break;
-            case 'zip':
-                msg = validateZip(value);
-                break;
+    // cuenta regresiva de la cotización: al vencer hay que volver a buscar
+    const holdEl = document.getElementById('hold-timer');
+    let holdTimer = 0;
+    const renderHold = () => {
+        const left = data.expiresAt - Date.now();
+        if (left <= 0) {
+            if (paying) return; // un cobro en curso termina con la cotización que tenía
+            clearInterval(holdTimer);
+            rejectCheckout('expired');
+            return;
+        }
+        const seconds = Math.ceil(left / 1000);
+        const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        if (holdEl) {
+            holdEl.textContent = t('hold.remaining', {time});
+            holdEl.classList.toggle('is-urgent', seconds <= 120);
         }
-        setErr(el, msg);
-        return !msg;
     };
+    renderHold();
+    holdTimer = setInterval(renderHold, 1000);
+
+    /**
+     * Autoriza (con 3-D Secure si el banco lo pide), vuelve a mirar la disponibilidad y captura.
+     * Si algo falla después de autorizar, anula la autorización para no retener el dinero.
+     * @return {Promise<{ok:boolean, id?:string, code?:string, messages?:string[]}>}
+     */
+    const pay = async () => {
+        let auth = await withPaymentTimeout(provider.authorize({
+            amount: data.dueNow,
+            currency: SETTLEMENT_CURRENCY,
+            card: {number: value('card'), exp: value('exp'), cvv: value('cvv'), name: value('nameoncard')},
+            reference: `${data.checkin}/${data.checkout}`,
+        }));
+        if (auth.ok && auth.status === 'challenge') {
+            setPayState('pending', 'pay.status.challenge');
+            const answer = await askChallengeCode(auth.challenge);
+            if (answer === null) return {ok: false, code: 'challenge_cancelled'};
+            setPayState('pending', 'pay.status.pending');
+            auth = await withPaymentTimeout(provider.confirmChallenge(auth.id, answer));
+        }
+        if (!auth.ok) return auth;
 
-    const ids = ['fname', 'lname', 'email', 'phone', 'card', 'nameoncard', 'exp', 'cvv', 'address', 'country', 'zip'];
+        // alguien pudo haber reservado mientras el banco respondía
+        const rooms = await checkRooms();
+        if (!rooms.ok) {
+            await withPaymentTimeout(provider.void(auth.id));
+            return rooms.code === 'unavailable' ? rooms : {ok: false, code: 'unreachable'};
+        }
+        const capture = await withPaymentTimeout(provider.capture(auth.id));
+        if (!capture.ok) {
+            await withPaymentTimeout(provider.void(auth.id));
+            return capture;
+        }
+        return {ok: true, id: auth.id};
+    };
 
-    ids.forEach(id => {
-        const el = document.getElementById(id);
-        if (!el) return;
-        el.addEventListener('blur', () => validateField(el));
-        el.addEventListener('input', () => {
-            if (el.classList.contains('input-error')) validateField(el);
-        });
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (paying || isOffline()) return; // doble click / doble Enter, o sin conexión
+        if (Date.now() >= data.expiresAt) {
+            rejectCheckout('expired');
+            return;
+        }
+
+        paying = true; // antes de esperar la validación, para que un segundo submit no pase
+        if (!(await validator.validateAll())) {
+            paying = false;
+            showModal(t('pay.required'), t('modal.error'));
+            return;
+        }
+
+        // no cobramos si ya no hay lugar (ni si no podemos preguntarlo)
+        setPayState('pending', 'api.checkingRooms');
+        const rooms = await checkRooms();
+        if (!rooms.ok) {
+            paying = false;
+            if (rooms.code === 'unavailable') {
+                setPayState('idle');
+                showModal(rooms.messages, t('avail.title'));
+            } else {
+                setPayState('failed', apiErrorKey(rooms.code));
+            }
+            return;
+        }
+
+        setPayState('pending', 'pay.status.pending');
+        let result;
+        try {
+            result = await pay();
+        } catch {
+            result = {ok: false, code: 'error'};
+        }
+
+        if (!result.ok) {
+            paying = false;
+            if (result.code === 'unavailable') {
+                setPayState('idle');
+                showModal(result.messages, t('avail.title'));
+                return;
+            }
+            setPayState('failed', `pay.error.${result.code}`);
+            payBtn?.focus();
+            return;
+        }
+
+        // ya está cobrado: la cotización no puede vencer (ni mandarnos a booking.html) mientras se guarda
+        clearInterval(holdTimer);
+        if (holdEl) holdEl.hidden = true;
+        setPayState('pending', 'pay.status.saving');
+        let saved;
+        try {
+            saved = await api.createReservation({
+                checkout: data,
+                guest: {
+                    firstName: value('fname'),
+                    lastName: value('lname'),
+                    email: value('email'),
+                    phone: value('phone'),
+                    address: value('address'),
+                    country: value('country'),
+                    zip: value('zip'),
+                },
+                card: {last4: onlyDigits(value('card')).slice(-4)},
+                payment: {provider: provider.name, transactionId: result.id, status: 'captured'},
+                roomGuests: roomGuestsBox ? readRoomGuests(roomUnits) : [],
+            });
+        } catch {
+            saved = {ok: false, code: 'error'};
+        }
+
+        setPayState('paid'); // ya está cobrado: el botón queda deshabilitado
+        if (!saved.ok) {
+            // el cargo ya está hecho: lo decimos tal cual y damos la referencia para resolverlo
+            showModal(t('pay.notSaved', {ref: `<strong>${result.id}</strong>`}), t('pay.notSavedTitle'));
+            return;
+        }
+        const reservation = saved.reservation;
+        rememberReservation(reservation);
+        const successKey = reservation.status === 'pending_payment' ? 'pay.successPending' : 'pay.success';
+        showModal(`${t(successKey, {code: `<strong>${escapeHtml(reservation.code)}</strong>`})}
+            <div class="conf-links">
+              <a href="confirmation.html?code=${encodeURIComponent(reservation.code)}" class="link-like">${t('conf.view')}</a>
+              <button type="button" class="link-like" data-action="download-ics" data-code="${escapeHtml(reservation.code)}">${t('conf.ics')}</button>
+            </div>`, t('pay.title'));
+        clearCheckout();
+        localStorage.removeItem(BOOKING_DRAFT_KEY);
+        form.reset();
+        validator.reset();
+    });
+});
+
+/**
+ * Línea del cobro de una reserva: lo pagado, o que el hotel todavía lo está verificando.
+ * @method paymentNote
+ * @param {Object} r - Reserva.
+ * @return {string}
+ */
+const paymentNote = (r) => t(r.status === 'pending_payment' ? 'lookup.paymentPending' : 'lookup.paid', {
+    amount: formatMoney(r.amountPaid, r.currency),
+    currency: r.currency,
+    card: escapeHtml(r.card?.last4 || '····'),
+    date: formatDate(toISODate(new Date(r.createdAt))),
+});
+
+/* MI RESERVA */
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('lookup-form');
+    if (!form) return;
+
+    const codeEl = document.getElementById('lookup-code');
+    const emailEl = document.getElementById('lookup-email');
+    const result = document.getElementById('lookup-result');
+    let found = null;
+
+    const validator = createFormValidator(form, {
+        'lookup-code': {
+            required: 'val.required',
+            rules: [(v) => (/^SB-[A-Z0-9]{6}$/.test(normalizeCode(v)) ? '' : t('lookup.codeFormat'))],
+        },
+        'lookup-email': FIELD_TYPES.email,
     });
 
-    form.addEventListener('submit', (e) => {
+    const renderReservation = () => {
+        if (!found) {
+            result.hidden = true;
+            return;
+        }
+        const r = found;
+        const converted = getCurrency() !== SETTLEMENT_CURRENCY;
+        result.innerHTML = `
+      <h2>${t('lookup.resultTitle')}</h2>
+      <div class="sum-row"><span>${t('lookup.code')}</span><strong>${escapeHtml(r.code)}</strong></div>
+      <div class="sum-row"><span>${t('lookup.status')}</span><span class="res-status is-${r.status}">${t(`lookup.status.${r.status}`)}</span></div>
+      <div class="sum-row"><span>${t('lookup.guest')}</span><span>${escapeHtml(`${r.guest.firstName} ${r.guest.lastName}`)}</span></div>
+      <div class="sum-row"><span>${t('summary.checkin')}</span><span>${formatDate(r.checkin)}</span></div>
+      <div class="sum-row"><span>${t('summary.checkout')}</span><span>${formatDate(r.checkout)}</span></div>
+      <div class="sum-row"><span>${t('summary.nights')}</span><span>${r.nights}</span></div>
+      ${r.party ? `<div class="sum-row"><span>${t('summary.guests')}</span><span>${describeParty(r.party)}</span></div>` : ''}
+      ${r.roomGuests?.length ? `
+      <div class="sum-row is-heading"><span>${t('roomGuests.title')}</span></div>
+      ${renderRoomGuestRows(r.roomGuests)}` : ''}
+      ${r.rooms.map((room) => `
+      <div class="sum-row"><span>${roomCountLabel(room.id, room.qty)}</span><span>${formatPrice(displayAmount(room.subtotal))}</span></div>`).join('')}
+      ${renderExtraLines(r.extras, 'sum-row')}
+      ${renderTotalsRows(buildTotalsRows(r), 'sum-row')}
+      <div class="resumen-total"><span>${t('summary.total')}</span><span>${converted ? '≈ ' : ''}${formatPrice(r.total)}</span></div>
+      <p class="muted">${paymentNote(r)}${r.balanceDue ? ` ${t('plan.balance', {amount: formatMoney(r.balanceDue, r.currency)})}` : ''}</p>
+      ${r.plan ? `
+      <div class="sum-row"><span>${t('plan.title')}</span><span>${t(`plan.${r.plan.id}`)}</span></div>
+      <p class="muted">${planCancelText(r.plan)}</p>` : ''}
+      ${r.plan && r.status === 'confirmed' ? `<p class="muted">${refundText(r)}</p>` : ''}
+      <div class="conf-links">
+        <a href="confirmation.html?code=${encodeURIComponent(r.code)}" class="link-like">${t('conf.view')}</a>
+        <button type="button" class="link-like" data-action="download-ics" data-code="${escapeHtml(r.code)}">${t('conf.ics')}</button>
+      </div>`;
+        result.hidden = false;
+    };
+
+    form.addEventListener('submit', async (e) => {
         e.preventDefault();
+        if (!(await validator.validateAll())) {
+            found = null;
+            renderReservation();
+            return;
+        }
+        const submitBtn = form.querySelector('[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        form.setAttribute('aria-busy', 'true');
+        const res = await getBookingApi().findReservation(codeEl.value, emailEl.value);
+        if (submitBtn) submitBtn.disabled = false;
+        form.setAttribute('aria-busy', 'false');
+        found = res.ok ? res.reservation : null;
+        if (found) rememberReservation(found);
+        renderReservation();
+        if (res.code === 'not_found') showModal(t('lookup.notFound'), t('lookup.notFoundTitle'));
+        else if (!res.ok) showModal(apiErrorText(res.code), t('modal.error'));
+    });
 
-        const requiredOk = ['fname', 'lname', 'email', 'card', 'nameoncard', 'exp', 'cvv']
-            .map(id => validateField(document.getElementById(id)))
-            .every(Boolean);
+    document.addEventListener('sb:langchange', renderReservation);
+});
 
-        ['phone', 'zip'].forEach(id => {
-            const el = document.getElementById(id);
-            if (el && el.value) validateField(el);
-        });
 
-        if (!requiredOk) {
-            showModal('Please complete all required fields.', 'Error');
-            const firstError = ids
-                .map(id => document.getElementById(id))
-                .find(el => el && el.classList.contains('input-error'));
-            firstError?.focus();
+/* CONFIRMACIÓN */
+document.addEventListener('DOMContentLoaded', () => {
+    const box = document.getElementById('confirmation');
+    if (!box) return;
+
+    const code = normalizeCode(new URLSearchParams(window.location.search).get('code'));
+    const actions = document.querySelector('.conf-actions');
+    // la recién pagada o buscada está en la sesión; si no, se la pedimos a la API
+    let r = code ? recallReservations()[code] || null : null;
+    let loading = Boolean(code) && !r;
+
+    const render = () => {
+        if (loading) {
+            box.innerHTML = `<p class="muted">${t('api.loading')}</p>`;
+            if (actions) actions.hidden = true;
+            return;
+        }
+        if (!r) {
+            box.innerHTML = `<p>${t('conf.missing')}</p>
+      <a href="reservation.html" class="link-like">${t('pay.findBooking')}</a>`;
+            if (actions) actions.hidden = true;
             return;
         }
+        const policies = (r.plan ? [`<li>${t(`plan.${r.plan.id}`)}: ${planCancelText(r.plan)}</li>`] : []).concat(['checkin', 'id', 'children', 'changes']
+            .map((key) => `<li>${t(`conf.policy.${key}`, {checkin: HOTEL.checkInTime, checkout: HOTEL.checkOutTime})}</li>`))
+            .join('');
+        box.innerHTML = `
+      <header class="conf-head">
+        <h2>${t({pending_payment: 'conf.titlePending', cancelled: 'conf.titleCancelled'}[r.status] || 'conf.title')}</h2>
+        <p class="conf-code">${escapeHtml(r.code)}</p>
+        <p>${t('conf.thanks', {name: escapeHtml(r.guest.firstName), hotel: HOTEL.name})}</p>
+      </header>
+
+      <h3>${t('conf.stay')}</h3>
+      <div class="sum-row"><span>${t('summary.checkin')}</span><span>${t('conf.from', {date: formatDate(r.checkin), time: HOTEL.checkInTime})}</span></div>
+      <div class="sum-row"><span>${t('summary.checkout')}</span><span>${t('conf.until', {date: formatDate(r.checkout), time: HOTEL.checkOutTime})}</span></div>
+      <div class="sum-row"><span>${t('summary.nights')}</span><span>${r.nights}</span></div>
+      ${r.party ? `<div class="sum-row"><span>${t('summary.guests')}</span><span>${describeParty(r.party)}</span></div>` : ''}
+
+      <h3>${t('conf.rooms')}</h3>
+      ${r.rooms.map((room) => `
+      <div class="sum-row"><span>${roomCountLabel(room.id, room.qty)}, ${t('unit.night', {count: r.nights})}</span><span>${formatPrice(displayAmount(room.subtotal))}</span></div>`).join('')}
+      ${renderExtraLines(r.extras, 'sum-row')}
+      ${renderTotalsRows(buildTotalsRows(r), 'sum-row')}
+      <div class="sum-row conf-total"><span>${t('summary.total')}</span><strong>${formatMoney(r.total, r.currency)} ${r.currency}</strong></div>
+      <p class="muted">${paymentNote(r)}</p>
+      ${r.balanceDue ? `<div class="sum-row"><span>${t('plan.dueAtHotel')}</span><strong>${formatMoney(r.balanceDue, r.currency)} ${r.currency}</strong></div>` : ''}
+
+      <h3>${t('conf.guest')}</h3>
+      <p>${escapeHtml(`${r.guest.firstName} ${r.guest.lastName}`)}<br>${escapeHtml(r.guest.email)}${r.guest.phone ? `<br>${escapeHtml(r.guest.phone)}` : ''}</p>
+      ${r.roomGuests?.length ? `
+      <h3>${t('roomGuests.title')}</h3>
+      ${renderRoomGuestRows(r.roomGuests)}` : ''}
+
+      <h3>${t('conf.policies')}</h3>
+      <ul class="conf-policies">${policies}</ul>
+
+      <p class="muted">${HOTEL.name} · ${HOTEL.address} · ${HOTEL.phone}</p>`;
+        if (actions) actions.hidden = false;
+        actions?.querySelector('[data-action="download-ics"]')?.setAttribute('data-code', r.code);
+    };
 
-        showModal('Payment successful! A confirmation email has been sent.', 'Payment');
-        localStorage.removeItem('sb_checkout');
-        form.reset();
-        ids.forEach(id => {
-            const el = document.getElementById(id);
-            if (el) setErr(el, '');
+    render();
+    if (loading) {
+        getBookingApi().getReservation(code).then((res) => {
+            r = res.ok ? res.reservation : null;
+            loading = false;
+            render();
         });
-    });
+    }
+    document.addEventListener('sb:langchange', render);
+    actions?.querySelector('[data-action="print"]')?.addEventListener('click', () => window.print());
 });
 
 
 const cardEl = document.getElementById('card');
 if (cardEl) {
 
-    cardEl.setAttribute('maxlength', '19');
-
-    const formatCard = (digits) => digits.replace(/(\d{4})(?=\d)/g, '$1 ').trim();
+    cardEl.setAttribute('maxlength', '23'); // 19 dígitos + 4 espacios
+    const brandEl = document.getElementById('card-brand');
+    const cvvInput = document.getElementById('cvv');
+
+    /**
+     * Muestra la red detectada junto a #card y ajusta el largo del CVV.
+     * @param {Object|null} network
+     */
+    const showBrand = (network) => {
+        if (brandEl) {
+            brandEl.textContent = network ? network.name : '';
+            brandEl.dataset.network = network ? network.id : '';
+            brandEl.classList.toggle('is-rejected', Boolean(network) && !isCardAccepted(network));
+        }
+        if (cvvInput) {
+            cvvInput.setAttribute('maxlength', String(network ? network.cvv : 4));
+            cvvInput.placeholder = network ? '•'.repeat(network.cvv) : '';
+            if (network && cvvInput.value.length > network.cvv) cvvInput.value = cvvInput.value.slice(0, network.cvv);
+        }
+    };
 
     const handleCardInput = (e) => {
         const el = e.target;
@@ -1060,8 +5607,11 @@ if (cardEl) {
 
         const digitsLeft = prev.slice(0, caretPrev).replace(/\D/g, '').length;
 
-        const digits = prev.replace(/\D/g, '').slice(0, 16);
-        const next = formatCard(digits);
+        const raw = prev.replace(/\D/g, '');
+        const network = detectCardNetwork(raw);
+        const digits = raw.slice(0, network ? Math.max(...network.lengths) : 19);
+        const next = formatCardNumber(digits, network);
+        showBrand(network);
 
         el.value = next;
 
@@ -1114,11 +5664,11 @@ if (phoneEl) {
     phoneEl.addEventListener('blur', handlePhone);
 }
 
-const nameEl = document.getElementById('name');
+const nameEl = document.getElementById('nameoncard');
 if (nameEl) {
     const handleName = (e) => {
         let v = (e.target.value || '')
-            .replace(/[^A-Za-zÀ-ÿ\u00f1\u00d1\s]/g, '') // letras, ñ, acentos y espacio
+            .replace(/[^\p{L}\s]/gu, '') // letras de cualquier alfabeto y espacio
             .replace(/\s+/g, ' ')
             .trimStart();
         e.target.value = v.slice(0, 40);
@@ -1127,11 +5677,12 @@ if (nameEl) {
     nameEl.addEventListener('blur', handleName);
 }
 
-// --- CVV: solo dígitos, máx 4 (permite 3 o 4) ---
+// --- CVV: solo dígitos, hasta lo que pida la red de la tarjeta (3 o 4) ---
 const cvvEl = document.getElementById('cvv');
 if (cvvEl) {
     const handleCvv = (e) => {
-        e.target.value = (e.target.value || '').replace(/\D/g, '').slice(0, 4);
+        const max = Number(e.target.getAttribute('maxlength')) || 4;
+        e.target.value = (e.target.value || '').replace(/\D/g, '').slice(0, max);
     };
     cvvEl.addEventListener('input', handleCvv);
     cvvEl.addEventListener('blur', handleCvv);
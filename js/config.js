@@ -0,0 +1,16 @@
+/**
+ * Configuración del sitio según dónde se publica.
+ * - apiUrl: base de la API de reservas (por ejemplo "/api" con server/server.js, que sirve
+ *   su propia versión de este archivo). Vacío = modo sin servidor (GitHub Pages): todo queda
+ *   en el localStorage del navegador.
+ * - contactUrl: dónde se mandan (POST JSON) los mensajes del formulario de contacto, si no es
+ *   la API de reservas. Lo que no se puede entregar queda en la bandeja de salida y se reintenta.
+ * - adminDemoPasswordHash: SHA-256 (hex) de la contraseña de admin.html en modo sin servidor
+ *   ("santorini"). Es solo para demos: protege datos de este mismo navegador y cualquiera puede
+ *   leer el hash. Con servidor, la contraseña es ADMIN_PASSWORD de server/server.js.
+ */
+const SITE_CONFIG = {
+    apiUrl: "",
+    contactUrl: "",
+    adminDemoPasswordHash: "45d269a840beab9ed4e2ea20696b68e224ea6109ed8eede32d1cf0ba1429ce64",
+};
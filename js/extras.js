@@ -0,0 +1,84 @@
+/**
+ * Catálogo de extras que se suman a la reserva (desayuno, traslados, spa, cuna, paseos).
+ * Igual que ROOM_CATALOG: sumar un extra es agregar un objeto a este JSON.
+ * - id: clave corta (sb_checkout y los inputs name="extra_<id>_qty" / "extra_<id>_date")
+ * - price: USD por unidad (0 = sin cargo, se pide igual para que el hotel lo prepare)
+ * - per: por qué se multiplica el precio además de la cantidad elegida:
+ *   [] por estadía, "night" por noche, "guest" por huésped (sin bebés), "room" por habitación
+ * - maxQty: tope de la cantidad (1 = se elige con un checkbox); maxPer: "room" o "guest"
+ *   multiplica ese tope por las habitaciones o los huéspedes de la reserva
+ * - dated: servicio de un solo día; el huésped elige la fecha dentro de la estadía
+ * - copy: textos por idioma (unit reemplaza la descripción armada con "per")
+ */
+const EXTRAS_CATALOG = [
+    {
+        "id": "breakfast",
+        "price": 18,
+        "per": ["guest", "night"],
+        "maxQty": 1,
+        "copy": {
+            "en": {"title": "Breakfast buffet", "desc": "Greek breakfast on the terrace, every morning of your stay."},
+            "es": {"title": "Desayuno buffet", "desc": "Desayuno griego en la terraza, todas las mañanas de la estadía."},
+            "el": {"title": "Πρωινό μπουφέ", "desc": "Ελληνικό πρωινό στη βεράντα, κάθε πρωί της διαμονής σας."}
+        }
+    },
+    {
+        "id": "transfer",
+        "price": 45,
+        "per": [],
+        "maxQty": 2,
+        "copy": {
+            "en": {"title": "Airport transfer", "desc": "Private car for up to 4 guests between the airport and the hotel.", "unit": "per one-way trip"},
+            "es": {"title": "Traslado al aeropuerto", "desc": "Auto privado para hasta 4 huéspedes entre el aeropuerto y el hotel.", "unit": "por tramo"},
+            "el": {"title": "Μεταφορά από/προς αεροδρόμιο", "desc": "Ιδιωτικό αυτοκίνητο για έως 4 επισκέπτες μεταξύ αεροδρομίου και ξενοδοχείου.", "unit": "ανά διαδρομή"}
+        }
+    },
+    {
+        "id": "spa",
+        "price": 35,
+        "per": ["guest"],
+        "maxQty": 1,
+        "dated": true,
+        "copy": {
+            "en": {"title": "Spa day pass", "desc": "Cave spa, hammam and heated pool for the whole party on the day you choose."},
+            "es": {"title": "Pase de día al spa", "desc": "Spa en la cueva, hammam y pileta climatizada para todo el grupo el día que elijas."},
+            "el": {"title": "Ημερήσια είσοδος στο spa", "desc": "Spa σε σπηλιά, χαμάμ και θερμαινόμενη πισίνα για όλη την παρέα την ημέρα που θα επιλέξετε."}
+        }
+    },
+    {
+        "id": "crib",
+        "price": 0,
+        "per": ["night"],
+        "maxQty": 1,
+        "maxPer": "room",
+        "copy": {
+            "en": {"title": "Baby crib", "desc": "Crib with linen set up in the room before you arrive, at no extra cost."},
+            "es": {"title": "Cuna", "desc": "Cuna con ropa de cama lista en la habitación antes de que llegues, sin cargo."},
+            "el": {"title": "Βρεφική κούνια", "desc": "Κούνια με κλινοσκεπάσματα έτοιμη στο δωμάτιο πριν φτάσετε, χωρίς χρέωση."}
+        }
+    },
+    {
+        "id": "lateCheckout",
+        "price": 40,
+        "per": ["room"],
+        "maxQty": 1,
+        "copy": {
+            "en": {"title": "Late check-out", "desc": "Keep your rooms until 4 pm on the day you leave."},
+            "es": {"title": "Late check-out", "desc": "Quedate con las habitaciones hasta las 16 h el día que te vas."},
+            "el": {"title": "Αργό check-out", "desc": "Κρατήστε τα δωμάτιά σας έως τις 16:00 την ημέρα της αναχώρησης."}
+        }
+    },
+    {
+        "id": "cruise",
+        "price": 120,
+        "per": [],
+        "maxQty": 1,
+        "maxPer": "guest",
+        "dated": true,
+        "copy": {
+            "en": {"title": "Sunset catamaran cruise", "desc": "Five hours around the caldera with dinner on board and hotel pick-up.", "unit": "per seat"},
+            "es": {"title": "Paseo en catamarán al atardecer", "desc": "Cinco horas por la caldera con cena a bordo y traslado desde el hotel.", "unit": "por lugar"},
+            "el": {"title": "Κρουαζιέρα με καταμαράν στο ηλιοβασίλεμα", "desc": "Πέντε ώρες γύρω από την καλντέρα με δείπνο στο σκάφος και παραλαβή από το ξενοδοχείο.", "unit": "ανά θέση"}
+        }
+    }
+];
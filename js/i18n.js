@@ -0,0 +1,1380 @@
+/**
+ * ============================
+ * Santorini Blue - Textos (i18n)
+ * ============================
+ * Catálogo de mensajes por idioma (en, es, el).
+ * - Claves planas "seccion.nombre"
+ * - {param} se reemplaza al traducir con t(key, params)
+ * - Los textos con cantidad usan formas plurales de Intl.PluralRules ({one, other, ...})
+ * - Si falta una clave en es/el se usa la de en
+ */
+
+const I18N = {
+    en: {
+        "meta.title.home": "Santorini Blue",
+        "meta.title.booking": "Santorini Blue | Book a Room",
+        "meta.title.payment": "Santorini Blue | Payment",
+        "meta.title.contact": "Santorini Blue | Contact",
+        "meta.title.about": "Santorini Blue | About Us",
+        "meta.title.lookup": "Santorini Blue | Find my booking",
+        "meta.title.confirmation": "Santorini Blue | Booking confirmation",
+        "meta.title.admin": "Santorini Blue | Staff console",
+
+        "nav.home": "Home",
+        "nav.book": "Book a room",
+        "nav.about": "About",
+        "nav.contact": "Contact",
+        "nav.lookup": "My booking",
+        "nav.lang": "Language",
+
+        "footer.support": "Phone Support (24 hours a day)",
+        "footer.rights": "© 2025 by Santorini Blue. All rights reserved.",
+
+        "home.welcome": "Welcome to Santorini Blue",
+
+        "modal.error": "Error",
+        "modal.ok": "OK",
+        "net.offline": "You’re offline. You can keep browsing and your choices are saved; payments wait until you’re back online.",
+        "net.online": "You’re back online.",
+        "net.payOffline": "You’re offline. Paying needs a connection; your details stay on this page.",
+        "a11y.total": "Total updated: {total}",
+        "a11y.formErrors": {one: "{count} field needs attention.", other: "{count} fields need attention."},
+        "link.title": "About this link",
+        "link.datesInvalid": "The dates in this link aren’t valid, so they were left out. Please choose your dates.",
+        "link.datesPast": "The dates in this link ({dates}) have already passed. Please choose new dates.",
+        "link.datesTooFar": "The dates in this link are too far ahead. We take bookings until {date}.",
+        "link.partyAdjusted": "Some guest details in this link were out of range and have been adjusted.",
+        "link.roomsAdjusted": "Some room quantities in this link were out of range and have been adjusted.",
+        "link.planUnknown": "The rate plan in this link doesn't exist, so {plan} is selected.",
+        "link.copy": "Copy link to this selection",
+        "link.copied": "Link copied. Anyone who opens it will see these dates, guests and rooms.",
+        "link.copyFailed": "Couldn’t copy the link. You can copy it from the address bar.",
+        "modal.close": "Close",
+
+        "unit.night": {one: "{count} night", other: "{count} nights"},
+        "unit.day": {one: "{count} day", other: "{count} days"},
+        "unit.room": {one: "{count} room", other: "{count} rooms"},
+        "unit.roomNight": {one: "{count} room-night", other: "{count} room-nights"},
+        "unit.adult": {one: "{count} adult", other: "{count} adults"},
+        "unit.child": {one: "{count} child", other: "{count} children"},
+
+        "book.heading": "BOOK A ROOM",
+        "book.dates": "Check-in and check-out",
+        "book.checkinDate": "Check-in date",
+        "book.checkoutDate": "Check-out date",
+        "picker.selectCheckin": "Select your check-in date",
+        "picker.selectCheckout": "Now select your check-out date",
+        "picker.selected": "{nights} selected",
+        "picker.from": "from {price}",
+        "picker.soldOut": "sold out",
+        "picker.prev": "Previous month",
+        "picker.next": "Next month",
+        "picker.clear": "Clear dates",
+        "picker.done": "Done",
+        "book.guests": "Guests",
+        "book.adults": "Adults",
+        "book.children": "Children",
+        "book.childAge": "Age of child {n}",
+        "book.agePlaceholder": "Age",
+        "book.ageUnder1": "Under 1",
+        "book.infantNote": "Children under 2 sleep in a crib and don’t use a bed.",
+        "book.search": "Search",
+        "book.selectRoom": "Select room",
+        "book.imageAlt": "View of the Santorini Blue resort",
+        "party.title": "Room capacity",
+        "party.agesMissing": "Select the age of each child.",
+        "party.adultsMin": "At least one adult must be in the booking.",
+        "party.tooManyRooms": "{rooms} need at least one adult each, and your party has {adults}.",
+        "party.adultsOver": "The selected rooms hold up to {max} and your party has {adults}.",
+        "party.guestsOver": "The selected rooms sleep up to {max} guests and your party needs {count} beds.",
+        "suggest.title": "Best fit for {party}",
+        "suggest.use": "Select",
+        "suggest.none": "No combination of available rooms fits {party}. Try other dates or call us.",
+        "suggest.stay": "{price} for {nights}",
+        "suggest.perNight": "from {price} per night",
+
+        "room.moreDetails": "More details",
+        "room.addRooms": "Add rooms",
+        "room.decrease": "Decrease {name}",
+        "room.increase": "Increase {name}",
+        "room.about": "About this room",
+        "room.amenities": "Amenities",
+        "room.prev": "Previous",
+        "room.next": "Next",
+        "gallery.title": "Room photos",
+        "gallery.zoom": "View full screen",
+        "gallery.counter": "{n} / {total}",
+        "gallery.thumb": "Photo {n}: {alt}",
+
+        "summary.title": "Your Reservation",
+        "summary.checkin": "Check-In:",
+        "summary.checkout": "Check-Out:",
+        "summary.nights": "Nights:",
+        "summary.addRooms": "Please add rooms",
+        "summary.total": "Total",
+        "summary.continue": "Continue",
+        "api.loading": "Loading…",
+        "api.quoting": "Checking prices and availability…",
+        "api.checkingRooms": "Confirming your rooms are still free…",
+        "api.retry": "Try again",
+        "api.error.network": "We couldn’t reach the booking service. Check your connection.",
+        "api.error.timeout": "The booking service is taking too long to answer.",
+        "api.error.error": "The booking service had a problem.",
+        "summary.remove": "Remove",
+        "summary.currency": "Currency",
+        "summary.taxToggle": "Show prices with taxes included",
+        "summary.modify": "Modify selection",
+        "summary.guests": "Guests:",
+
+        "stock.soldOut": "Sold out for these dates",
+        "stock.left": {one: "Only {count} left", other: "Only {count} left"},
+        "avail.title": "Not available",
+        "checkout.title": "Please review your booking",
+        "checkout.changed": "The prices sent to checkout didn’t match our current rates, so nothing was charged. We’ve restored your selection with the up-to-date total — please review it and continue again.",
+        "checkout.expired": "Your 15-minute price hold has expired. Please check your dates again to get a fresh quote.",
+        "checkout.invalid": "Your checkout details were incomplete or out of date. Please choose your dates and rooms again.",
+        "hold.remaining": "Price held for {time}",
+        "avail.left": "Only {rooms} left.",
+        "avail.soldOut": "{name}: sold out.",
+        "avail.notEnough": "{name}: only {rooms} left for these dates (you selected {count}).",
+        "avail.soldOutDates": "{name}: sold out for these dates.",
+
+        "dates.missing": "Complete Check-in and Check-out.",
+        "dates.checkinPast": "The check-in date cannot be earlier than today.",
+        "dates.checkoutPast": "The check-out date cannot be earlier than today.",
+        "dates.order": "The check-out date must be after the check-in date.",
+        "qty.invalid": "Invalid quantity (must be an integer between 0 and 9).",
+        "booking.addRooms": "Please add rooms.",
+
+        "season.high": "High season",
+        "season.shoulder": "Shoulder season",
+        "season.low": "Low season",
+        "minStay.title": "Minimum stay",
+        "minStay.msg": "{season} requires a minimum stay of {nights}.",
+        "discount.weekly": "Weekly stay discount",
+        "discount.long": "Long stay discount",
+
+        "price.perNight": "Price per night",
+        "price.weekend": "weekend",
+        "price.from": "from {price}",
+
+        "promo.title": "Promo code",
+        "promo.label": "Promo code",
+        "promo.placeholder": "Enter code",
+        "promo.apply": "Apply",
+        "promo.applied": "{code} applied: {label}.",
+        "promo.notApplied": "{code} is not applied: {reason}",
+        "promo.err.empty": "Enter a promo code.",
+        "promo.err.unknown": "\"{code}\" is not a valid promo code.",
+        "promo.err.notYet": "{code} can be used from {date}.",
+        "promo.err.expired": "{code} expired on {date}.",
+        "promo.err.limit": "{code} has reached its usage limit.",
+        "promo.err.noQuote": "Choose your dates and rooms before applying a code.",
+        "promo.err.stayWindow": "{code} is only valid for check-ins between {from} and {to}.",
+        "promo.err.minNights": "{code} requires a stay of at least {nights} (you selected {count}).",
+        "promo.err.earlyBird": "{code} requires booking at least {days} before check-in (your check-in is in {ahead}).",
+        "promo.err.rooms": "{code} only applies to: {rooms}.",
+        "promo.BLUE10": "Santorini Blue 10% off",
+        "promo.WELCOME50": "Welcome discount",
+        "promo.EARLYBIRD": "Early bird",
+        "promo.STAYLONGER": "Long stay",
+        "promo.FAMILY80": "Family getaway",
+        "promo.WINTERSUN": "Winter sun",
+
+        "totals.subtotal": "Subtotal",
+        "totals.extras": "Extras",
+        "extras.title": "Extras",
+        "extras.per.stay": "per stay",
+        "extras.per.night": "per night",
+        "extras.per.guest": "per guest",
+        "extras.per.room": "per room",
+        "extras.date": "Day",
+        "extras.datePlaceholder": "Choose a day…",
+        "extras.dateMissing": "Choose a day for {name}.",
+        "extras.free": "Free",
+        "plan.title": "Rate plan",
+        "plan.flex": "Flexible",
+        "plan.nonref": "Non-refundable",
+        "plan.hotel": "Pay at the hotel",
+        "plan.flex.short": "Free cancellation up to {days} days before check-in.",
+        "plan.nonref.short": "{pct}% off the rooms. No changes or refunds.",
+        "plan.hotel.short": "{deposit}% deposit now, the rest at the hotel. Free cancellation up to {days} days before check-in.",
+        "plan.policy.free": "Free cancellation until {date}; after that the booking is not refundable.",
+        "plan.policy.depositFree": "Cancel until {date} and the deposit is refunded; after that it is kept.",
+        "plan.policy.tooLate": "The free cancellation period has passed: this booking is not refundable.",
+        "plan.policy.nonref": "This booking cannot be changed or refunded.",
+        "plan.policy.deposit": "You pay a {pct}% deposit of {deposit} now and {balance} at the hotel.",
+        "plan.unavailable": "Not offered for {rooms}.",
+        "plan.balance": "The remaining {amount} is paid at the hotel.",
+        "plan.dueAtHotel": "To pay at the hotel",
+        "plan.refund": "If you cancel by {date}, {amount} will be refunded.",
+        "plan.noRefund": "Cancelling now would not be refunded.",
+        "totals.promo": "Promo {code} · {label}",
+        "totals.serviceFee": "Service fee ({pct}%)",
+        "totals.serviceFeeIncl": "Includes service fee ({pct}%)",
+        "totals.vat": "VAT ({pct}%)",
+        "totals.vatIncl": "Includes VAT ({pct}%)",
+        "totals.stayTax": "Accommodation tax ({rate} × {roomNights})",
+
+        "currency.USD": "USD · US dollar",
+        "currency.EUR": "EUR · Euro",
+        "currency.GBP": "GBP · British pound",
+        "currency.ARS": "ARS · Argentine peso",
+        "fx.note": "Prices in {currency} are estimates (1 {base} = {rate} {currency}, rates of {date}).",
+        "fx.chargedIn": "You will be charged in {base}.",
+        "fx.charge": "You will be charged {amount} {base}.",
+
+        "val.required": "This field is required.",
+        "val.min2": "Minimum 2 characters.",
+        "val.letters": "Letters and spaces only.",
+        "val.emailRequired": "Email is required.",
+        "val.email": "Enter a valid email.",
+        "val.phone": "Phone must be {min}–{max} digits.",
+        "val.maxChars": "Maximum {max} characters.",
+        "val.cardRequired": "Card number is required.",
+        "val.cardLength": "{brand} card numbers have {lengths} digits.",
+        "val.cardInvalid": "Invalid card number.",
+        "val.cardUnknown": "We don’t recognise this card number. Check the first digits.",
+        "val.cardNotAccepted": "{brand} is not accepted. We accept {accepted}.",
+        "val.nameOnCardRequired": "Name on card is required.",
+        "val.expRequired": "Expiry is required.",
+        "val.expFormat": "Use MM/YY.",
+        "val.expMonth": "Invalid month.",
+        "val.expired": "Card is expired.",
+        "val.cvv": "CVV must be 3–4 digits.",
+        "val.cvvLength": "The {name} must be {count} digits.",
+        "val.zipMax": "ZIP must be up to 4 digits.",
+        "val.zipDigits": "ZIP must contain digits only.",
+
+        "contact.heading": "Contact the Resort",
+        "contact.imageAlt": "Private balcony with Aegean Sea view",
+        "contact.fname": "First name *",
+        "contact.fnamePh": "Write your name",
+        "contact.lname": "Last name *",
+        "contact.lnamePh": "Write your last name",
+        "contact.email": "Email *",
+        "contact.phone": "Phone",
+        "contact.ccode": "Country code",
+        "contact.message": "Type your message here...",
+        "contact.messagePh": "Max 500 characters",
+        "contact.submit": "Submit",
+        "contact.invalid": "Please complete the required fields correctly.",
+        "contact.sent": "Thank you! Your message has been sent.",
+        "contact.failed": "We couldn’t send your message. {reason}",
+        "contact.sentTitle": "Message sent",
+        "contact.queuedTitle": "Message saved, not sent yet",
+        "contact.queued": "We couldn’t reach our server, so your message hasn’t been sent yet. It’s saved on this device and we’ll send it automatically as soon as the connection is back — just keep this site open in any tab.",
+        "contact.outboxDelivered": {one: "Your saved message has now been sent.", other: "Your {count} saved messages have now been sent."},
+        "contact.outboxFailed": {one: "A saved message couldn’t be sent: our server didn’t accept it. Please write to us by email or call the hotel.", other: "{count} saved messages couldn’t be sent: our server didn’t accept them. Please write to us by email or call the hotel."},
+
+        "pay.heading": "PAYMENT",
+        "pay.details": "Guest & Payment details",
+        "pay.fname": "First name",
+        "pay.lname": "Last name",
+        "pay.email": "Email",
+        "pay.phone": "Phone",
+        "roomGuests.title": "Who’s staying",
+        "roomGuests.intro": "Tell us who checks in to each room and anything we should have ready.",
+        "roomGuests.unit": "{name} {n} of {of}",
+        "roomGuests.name": "Lead guest name",
+        "roomGuests.arrival": "Estimated arrival",
+        "roomGuests.arrivalUnknown": "Not sure yet",
+        "roomGuests.arrivesAt": "Arrives around {time}",
+        "roomGuests.bed": "Bed preference",
+        "roomGuests.bed.none": "No preference",
+        "roomGuests.bed.double": "Double bed",
+        "roomGuests.bed.twin": "Twin beds",
+        "roomGuests.diet": "Dietary needs",
+        "roomGuests.dietPh": "e.g. vegetarian, nut allergy",
+        "roomGuests.request": "Special request",
+        "roomGuests.requestPh": "Anniversary, quiet room, extra pillows…",
+        "pay.card": "Card number",
+        "pay.cardsAccepted": "We accept {accepted}.",
+        "pay.nameOnCard": "Name on card",
+        "pay.exp": "Expiry (MM/YY)",
+        "pay.cvv": "CVV",
+        "pay.address": "Billing address",
+        "pay.country": "Country",
+        "pay.countrySelect": "Select…",
+        "pay.zip": "ZIP/Postal code",
+        "pay.payNow": "Pay now",
+        "pay.note": "Your card will be charged in US dollars, including VAT, service fee and accommodation tax. You’ll receive a confirmation email.",
+        "pay.required": "Please complete all required fields.",
+        "pay.title": "Payment",
+        "pay.success": "Payment successful! Your confirmation code is {code}. Keep it to look up your booking.",
+        "pay.successPending": "Booking received! Your code is {code}. The hotel will confirm it once the payment is verified.",
+        "pay.findBooking": "Find my booking",
+        "pay.processing": "Processing…",
+        "pay.retry": "Try again",
+        "pay.paid": "Paid",
+        "pay.status.pending": "Contacting your bank. Please don’t close or reload this page.",
+        "pay.status.challenge": "Your bank needs to verify this payment.",
+        "pay.error.declined": "Your card was declined. Try another card or contact your bank.",
+        "pay.error.insufficient_funds": "The card doesn’t have enough funds for this amount. Try another card.",
+        "pay.error.challenge_failed": "The verification code was not accepted, so the payment was not completed.",
+        "pay.error.challenge_cancelled": "Verification was cancelled. You have not been charged.",
+        "pay.error.timeout": "Your bank didn’t answer in time and no booking was made. Please try again.",
+        "pay.error.error": "Something went wrong with the payment and no booking was made. Please try again.",
+        "pay.error.unreachable": "We couldn’t confirm your rooms with the hotel, so your card was not charged. Please try again.",
+        "pay.status.saving": "Payment received. Saving your booking…",
+        "pay.notSavedTitle": "Payment received, booking pending",
+        "pay.notSaved": "Your card was charged, but we couldn’t save the booking. Please contact the hotel with payment reference {ref} and we’ll confirm it for you.",
+        "pay.challenge.title": "3-D Secure verification",
+        "pay.challenge.intro": "Enter the one-time code your bank sent you to confirm this payment.",
+        "pay.challenge.hint": "Test mode: the code is {code}.",
+        "pay.challenge.label": "Verification code",
+        "pay.challenge.submit": "Confirm",
+        "pay.testMode": "Test mode: payments go to a simulated gateway. Any valid card is approved, except 4000 0000 0000 0002 (declined), 4000 0000 0000 9995 (insufficient funds), 4000 0000 0000 3220 (3-D Secure, code 123456) and 4000 0000 0000 0119 (no response). Amex: 3782 822463 10005 with a 4-digit CID.",
+        "lookup.heading": "FIND MY BOOKING",
+        "lookup.formTitle": "Look up your reservation",
+        "lookup.intro": "Enter the confirmation code from your payment and the email you booked with.",
+        "lookup.codeLabel": "Confirmation code",
+        "lookup.emailLabel": "Email",
+        "lookup.submit": "Find booking",
+        "lookup.codeFormat": "Codes look like SB-7K2QXM.",
+        "lookup.notFoundTitle": "Booking not found",
+        "lookup.notFound": "We couldn’t find a booking with that code and email. Check both and try again, or call the front desk.",
+        "lookup.resultTitle": "Your booking",
+        "lookup.code": "Confirmation code",
+        "lookup.status": "Status",
+        "lookup.status.confirmed": "Confirmed",
+        "lookup.status.pending_payment": "Payment pending",
+        "lookup.status.checked_in": "Checked in",
+        "lookup.status.no_show": "No-show",
+        "lookup.status.cancelled": "Cancelled",
+        "admin.viewSite": "View site",
+        "admin.logout": "Sign out",
+        "admin.heading": "STAFF CONSOLE",
+        "admin.login.title": "Sign in",
+        "admin.login.password": "Password",
+        "admin.login.submit": "Sign in",
+        "admin.login.failed": "That password isn’t right.",
+        "admin.login.tooMany": {one: "Too many wrong passwords. Try again in {count} minute.", other: "Too many wrong passwords. Try again in {count} minutes."},
+        "admin.login.demo": "Demo mode: changes are saved in this browser only. The demo password is “santorini”.",
+        "admin.login.server": "Sign in with the staff password set on the booking server.",
+        "admin.sessionExpired": "Your session has ended. Please sign in again.",
+        "admin.sections": "Sections",
+        "admin.tab.rooms": "Rooms",
+        "admin.tab.inventory": "Rates & inventory",
+        "admin.tab.reservations": "Reservations",
+        "admin.tab.messages": "Messages",
+        "admin.save": "Save changes",
+        "admin.invalid": "Some values aren’t valid. Please check them and try again.",
+        "admin.all": "All",
+        "admin.empty": "Nothing matches these filters.",
+        "admin.actions": "Actions",
+        "admin.search": "Search",
+        "admin.export": "Export CSV",
+        "admin.rooms.type": "Room type",
+        "admin.rooms.rate": "Base nightly rate (USD)",
+        "admin.rooms.stock": "Rooms of this type",
+        "admin.rooms.image": "Card photo",
+        "admin.rooms.name": "Name",
+        "admin.rooms.capacity": "Capacity line",
+        "admin.rooms.countOne": "Count, one room",
+        "admin.rooms.countOther": "Count, several rooms",
+        "admin.rooms.countHint": "In the count fields, {count} is replaced by the number of rooms.",
+        "admin.rooms.desc": "Description",
+        "admin.rooms.amenities": "Amenities (one per line)",
+        "admin.rooms.gallery": "Gallery",
+        "admin.rooms.photoSrc": "Photo path or URL",
+        "admin.rooms.photoAlt": "Description ({lang})",
+        "admin.rooms.photoAdd": "Add photo",
+        "admin.rooms.photoUpload": "Upload photo",
+        "admin.rooms.photoRemove": "Remove photo",
+        "admin.rooms.photoTooBig": "That photo is too large. Please use one under {max}.",
+        "admin.rooms.numbers": "The rate must be above 0 and the number of rooms a whole number.",
+        "admin.rooms.saved": "Saved. Guests see the change the next time a page loads.",
+        "admin.rooms.reset": "Undo all changes to this room",
+        "admin.rooms.resetConfirm": "Go back to the original texts, photos, rate and stock of this room?",
+        "admin.rooms.resetDone": "This room is back to its original details.",
+        "admin.inv.formTitle": "Change a range of nights",
+        "admin.inv.intro": "Leave a field empty to keep what each night has now.",
+        "admin.inv.from": "First night",
+        "admin.inv.to": "Last night",
+        "admin.inv.rooms": "Room types",
+        "admin.inv.total": "Rooms for sale",
+        "admin.inv.rate": "Nightly rate (USD)",
+        "admin.inv.apply": "Apply",
+        "admin.inv.reset": "Back to catalog stock and rates",
+        "admin.inv.nothing": "Enter rooms for sale, a rate, or both.",
+        "admin.inv.saved": {one: "{count} night updated.", other: "{count} nights updated."},
+        "admin.inv.prev": "Previous month",
+        "admin.inv.next": "Next month",
+        "admin.inv.legend": "Each cell shows rooms sold / for sale and the rate. Rates marked * were set here.",
+        "admin.inv.night": "Night",
+        "admin.res.searchPh": "Code, name or email",
+        "admin.res.from": "Arriving from",
+        "admin.res.to": "Arriving until",
+        "admin.res.count": {one: "{count} reservation", other: "{count} reservations"},
+        "admin.res.stay": "Stay",
+        "admin.res.checkIn": "Check in",
+        "admin.res.noShow": "No-show",
+        "admin.res.noShowConfirm": "Mark {code} as a no-show? Its rooms go back on sale and this can’t be undone.",
+        "admin.res.confirmPayment": "Confirm payment",
+        "admin.res.cancel": "Cancel",
+        "admin.res.cancelConfirm": "Cancel {code}? Its rooms go back on sale and this can’t be undone.",
+        "admin.res.updated": "{code}: {status}.",
+        "admin.msg.searchPh": "Name, email or text",
+        "admin.msg.count": {one: "{count} message", other: "{count} messages"},
+        "admin.msg.received": "Received",
+        "admin.msg.from": "From",
+        "admin.msg.message": "Message",
+        "admin.msg.status.new": "New",
+        "admin.msg.status.handled": "Handled",
+        "admin.msg.markHandled": "Mark handled",
+        "admin.msg.markNew": "Mark as new",
+        "lookup.guest": "Guest",
+        "lookup.paid": "Paid {amount} {currency} with card ending {card} on {date}.",
+        "lookup.paymentPending": "Card ending {card}: the hotel is verifying the payment of {amount} {currency}.",
+        "conf.heading": "BOOKING CONFIRMATION",
+        "conf.title": "Your stay is confirmed",
+        "conf.titlePending": "Your booking is waiting for payment confirmation",
+        "conf.titleCancelled": "This booking was cancelled",
+        "conf.code": "Confirmation code",
+        "conf.thanks": "Thank you, {name}. Show this page or your code at the {hotel} front desk.",
+        "conf.stay": "Stay",
+        "conf.from": "{date}, from {time}",
+        "conf.until": "{date}, until {time}",
+        "conf.rooms": "Rooms and charges",
+        "conf.guest": "Lead guest",
+        "conf.policies": "Hotel policies",
+        "conf.policy.checkin": "Check-in from {checkin}, check-out until {checkout}.",
+        "conf.policy.id": "Please bring a photo ID and the card used for payment.",
+        "conf.policy.children": "Children under 2 stay in a crib at no extra cost.",
+        "conf.policy.changes": "To change or cancel your booking, contact the front desk with your confirmation code.",
+        "conf.view": "View and print confirmation",
+        "conf.ics": "Add to calendar (.ics)",
+        "conf.print": "Print",
+        "conf.missing": "We couldn’t find this confirmation on this device.",
+        "conf.ics.checkin": "Check-in at {hotel}",
+        "conf.ics.checkout": "Check-out from {hotel}",
+
+        "about.heading": "ABOUT SANTORINI BLUE",
+        "about.imageAlt": "Aerial view of Santorini",
+        "about.intro": "Our inn is a peaceful retreat by the sea, designed for those seeking rest in a warm and welcoming atmosphere. With only a few rooms, we offer a more intimate and personalized experience, where every detail is carefully arranged to make guests feel at home. Surrounded by Mediterranean landscapes, the inn blends traditional charm with modern comforts, creating the ideal place to enjoy the calm, the sun, and the beauty of the nearby sea.",
+        "about.poolAlt": "Private cave pool overlooking the Aegean Sea.",
+        "about.amenities": "Hotel Amenities",
+        "about.a1": "Free resident car parking",
+        "about.a2": "Free high speed internet",
+        "about.a3": "Free Wi-Fi access",
+        "about.a4": "Breakfast included",
+        "about.a5": "Outdoor swimming pool",
+        "about.a6": "Direct beach access",
+        "about.a7": "24 hour reception and room service",
+        "about.a8": "Daily housekeeping service",
+        "about.a9": "Tea & coffee making facilities",
+    },
+
+    es: {
+        "meta.title.home": "Santorini Blue",
+        "meta.title.booking": "Santorini Blue | Reservar",
+        "meta.title.payment": "Santorini Blue | Pago",
+        "meta.title.contact": "Santorini Blue | Contacto",
+        "meta.title.about": "Santorini Blue | Nosotros",
+        "meta.title.lookup": "Santorini Blue | Mi reserva",
+        "meta.title.confirmation": "Santorini Blue | Confirmación de reserva",
+        "meta.title.admin": "Santorini Blue | Consola del hotel",
+
+        "nav.home": "Inicio",
+        "nav.book": "Reservar",
+        "nav.about": "Nosotros",
+        "nav.contact": "Contacto",
+        "nav.lookup": "Mi reserva",
+        "nav.lang": "Idioma",
+
+        "footer.support": "Atención telefónica (las 24 horas)",
+        "footer.rights": "© 2025 Santorini Blue. Todos los derechos reservados.",
+
+        "home.welcome": "Bienvenidos a Santorini Blue",
+
+        "modal.error": "Error",
+        "modal.ok": "Aceptar",
+        "net.offline": "Estás sin conexión. Podés seguir navegando y lo que elegiste queda guardado; los pagos esperan a que vuelva la conexión.",
+        "net.online": "Volvió la conexión.",
+        "net.payOffline": "Estás sin conexión. Para pagar hace falta conexión; tus datos quedan en esta página.",
+        "a11y.total": "Total actualizado: {total}",
+        "a11y.formErrors": {one: "{count} campo necesita revisión.", other: "{count} campos necesitan revisión."},
+        "link.title": "Sobre este enlace",
+        "link.datesInvalid": "Las fechas de este enlace no son válidas, así que no se cargaron. Elegí tus fechas.",
+        "link.datesPast": "Las fechas de este enlace ({dates}) ya pasaron. Elegí fechas nuevas.",
+        "link.datesTooFar": "Las fechas de este enlace están demasiado adelante. Tomamos reservas hasta el {date}.",
+        "link.partyAdjusted": "Algunos datos de huéspedes del enlace estaban fuera de rango y se ajustaron.",
+        "link.roomsAdjusted": "Algunas cantidades de habitaciones del enlace estaban fuera de rango y se ajustaron.",
+        "link.planUnknown": "La tarifa del enlace no existe, así que quedó elegida {plan}.",
+        "link.copy": "Copiar enlace a esta selección",
+        "link.copied": "Enlace copiado. Quien lo abra verá estas fechas, huéspedes y habitaciones.",
+        "link.copyFailed": "No se pudo copiar el enlace. Podés copiarlo desde la barra de direcciones.",
+        "modal.close": "Cerrar",
+
+        "unit.night": {one: "{count} noche", other: "{count} noches"},
+        "unit.day": {one: "{count} día", other: "{count} días"},
+        "unit.room": {one: "{count} habitación", other: "{count} habitaciones"},
+        "unit.roomNight": {one: "{count} noche-habitación", other: "{count} noches-habitación"},
+        "unit.adult": {one: "{count} adulto", other: "{count} adultos"},
+        "unit.child": {one: "{count} niño", other: "{count} niños"},
+
+        "book.heading": "RESERVÁ TU HABITACIÓN",
+        "book.dates": "Check-in y check-out",
+        "book.checkinDate": "Fecha de check-in",
+        "book.checkoutDate": "Fecha de check-out",
+        "picker.selectCheckin": "Elegí la fecha de check-in",
+        "picker.selectCheckout": "Ahora elegí la fecha de check-out",
+        "picker.selected": "{nights} seleccionadas",
+        "picker.from": "desde {price}",
+        "picker.soldOut": "agotado",
+        "picker.prev": "Mes anterior",
+        "picker.next": "Mes siguiente",
+        "picker.clear": "Borrar fechas",
+        "picker.done": "Listo",
+        "book.guests": "Huéspedes",
+        "book.adults": "Adultos",
+        "book.children": "Niños",
+        "book.childAge": "Edad del niño {n}",
+        "book.agePlaceholder": "Edad",
+        "book.ageUnder1": "Menos de 1",
+        "book.infantNote": "Los menores de 2 años duermen en cuna y no ocupan cama.",
+        "book.search": "Buscar",
+        "book.selectRoom": "Elegí tu habitación",
+        "book.imageAlt": "Vista del resort Santorini Blue",
+        "party.title": "Capacidad de las habitaciones",
+        "party.agesMissing": "Elegí la edad de cada niño.",
+        "party.adultsMin": "La reserva tiene que incluir al menos un adulto.",
+        "party.tooManyRooms": "{rooms} necesitan al menos un adulto cada una y tu grupo tiene {adults}.",
+        "party.adultsOver": "Las habitaciones elegidas admiten hasta {max} y tu grupo tiene {adults}.",
+        "party.guestsOver": "Las habitaciones elegidas tienen camas para {max} huéspedes y tu grupo necesita {count}.",
+        "suggest.title": "Lo que mejor se adapta a {party}",
+        "suggest.use": "Elegir",
+        "suggest.none": "Ninguna combinación de habitaciones libres alcanza para {party}. Probá otras fechas o llamanos.",
+        "suggest.stay": "{price} por {nights}",
+        "suggest.perNight": "desde {price} por noche",
+
+        "room.moreDetails": "Más detalles",
+        "room.addRooms": "Agregar habitaciones",
+        "room.decrease": "Quitar {name}",
+        "room.increase": "Agregar {name}",
+        "room.about": "Sobre esta habitación",
+        "room.amenities": "Comodidades",
+        "room.prev": "Anterior",
+        "room.next": "Siguiente",
+        "gallery.title": "Fotos de la habitación",
+        "gallery.zoom": "Ver en pantalla completa",
+        "gallery.counter": "{n} / {total}",
+        "gallery.thumb": "Foto {n}: {alt}",
+
+        "summary.title": "Tu reserva",
+        "summary.checkin": "Check-in:",
+        "summary.checkout": "Check-out:",
+        "summary.nights": "Noches:",
+        "summary.addRooms": "Agregá habitaciones",
+        "summary.total": "Total",
+        "summary.continue": "Continuar",
+        "api.loading": "Cargando…",
+        "api.quoting": "Revisando precios y disponibilidad…",
+        "api.checkingRooms": "Confirmando que las habitaciones sigan libres…",
+        "api.retry": "Reintentar",
+        "api.error.network": "No pudimos conectarnos con el sistema de reservas. Revisá tu conexión.",
+        "api.error.timeout": "El sistema de reservas está tardando demasiado en responder.",
+        "api.error.error": "El sistema de reservas tuvo un problema.",
+        "summary.remove": "Quitar",
+        "summary.currency": "Moneda",
+        "summary.taxToggle": "Mostrar precios con impuestos incluidos",
+        "summary.modify": "Modificar selección",
+        "summary.guests": "Huéspedes:",
+
+        "stock.soldOut": "Agotada para estas fechas",
+        "stock.left": {one: "Queda solo {count}", other: "Quedan solo {count}"},
+        "avail.title": "Sin disponibilidad",
+        "checkout.title": "Revisá tu reserva",
+        "checkout.changed": "Los precios enviados al pago no coincidían con nuestras tarifas actuales, así que no se cobró nada. Recuperamos tu selección con el total actualizado: revisalo y volvé a continuar.",
+        "checkout.expired": "Venció la reserva del precio por 15 minutos. Volvé a buscar tus fechas para obtener una cotización nueva.",
+        "checkout.invalid": "Los datos del pago estaban incompletos o desactualizados. Elegí de nuevo tus fechas y habitaciones.",
+        "hold.remaining": "Precio reservado por {time}",
+        "avail.left": "Quedan solo {rooms}.",
+        "avail.soldOut": "{name}: agotada.",
+        "avail.notEnough": "{name}: quedan solo {rooms} para estas fechas (elegiste {count}).",
+        "avail.soldOutDates": "{name}: agotada para estas fechas.",
+
+        "dates.missing": "Completá el check-in y el check-out.",
+        "dates.checkinPast": "La fecha de check-in no puede ser anterior a hoy.",
+        "dates.checkoutPast": "La fecha de check-out no puede ser anterior a hoy.",
+        "dates.order": "La fecha de check-out tiene que ser posterior al check-in.",
+        "qty.invalid": "Cantidad inválida (tiene que ser un entero entre 0 y 9).",
+        "booking.addRooms": "Agregá al menos una habitación.",
+
+        "season.high": "Temporada alta",
+        "season.shoulder": "Temporada media",
+        "season.low": "Temporada baja",
+        "minStay.title": "Estadía mínima",
+        "minStay.msg": "En {season} la estadía mínima es de {nights}.",
+        "discount.weekly": "Descuento por semana",
+        "discount.long": "Descuento por estadía larga",
+
+        "price.perNight": "Precio por noche",
+        "price.weekend": "fin de semana",
+        "price.from": "desde {price}",
+
+        "promo.title": "Código promocional",
+        "promo.label": "Código promocional",
+        "promo.placeholder": "Ingresá el código",
+        "promo.apply": "Aplicar",
+        "promo.applied": "{code} aplicado: {label}.",
+        "promo.notApplied": "{code} no se aplica: {reason}",
+        "promo.err.empty": "Ingresá un código promocional.",
+        "promo.err.unknown": "\"{code}\" no es un código válido.",
+        "promo.err.notYet": "{code} se puede usar desde el {date}.",
+        "promo.err.expired": "{code} venció el {date}.",
+        "promo.err.limit": "{code} alcanzó su límite de usos.",
+        "promo.err.noQuote": "Elegí fechas y habitaciones antes de aplicar un código.",
+        "promo.err.stayWindow": "{code} solo vale para check-ins entre el {from} y el {to}.",
+        "promo.err.minNights": "{code} requiere una estadía de al menos {nights} (elegiste {count}).",
+        "promo.err.earlyBird": "{code} requiere reservar con al menos {days} de anticipación (tu check-in es en {ahead}).",
+        "promo.err.rooms": "{code} solo aplica a: {rooms}.",
+        "promo.BLUE10": "Santorini Blue 10% off",
+        "promo.WELCOME50": "Descuento de bienvenida",
+        "promo.EARLYBIRD": "Reserva anticipada",
+        "promo.STAYLONGER": "Estadía larga",
+        "promo.FAMILY80": "Escapada en familia",
+        "promo.WINTERSUN": "Sol de invierno",
+
+        "totals.subtotal": "Subtotal",
+        "totals.extras": "Extras",
+        "extras.title": "Extras",
+        "extras.per.stay": "por estadía",
+        "extras.per.night": "por noche",
+        "extras.per.guest": "por huésped",
+        "extras.per.room": "por habitación",
+        "extras.date": "Día",
+        "extras.datePlaceholder": "Elegí un día…",
+        "extras.dateMissing": "Elegí un día para {name}.",
+        "extras.free": "Sin cargo",
+        "plan.title": "Tarifa",
+        "plan.flex": "Flexible",
+        "plan.nonref": "No reembolsable",
+        "plan.hotel": "Pago en el hotel",
+        "plan.flex.short": "Cancelación sin cargo hasta {days} días antes del check-in.",
+        "plan.nonref.short": "{pct}% menos en las habitaciones. Sin cambios ni reintegros.",
+        "plan.hotel.short": "Seña del {deposit}% ahora y el resto en el hotel. Cancelación sin cargo hasta {days} días antes del check-in.",
+        "plan.policy.free": "Cancelación sin cargo hasta el {date}; después la reserva no es reembolsable.",
+        "plan.policy.depositFree": "Si cancelás hasta el {date} se devuelve la seña; después se retiene.",
+        "plan.policy.tooLate": "Ya pasó el plazo de cancelación sin cargo: esta reserva no es reembolsable.",
+        "plan.policy.nonref": "Esta reserva no admite cambios ni reintegros.",
+        "plan.policy.deposit": "Pagás ahora una seña del {pct}% ({deposit}) y {balance} en el hotel.",
+        "plan.unavailable": "No disponible para {rooms}.",
+        "plan.balance": "El resto, {amount}, se paga en el hotel.",
+        "plan.dueAtHotel": "A pagar en el hotel",
+        "plan.refund": "Si cancelás hasta el {date}, se te devuelven {amount}.",
+        "plan.noRefund": "Si cancelás ahora no hay reintegro.",
+        "totals.promo": "Promo {code} · {label}",
+        "totals.serviceFee": "Cargo por servicio ({pct}%)",
+        "totals.serviceFeeIncl": "Incluye cargo por servicio ({pct}%)",
+        "totals.vat": "IVA ({pct}%)",
+        "totals.vatIncl": "Incluye IVA ({pct}%)",
+        "totals.stayTax": "Tasa de alojamiento ({rate} × {roomNights})",
+
+        "currency.USD": "USD · Dólar estadounidense",
+        "currency.EUR": "EUR · Euro",
+        "currency.GBP": "GBP · Libra esterlina",
+        "currency.ARS": "ARS · Peso argentino",
+        "fx.note": "Los precios en {currency} son estimados (1 {base} = {rate} {currency}, cotización del {date}).",
+        "fx.chargedIn": "El cobro se hace en {base}.",
+        "fx.charge": "Se te cobrarán {amount} {base}.",
+
+        "val.required": "Campo obligatorio.",
+        "val.min2": "Mínimo 2 caracteres.",
+        "val.letters": "Usá solo letras y espacios.",
+        "val.emailRequired": "El email es obligatorio.",
+        "val.email": "Ingresá un email válido.",
+        "val.phone": "El teléfono debe tener entre {min} y {max} dígitos.",
+        "val.maxChars": "Máximo {max} caracteres.",
+        "val.cardRequired": "El número de tarjeta es obligatorio.",
+        "val.cardLength": "Las tarjetas {brand} tienen {lengths} dígitos.",
+        "val.cardInvalid": "Número de tarjeta inválido.",
+        "val.cardUnknown": "No reconocemos este número de tarjeta. Revisá los primeros dígitos.",
+        "val.cardNotAccepted": "No aceptamos {brand}. Aceptamos {accepted}.",
+        "val.nameOnCardRequired": "El nombre en la tarjeta es obligatorio.",
+        "val.expRequired": "El vencimiento es obligatorio.",
+        "val.expFormat": "Usá el formato MM/AA.",
+        "val.expMonth": "Mes inválido.",
+        "val.expired": "La tarjeta está vencida.",
+        "val.cvv": "El CVV debe tener 3 o 4 dígitos.",
+        "val.cvvLength": "El {name} debe tener {count} dígitos.",
+        "val.zipMax": "El código postal tiene hasta 4 dígitos.",
+        "val.zipDigits": "El código postal solo lleva números.",
+
+        "contact.heading": "Contactá al resort",
+        "contact.imageAlt": "Balcón privado con vista al mar Egeo",
+        "contact.fname": "Nombre *",
+        "contact.fnamePh": "Escribí tu nombre",
+        "contact.lname": "Apellido *",
+        "contact.lnamePh": "Escribí tu apellido",
+        "contact.email": "Email *",
+        "contact.phone": "Teléfono",
+        "contact.ccode": "Código de país",
+        "contact.message": "Escribí tu mensaje...",
+        "contact.messagePh": "Máximo 500 caracteres",
+        "contact.submit": "Enviar",
+        "contact.invalid": "Completá correctamente los campos obligatorios.",
+        "contact.sent": "¡Gracias! Tu mensaje fue enviado.",
+        "contact.failed": "No pudimos enviar tu mensaje. {reason}",
+        "contact.sentTitle": "Mensaje enviado",
+        "contact.queuedTitle": "Mensaje guardado, todavía sin enviar",
+        "contact.queued": "No pudimos conectarnos con nuestro servidor, así que tu mensaje todavía no se envió. Quedó guardado en este dispositivo y lo mandamos solos apenas vuelva la conexión: solo dejá el sitio abierto en alguna pestaña.",
+        "contact.outboxDelivered": {one: "Tu mensaje guardado ya se envió.", other: "Tus {count} mensajes guardados ya se enviaron."},
+        "contact.outboxFailed": {one: "No pudimos enviar un mensaje guardado: nuestro servidor no lo aceptó. Escribinos por email o llamá al hotel.", other: "No pudimos enviar {count} mensajes guardados: nuestro servidor no los aceptó. Escribinos por email o llamá al hotel."},
+
+        "pay.heading": "PAGO",
+        "pay.details": "Datos del huésped y del pago",
+        "pay.fname": "Nombre",
+        "pay.lname": "Apellido",
+        "pay.email": "Email",
+        "pay.phone": "Teléfono",
+        "roomGuests.title": "Quiénes se alojan",
+        "roomGuests.intro": "Contanos quién hace el check-in en cada habitación y qué tenemos que preparar.",
+        "roomGuests.unit": "{name} {n} de {of}",
+        "roomGuests.name": "Nombre del titular",
+        "roomGuests.arrival": "Llegada estimada",
+        "roomGuests.arrivalUnknown": "Todavía no sé",
+        "roomGuests.arrivesAt": "Llega alrededor de las {time}",
+        "roomGuests.bed": "Preferencia de cama",
+        "roomGuests.bed.none": "Sin preferencia",
+        "roomGuests.bed.double": "Cama doble",
+        "roomGuests.bed.twin": "Dos camas simples",
+        "roomGuests.diet": "Necesidades alimentarias",
+        "roomGuests.dietPh": "p. ej. vegetariano, alergia a frutos secos",
+        "roomGuests.request": "Pedido especial",
+        "roomGuests.requestPh": "Aniversario, habitación tranquila, almohadas extra…",
+        "pay.card": "Número de tarjeta",
+        "pay.cardsAccepted": "Aceptamos {accepted}.",
+        "pay.nameOnCard": "Nombre en la tarjeta",
+        "pay.exp": "Vencimiento (MM/AA)",
+        "pay.cvv": "CVV",
+        "pay.address": "Dirección de facturación",
+        "pay.country": "País",
+        "pay.countrySelect": "Elegí…",
+        "pay.zip": "Código postal",
+        "pay.payNow": "Pagar",
+        "pay.note": "El cobro se hace en dólares estadounidenses e incluye IVA, cargo por servicio y tasa de alojamiento. Vas a recibir un email de confirmación.",
+        "pay.required": "Completá todos los campos obligatorios.",
+        "pay.title": "Pago",
+        "pay.success": "¡Pago realizado! Tu código de confirmación es {code}. Guardalo para consultar tu reserva.",
+        "pay.successPending": "¡Recibimos tu reserva! Tu código es {code}. El hotel la confirma en cuanto verifique el pago.",
+        "pay.findBooking": "Ver mi reserva",
+        "pay.processing": "Procesando…",
+        "pay.retry": "Reintentar",
+        "pay.paid": "Pagado",
+        "pay.status.pending": "Estamos contactando a tu banco. No cierres ni recargues la página.",
+        "pay.status.challenge": "Tu banco necesita verificar este pago.",
+        "pay.error.declined": "Tu tarjeta fue rechazada. Probá con otra o consultá con tu banco.",
+        "pay.error.insufficient_funds": "La tarjeta no tiene fondos suficientes para este importe. Probá con otra.",
+        "pay.error.challenge_failed": "El código de verificación no fue aceptado y el pago no se completó.",
+        "pay.error.challenge_cancelled": "Cancelaste la verificación. No se hizo ningún cargo.",
+        "pay.error.timeout": "Tu banco no respondió a tiempo y no se hizo la reserva. Intentá de nuevo.",
+        "pay.error.error": "Hubo un problema con el pago y no se hizo la reserva. Intentá de nuevo.",
+        "pay.error.unreachable": "No pudimos confirmar las habitaciones con el hotel, así que no se hizo ningún cargo. Intentá de nuevo.",
+        "pay.status.saving": "Pago recibido. Guardando tu reserva…",
+        "pay.notSavedTitle": "Pago recibido, reserva pendiente",
+        "pay.notSaved": "Se cobró tu tarjeta, pero no pudimos guardar la reserva. Escribile al hotel con la referencia de pago {ref} y te la confirmamos.",
+        "pay.challenge.title": "Verificación 3-D Secure",
+        "pay.challenge.intro": "Ingresá el código que te envió tu banco para confirmar el pago.",
+        "pay.challenge.hint": "Modo de prueba: el código es {code}.",
+        "pay.challenge.label": "Código de verificación",
+        "pay.challenge.submit": "Confirmar",
+        "pay.testMode": "Modo de prueba: los pagos van a una pasarela simulada. Se aprueba cualquier tarjeta válida, salvo 4000 0000 0000 0002 (rechazada), 4000 0000 0000 9995 (fondos insuficientes), 4000 0000 0000 3220 (3-D Secure, código 123456) y 4000 0000 0000 0119 (sin respuesta). Amex: 3782 822463 10005 con CID de 4 dígitos.",
+        "lookup.heading": "MI RESERVA",
+        "lookup.formTitle": "Consultá tu reserva",
+        "lookup.intro": "Ingresá el código de confirmación que recibiste al pagar y el email con el que reservaste.",
+        "lookup.codeLabel": "Código de confirmación",
+        "lookup.emailLabel": "Email",
+        "lookup.submit": "Buscar reserva",
+        "lookup.codeFormat": "Los códigos tienen la forma SB-7K2QXM.",
+        "lookup.notFoundTitle": "Reserva no encontrada",
+        "lookup.notFound": "No encontramos una reserva con ese código y email. Revisá los dos datos o llamá a recepción.",
+        "lookup.resultTitle": "Tu reserva",
+        "lookup.code": "Código de confirmación",
+        "lookup.status": "Estado",
+        "lookup.status.confirmed": "Confirmada",
+        "lookup.status.pending_payment": "Pago pendiente",
+        "lookup.status.checked_in": "Check-in hecho",
+        "lookup.status.no_show": "No se presentó",
+        "lookup.status.cancelled": "Cancelada",
+        "admin.viewSite": "Ver el sitio",
+        "admin.logout": "Salir",
+        "admin.heading": "CONSOLA DEL HOTEL",
+        "admin.login.title": "Ingresar",
+        "admin.login.password": "Contraseña",
+        "admin.login.submit": "Ingresar",
+        "admin.login.failed": "La contraseña no es correcta.",
+        "admin.login.tooMany": {one: "Demasiadas contraseñas equivocadas. Probá de nuevo en {count} minuto.", other: "Demasiadas contraseñas equivocadas. Probá de nuevo en {count} minutos."},
+        "admin.login.demo": "Modo demo: los cambios se guardan solo en este navegador. La contraseña de prueba es “santorini”.",
+        "admin.login.server": "Ingresá con la contraseña del personal configurada en el servidor de reservas.",
+        "admin.sessionExpired": "Tu sesión terminó. Volvé a ingresar.",
+        "admin.sections": "Secciones",
+        "admin.tab.rooms": "Habitaciones",
+        "admin.tab.inventory": "Tarifas e inventario",
+        "admin.tab.reservations": "Reservas",
+        "admin.tab.messages": "Mensajes",
+        "admin.save": "Guardar cambios",
+        "admin.invalid": "Hay valores que no son válidos. Revisalos y probá de nuevo.",
+        "admin.all": "Todos",
+        "admin.empty": "No hay nada con estos filtros.",
+        "admin.actions": "Acciones",
+        "admin.search": "Buscar",
+        "admin.export": "Exportar CSV",
+        "admin.rooms.type": "Tipo de habitación",
+        "admin.rooms.rate": "Tarifa base por noche (USD)",
+        "admin.rooms.stock": "Habitaciones de este tipo",
+        "admin.rooms.image": "Foto de la tarjeta",
+        "admin.rooms.name": "Nombre",
+        "admin.rooms.capacity": "Línea de capacidad",
+        "admin.rooms.countOne": "Cantidad, una habitación",
+        "admin.rooms.countOther": "Cantidad, varias habitaciones",
+        "admin.rooms.countHint": "En los campos de cantidad, {count} se reemplaza por el número de habitaciones.",
+        "admin.rooms.desc": "Descripción",
+        "admin.rooms.amenities": "Comodidades (una por línea)",
+        "admin.rooms.gallery": "Galería",
+        "admin.rooms.photoSrc": "Ruta o URL de la foto",
+        "admin.rooms.photoAlt": "Descripción ({lang})",
+        "admin.rooms.photoAdd": "Agregar foto",
+        "admin.rooms.photoUpload": "Subir foto",
+        "admin.rooms.photoRemove": "Quitar foto",
+        "admin.rooms.photoTooBig": "La foto es muy pesada. Usá una de menos de {max}.",
+        "admin.rooms.numbers": "La tarifa tiene que ser mayor a 0 y la cantidad de habitaciones un número entero.",
+        "admin.rooms.saved": "Guardado. Los huéspedes ven el cambio la próxima vez que carga una página.",
+        "admin.rooms.reset": "Deshacer todos los cambios de esta habitación",
+        "admin.rooms.resetConfirm": "¿Volver a los textos, fotos, tarifa y stock originales de esta habitación?",
+        "admin.rooms.resetDone": "La habitación volvió a sus datos originales.",
+        "admin.inv.formTitle": "Cambiar un rango de noches",
+        "admin.inv.intro": "Dejá un campo vacío para mantener lo que tiene cada noche.",
+        "admin.inv.from": "Primera noche",
+        "admin.inv.to": "Última noche",
+        "admin.inv.rooms": "Tipos de habitación",
+        "admin.inv.total": "Habitaciones a la venta",
+        "admin.inv.rate": "Tarifa por noche (USD)",
+        "admin.inv.apply": "Aplicar",
+        "admin.inv.reset": "Volver al stock y las tarifas del catálogo",
+        "admin.inv.nothing": "Ingresá habitaciones a la venta, una tarifa o las dos.",
+        "admin.inv.saved": {one: "Se actualizó {count} noche.", other: "Se actualizaron {count} noches."},
+        "admin.inv.prev": "Mes anterior",
+        "admin.inv.next": "Mes siguiente",
+        "admin.inv.legend": "Cada celda muestra habitaciones vendidas / a la venta y la tarifa. Las tarifas con * se cargaron acá.",
+        "admin.inv.night": "Noche",
+        "admin.res.searchPh": "Código, nombre o email",
+        "admin.res.from": "Llegan desde",
+        "admin.res.to": "Llegan hasta",
+        "admin.res.count": {one: "{count} reserva", other: "{count} reservas"},
+        "admin.res.stay": "Estadía",
+        "admin.res.checkIn": "Hacer check-in",
+        "admin.res.noShow": "No se presentó",
+        "admin.res.noShowConfirm": "¿Marcar {code} como no presentada? Sus habitaciones vuelven a la venta y no se puede deshacer.",
+        "admin.res.confirmPayment": "Confirmar pago",
+        "admin.res.cancel": "Cancelar",
+        "admin.res.cancelConfirm": "¿Cancelar {code}? Sus habitaciones vuelven a la venta y no se puede deshacer.",
+        "admin.res.updated": "{code}: {status}.",
+        "admin.msg.searchPh": "Nombre, email o texto",
+        "admin.msg.count": {one: "{count} mensaje", other: "{count} mensajes"},
+        "admin.msg.received": "Recibido",
+        "admin.msg.from": "De",
+        "admin.msg.message": "Mensaje",
+        "admin.msg.status.new": "Nuevo",
+        "admin.msg.status.handled": "Atendido",
+        "admin.msg.markHandled": "Marcar atendido",
+        "admin.msg.markNew": "Marcar como nuevo",
+        "lookup.guest": "Huésped",
+        "lookup.paid": "Pagaste {amount} {currency} con la tarjeta terminada en {card} el {date}.",
+        "lookup.paymentPending": "Tarjeta terminada en {card}: el hotel está verificando el pago de {amount} {currency}.",
+        "conf.heading": "CONFIRMACIÓN DE RESERVA",
+        "conf.title": "Tu estadía está confirmada",
+        "conf.titlePending": "Tu reserva espera la confirmación del pago",
+        "conf.titleCancelled": "Esta reserva fue cancelada",
+        "conf.code": "Código de confirmación",
+        "conf.thanks": "Gracias, {name}. Mostrá esta página o tu código en la recepción de {hotel}.",
+        "conf.stay": "Estadía",
+        "conf.from": "{date}, desde las {time}",
+        "conf.until": "{date}, hasta las {time}",
+        "conf.rooms": "Habitaciones y cargos",
+        "conf.guest": "Titular",
+        "conf.policies": "Políticas del hotel",
+        "conf.policy.checkin": "Check-in desde las {checkin}, check-out hasta las {checkout}.",
+        "conf.policy.id": "Traé un documento con foto y la tarjeta con la que pagaste.",
+        "conf.policy.children": "Los menores de 2 años duermen en cuna sin cargo.",
+        "conf.policy.changes": "Para modificar o cancelar la reserva, contactá a recepción con tu código de confirmación.",
+        "conf.view": "Ver e imprimir confirmación",
+        "conf.ics": "Agregar al calendario (.ics)",
+        "conf.print": "Imprimir",
+        "conf.missing": "No encontramos esta confirmación en este dispositivo.",
+        "conf.ics.checkin": "Check-in en {hotel}",
+        "conf.ics.checkout": "Check-out de {hotel}",
+
+        "about.heading": "SOBRE SANTORINI BLUE",
+        "about.imageAlt": "Vista aérea de Santorini",
+        "about.intro": "Nuestra posada es un refugio tranquilo frente al mar, pensado para quienes buscan descansar en un ambiente cálido y acogedor. Con pocas habitaciones, ofrecemos una experiencia más íntima y personalizada, donde cada detalle está cuidado para que los huéspedes se sientan como en casa. Rodeada de paisajes mediterráneos, la posada combina el encanto tradicional con las comodidades modernas, el lugar ideal para disfrutar de la calma, el sol y la belleza del mar.",
+        "about.poolAlt": "Piscina privada en cueva con vista al mar Egeo.",
+        "about.amenities": "Servicios del hotel",
+        "about.a1": "Estacionamiento gratuito para huéspedes",
+        "about.a2": "Internet de alta velocidad gratis",
+        "about.a3": "Wi-Fi gratis",
+        "about.a4": "Desayuno incluido",
+        "about.a5": "Piscina al aire libre",
+        "about.a6": "Acceso directo a la playa",
+        "about.a7": "Recepción y servicio a la habitación las 24 horas",
+        "about.a8": "Limpieza diaria",
+        "about.a9": "Set de té y café",
+    },
+
+    el: {
+        "meta.title.home": "Santorini Blue",
+        "meta.title.booking": "Santorini Blue | Κράτηση",
+        "meta.title.payment": "Santorini Blue | Πληρωμή",
+        "meta.title.contact": "Santorini Blue | Επικοινωνία",
+        "meta.title.about": "Santorini Blue | Σχετικά",
+        "meta.title.lookup": "Santorini Blue | Η κράτησή μου",
+        "meta.title.confirmation": "Santorini Blue | Επιβεβαίωση κράτησης",
+        "meta.title.admin": "Santorini Blue | Κονσόλα προσωπικού",
+
+        "nav.home": "Αρχική",
+        "nav.book": "Κράτηση",
+        "nav.about": "Σχετικά",
+        "nav.contact": "Επικοινωνία",
+        "nav.lookup": "Η κράτησή μου",
+        "nav.lang": "Γλώσσα",
+
+        "footer.support": "Τηλεφωνική υποστήριξη (24 ώρες το 24ωρο)",
+        "footer.rights": "© 2025 Santorini Blue. Με επιφύλαξη παντός δικαιώματος.",
+
+        "home.welcome": "Καλώς ήρθατε στο Santorini Blue",
+
+        "modal.error": "Σφάλμα",
+        "modal.ok": "ΟΚ",
+        "net.offline": "Είστε εκτός σύνδεσης. Μπορείτε να συνεχίσετε την περιήγηση και οι επιλογές σας αποθηκεύονται· οι πληρωμές περιμένουν μέχρι να επανέλθει η σύνδεση.",
+        "net.online": "Η σύνδεση επανήλθε.",
+        "net.payOffline": "Είστε εκτός σύνδεσης. Για την πληρωμή χρειάζεται σύνδεση· τα στοιχεία σας παραμένουν σε αυτή τη σελίδα.",
+        "a11y.total": "Νέο σύνολο: {total}",
+        "a11y.formErrors": {one: "{count} πεδίο χρειάζεται διόρθωση.", other: "{count} πεδία χρειάζονται διόρθωση."},
+        "link.title": "Σχετικά με αυτόν τον σύνδεσμο",
+        "link.datesInvalid": "Οι ημερομηνίες του συνδέσμου δεν είναι έγκυρες και παραλείφθηκαν. Επιλέξτε ημερομηνίες.",
+        "link.datesPast": "Οι ημερομηνίες του συνδέσμου ({dates}) έχουν ήδη περάσει. Επιλέξτε νέες ημερομηνίες.",
+        "link.datesTooFar": "Οι ημερομηνίες του συνδέσμου είναι πολύ μακριά. Δεχόμαστε κρατήσεις έως {date}.",
+        "link.partyAdjusted": "Ορισμένα στοιχεία επισκεπτών του συνδέσμου ήταν εκτός ορίων και προσαρμόστηκαν.",
+        "link.roomsAdjusted": "Ορισμένες ποσότητες δωματίων του συνδέσμου ήταν εκτός ορίων και προσαρμόστηκαν.",
+        "link.planUnknown": "Το τιμολογιακό πρόγραμμα του συνδέσμου δεν υπάρχει, οπότε επιλέχθηκε το {plan}.",
+        "link.copy": "Αντιγραφή συνδέσμου επιλογής",
+        "link.copied": "Ο σύνδεσμος αντιγράφηκε. Όποιος τον ανοίξει θα δει αυτές τις ημερομηνίες, επισκέπτες και δωμάτια.",
+        "link.copyFailed": "Δεν ήταν δυνατή η αντιγραφή. Αντιγράψτε τον από τη γραμμή διευθύνσεων.",
+        "modal.close": "Κλείσιμο",
+
+        "unit.night": {one: "{count} διανυκτέρευση", other: "{count} διανυκτερεύσεις"},
+        "unit.day": {one: "{count} ημέρα", other: "{count} ημέρες"},
+        "unit.room": {one: "{count} δωμάτιο", other: "{count} δωμάτια"},
+        "unit.roomNight": {one: "{count} διανυκτέρευση δωματίου", other: "{count} διανυκτερεύσεις δωματίων"},
+        "unit.adult": {one: "{count} ενήλικας", other: "{count} ενήλικες"},
+        "unit.child": {one: "{count} παιδί", other: "{count} παιδιά"},
+
+        "book.heading": "ΚΡΑΤΗΣΗ ΔΩΜΑΤΙΟΥ",
+        "book.dates": "Άφιξη και αναχώρηση",
+        "book.checkinDate": "Ημερομηνία άφιξης",
+        "book.checkoutDate": "Ημερομηνία αναχώρησης",
+        "picker.selectCheckin": "Επιλέξτε ημερομηνία άφιξης",
+        "picker.selectCheckout": "Τώρα επιλέξτε ημερομηνία αναχώρησης",
+        "picker.selected": "Επιλέχθηκαν {nights}",
+        "picker.from": "από {price}",
+        "picker.soldOut": "εξαντλημένο",
+        "picker.prev": "Προηγούμενος μήνας",
+        "picker.next": "Επόμενος μήνας",
+        "picker.clear": "Καθαρισμός ημερομηνιών",
+        "picker.done": "Τέλος",
+        "book.guests": "Επισκέπτες",
+        "book.adults": "Ενήλικες",
+        "book.children": "Παιδιά",
+        "book.childAge": "Ηλικία παιδιού {n}",
+        "book.agePlaceholder": "Ηλικία",
+        "book.ageUnder1": "Κάτω του 1",
+        "book.infantNote": "Τα παιδιά κάτω των 2 ετών κοιμούνται σε κούνια και δεν χρειάζονται κρεβάτι.",
+        "book.search": "Αναζήτηση",
+        "book.selectRoom": "Επιλέξτε δωμάτιο",
+        "book.imageAlt": "Θέα του Santorini Blue",
+        "party.title": "Χωρητικότητα δωματίων",
+        "party.agesMissing": "Επιλέξτε την ηλικία κάθε παιδιού.",
+        "party.adultsMin": "Η κράτηση πρέπει να περιλαμβάνει τουλάχιστον έναν ενήλικα.",
+        "party.tooManyRooms": "Τα {rooms} χρειάζονται τουλάχιστον έναν ενήλικα το καθένα και η ομάδα σας έχει {adults}.",
+        "party.adultsOver": "Τα επιλεγμένα δωμάτια χωρούν έως {max} και η ομάδα σας έχει {adults}.",
+        "party.guestsOver": "Τα επιλεγμένα δωμάτια έχουν κρεβάτια για {max} επισκέπτες και η ομάδα σας χρειάζεται {count}.",
+        "suggest.title": "Η καλύτερη επιλογή για {party}",
+        "suggest.use": "Επιλογή",
+        "suggest.none": "Κανένας συνδυασμός διαθέσιμων δωματίων δεν χωράει {party}. Δοκιμάστε άλλες ημερομηνίες ή καλέστε μας.",
+        "suggest.stay": "{price} για {nights}",
+        "suggest.perNight": "από {price} ανά διανυκτέρευση",
+
+        "room.moreDetails": "Περισσότερα",
+        "room.addRooms": "Προσθήκη δωματίων",
+        "room.decrease": "Λιγότερα: {name}",
+        "room.increase": "Περισσότερα: {name}",
+        "room.about": "Σχετικά με το δωμάτιο",
+        "room.amenities": "Παροχές",
+        "room.prev": "Προηγούμενη",
+        "room.next": "Επόμενη",
+        "gallery.title": "Φωτογραφίες δωματίου",
+        "gallery.zoom": "Προβολή σε πλήρη οθόνη",
+        "gallery.counter": "{n} / {total}",
+        "gallery.thumb": "Φωτογραφία {n}: {alt}",
+
+        "summary.title": "Η κράτησή σας",
+        "summary.checkin": "Άφιξη:",
+        "summary.checkout": "Αναχώρηση:",
+        "summary.nights": "Διανυκτερεύσεις:",
+        "summary.addRooms": "Προσθέστε δωμάτια",
+        "summary.total": "Σύνολο",
+        "summary.continue": "Συνέχεια",
+        "api.loading": "Φόρτωση…",
+        "api.quoting": "Ελέγχουμε τιμές και διαθεσιμότητα…",
+        "api.checkingRooms": "Επιβεβαιώνουμε ότι τα δωμάτια είναι ακόμη ελεύθερα…",
+        "api.retry": "Δοκιμάστε ξανά",
+        "api.error.network": "Δεν ήταν δυνατή η σύνδεση με το σύστημα κρατήσεων. Ελέγξτε τη σύνδεσή σας.",
+        "api.error.timeout": "Το σύστημα κρατήσεων αργεί πολύ να απαντήσει.",
+        "api.error.error": "Το σύστημα κρατήσεων αντιμετώπισε πρόβλημα.",
+        "summary.remove": "Αφαίρεση",
+        "summary.currency": "Νόμισμα",
+        "summary.taxToggle": "Τιμές με φόρους",
+        "summary.modify": "Αλλαγή επιλογής",
+        "summary.guests": "Επισκέπτες:",
+
+        "stock.soldOut": "Εξαντλημένο για αυτές τις ημερομηνίες",
+        "stock.left": {one: "Απομένει μόνο {count}", other: "Απομένουν μόνο {count}"},
+        "avail.title": "Μη διαθέσιμο",
+        "checkout.title": "Ελέγξτε την κράτησή σας",
+        "checkout.changed": "Οι τιμές που στάλθηκαν στην πληρωμή δεν ταίριαζαν με τις τρέχουσες τιμές μας, οπότε δεν έγινε χρέωση. Επαναφέραμε την επιλογή σας με το ενημερωμένο σύνολο — ελέγξτε την και συνεχίστε ξανά.",
+        "checkout.expired": "Η 15λεπτη δέσμευση της τιμής έληξε. Αναζητήστε ξανά τις ημερομηνίες σας για νέα προσφορά.",
+        "checkout.invalid": "Τα στοιχεία πληρωμής ήταν ελλιπή ή παλιά. Επιλέξτε ξανά ημερομηνίες και δωμάτια.",
+        "hold.remaining": "Η τιμή δεσμεύεται για {time}",
+        "avail.left": "Απομένουν μόνο {rooms}.",
+        "avail.soldOut": "{name}: εξαντλημένο.",
+        "avail.notEnough": "{name}: απομένουν μόνο {rooms} για αυτές τις ημερομηνίες (επιλέξατε {count}).",
+        "avail.soldOutDates": "{name}: εξαντλημένο για αυτές τις ημερομηνίες.",
+
+        "dates.missing": "Συμπληρώστε άφιξη και αναχώρηση.",
+        "dates.checkinPast": "Η ημερομηνία άφιξης δεν μπορεί να είναι πριν από σήμερα.",
+        "dates.checkoutPast": "Η ημερομηνία αναχώρησης δεν μπορεί να είναι πριν από σήμερα.",
+        "dates.order": "Η αναχώρηση πρέπει να είναι μετά την άφιξη.",
+        "qty.invalid": "Μη έγκυρη ποσότητα (ακέραιος από 0 έως 9).",
+        "booking.addRooms": "Προσθέστε τουλάχιστον ένα δωμάτιο.",
+
+        "season.high": "Υψηλή περίοδος",
+        "season.shoulder": "Μεσαία περίοδος",
+        "season.low": "Χαμηλή περίοδος",
+        "minStay.title": "Ελάχιστη διαμονή",
+        "minStay.msg": "Στην περίοδο «{season}» η ελάχιστη διαμονή είναι {nights}.",
+        "discount.weekly": "Έκπτωση εβδομάδας",
+        "discount.long": "Έκπτωση μεγάλης διαμονής",
+
+        "price.perNight": "Τιμή ανά διανυκτέρευση",
+        "price.weekend": "Σαββατοκύριακο",
+        "price.from": "από {price}",
+
+        "promo.title": "Κωδικός προσφοράς",
+        "promo.label": "Κωδικός προσφοράς",
+        "promo.placeholder": "Εισάγετε κωδικό",
+        "promo.apply": "Εφαρμογή",
+        "promo.applied": "Ο κωδικός {code} εφαρμόστηκε: {label}.",
+        "promo.notApplied": "Ο κωδικός {code} δεν εφαρμόζεται: {reason}",
+        "promo.err.empty": "Εισάγετε κωδικό προσφοράς.",
+        "promo.err.unknown": "Ο κωδικός «{code}» δεν είναι έγκυρος.",
+        "promo.err.notYet": "Ο κωδικός {code} ισχύει από {date}.",
+        "promo.err.expired": "Ο κωδικός {code} έληξε στις {date}.",
+        "promo.err.limit": "Ο κωδικός {code} έχει εξαντλήσει τις χρήσεις του.",
+        "promo.err.noQuote": "Επιλέξτε ημερομηνίες και δωμάτια πριν εφαρμόσετε κωδικό.",
+        "promo.err.stayWindow": "Ο κωδικός {code} ισχύει μόνο για αφίξεις από {from} έως {to}.",
+        "promo.err.minNights": "Ο κωδικός {code} απαιτεί διαμονή τουλάχιστον {nights} (επιλέξατε {count}).",
+        "promo.err.earlyBird": "Ο κωδικός {code} απαιτεί κράτηση τουλάχιστον {days} πριν την άφιξη (η άφιξή σας είναι σε {ahead}).",
+        "promo.err.rooms": "Ο κωδικός {code} ισχύει μόνο για: {rooms}.",
+        "promo.BLUE10": "Santorini Blue -10%",
+        "promo.WELCOME50": "Έκπτωση καλωσορίσματος",
+        "promo.EARLYBIRD": "Έγκαιρη κράτηση",
+        "promo.STAYLONGER": "Μεγάλη διαμονή",
+        "promo.FAMILY80": "Οικογενειακή απόδραση",
+        "promo.WINTERSUN": "Χειμωνιάτικος ήλιος",
+
+        "totals.subtotal": "Μερικό σύνολο",
+        "totals.extras": "Επιπλέον υπηρεσίες",
+        "extras.title": "Επιπλέον υπηρεσίες",
+        "extras.per.stay": "ανά διαμονή",
+        "extras.per.night": "ανά νύχτα",
+        "extras.per.guest": "ανά επισκέπτη",
+        "extras.per.room": "ανά δωμάτιο",
+        "extras.date": "Ημέρα",
+        "extras.datePlaceholder": "Επιλέξτε ημέρα…",
+        "extras.dateMissing": "Επιλέξτε ημέρα για: {name}.",
+        "extras.free": "Δωρεάν",
+        "plan.title": "Τιμολογιακό πρόγραμμα",
+        "plan.flex": "Ευέλικτο",
+        "plan.nonref": "Χωρίς επιστροφή χρημάτων",
+        "plan.hotel": "Πληρωμή στο ξενοδοχείο",
+        "plan.flex.short": "Δωρεάν ακύρωση έως {days} ημέρες πριν από το check-in.",
+        "plan.nonref.short": "{pct}% έκπτωση στα δωμάτια. Χωρίς αλλαγές ή επιστροφές.",
+        "plan.hotel.short": "Προκαταβολή {deposit}% τώρα, το υπόλοιπο στο ξενοδοχείο. Δωρεάν ακύρωση έως {days} ημέρες πριν από το check-in.",
+        "plan.policy.free": "Δωρεάν ακύρωση έως {date}· μετά η κράτηση δεν επιστρέφεται.",
+        "plan.policy.depositFree": "Αν ακυρώσετε έως {date}, η προκαταβολή επιστρέφεται· μετά παρακρατείται.",
+        "plan.policy.tooLate": "Η περίοδος δωρεάν ακύρωσης έχει λήξει: η κράτηση δεν επιστρέφεται.",
+        "plan.policy.nonref": "Η κράτηση αυτή δεν μπορεί να αλλάξει ούτε να επιστραφεί.",
+        "plan.policy.deposit": "Πληρώνετε τώρα προκαταβολή {pct}% ({deposit}) και {balance} στο ξενοδοχείο.",
+        "plan.unavailable": "Δεν προσφέρεται για {rooms}.",
+        "plan.balance": "Το υπόλοιπο {amount} πληρώνεται στο ξενοδοχείο.",
+        "plan.dueAtHotel": "Πληρωτέο στο ξενοδοχείο",
+        "plan.refund": "Αν ακυρώσετε έως {date}, θα σας επιστραφούν {amount}.",
+        "plan.noRefund": "Αν ακυρώσετε τώρα, δεν υπάρχει επιστροφή χρημάτων.",
+        "totals.promo": "Προσφορά {code} · {label}",
+        "totals.serviceFee": "Χρέωση υπηρεσιών ({pct}%)",
+        "totals.serviceFeeIncl": "Περιλαμβάνει χρέωση υπηρεσιών ({pct}%)",
+        "totals.vat": "ΦΠΑ ({pct}%)",
+        "totals.vatIncl": "Περιλαμβάνει ΦΠΑ ({pct}%)",
+        "totals.stayTax": "Τέλος διαμονής ({rate} × {roomNights})",
+
+        "currency.USD": "USD · Δολάριο ΗΠΑ",
+        "currency.EUR": "EUR · Ευρώ",
+        "currency.GBP": "GBP · Λίρα Αγγλίας",
+        "currency.ARS": "ARS · Πέσο Αργεντινής",
+        "fx.note": "Οι τιμές σε {currency} είναι ενδεικτικές (1 {base} = {rate} {currency}, ισοτιμίες {date}).",
+        "fx.chargedIn": "Η χρέωση γίνεται σε {base}.",
+        "fx.charge": "Θα χρεωθείτε {amount} {base}.",
+
+        "val.required": "Υποχρεωτικό πεδίο.",
+        "val.min2": "Τουλάχιστον 2 χαρακτήρες.",
+        "val.letters": "Μόνο γράμματα και κενά.",
+        "val.emailRequired": "Το email είναι υποχρεωτικό.",
+        "val.email": "Εισάγετε έγκυρο email.",
+        "val.phone": "Το τηλέφωνο πρέπει να έχει {min}–{max} ψηφία.",
+        "val.maxChars": "Έως {max} χαρακτήρες.",
+        "val.cardRequired": "Ο αριθμός κάρτας είναι υποχρεωτικός.",
+        "val.cardLength": "Οι κάρτες {brand} έχουν {lengths} ψηφία.",
+        "val.cardInvalid": "Μη έγκυρος αριθμός κάρτας.",
+        "val.cardUnknown": "Δεν αναγνωρίζουμε αυτόν τον αριθμό κάρτας. Ελέγξτε τα πρώτα ψηφία.",
+        "val.cardNotAccepted": "Δεν δεχόμαστε {brand}. Δεχόμαστε {accepted}.",
+        "val.nameOnCardRequired": "Το όνομα κατόχου είναι υποχρεωτικό.",
+        "val.expRequired": "Η λήξη είναι υποχρεωτική.",
+        "val.expFormat": "Μορφή ΜΜ/ΕΕ.",
+        "val.expMonth": "Μη έγκυρος μήνας.",
+        "val.expired": "Η κάρτα έχει λήξει.",
+        "val.cvv": "Το CVV πρέπει να έχει 3–4 ψηφία.",
+        "val.cvvLength": "Το {name} πρέπει να έχει {count} ψηφία.",
+        "val.zipMax": "Ο ταχυδρομικός κώδικας έχει έως 4 ψηφία.",
+        "val.zipDigits": "Ο ταχυδρομικός κώδικας περιέχει μόνο ψηφία.",
+
+        "contact.heading": "Επικοινωνήστε μαζί μας",
+        "contact.imageAlt": "Ιδιωτικό μπαλκόνι με θέα στο Αιγαίο",
+        "contact.fname": "Όνομα *",
+        "contact.fnamePh": "Γράψτε το όνομά σας",
+        "contact.lname": "Επώνυμο *",
+        "contact.lnamePh": "Γράψτε το επώνυμό σας",
+        "contact.email": "Email *",
+        "contact.phone": "Τηλέφωνο",
+        "contact.ccode": "Κωδικός χώρας",
+        "contact.message": "Γράψτε το μήνυμά σας...",
+        "contact.messagePh": "Έως 500 χαρακτήρες",
+        "contact.submit": "Αποστολή",
+        "contact.invalid": "Συμπληρώστε σωστά τα υποχρεωτικά πεδία.",
+        "contact.sent": "Ευχαριστούμε! Το μήνυμά σας στάλθηκε.",
+        "contact.failed": "Δεν ήταν δυνατή η αποστολή του μηνύματός σας. {reason}",
+        "contact.sentTitle": "Το μήνυμα στάλθηκε",
+        "contact.queuedTitle": "Το μήνυμα αποθηκεύτηκε, δεν έχει σταλεί ακόμη",
+        "contact.queued": "Δεν ήταν δυνατή η σύνδεση με τον διακομιστή μας, οπότε το μήνυμά σας δεν έχει σταλεί ακόμη. Αποθηκεύτηκε σε αυτή τη συσκευή και θα το στείλουμε αυτόματα μόλις επανέλθει η σύνδεση — απλώς αφήστε τον ιστότοπο ανοιχτό σε κάποια καρτέλα.",
+        "contact.outboxDelivered": {one: "Το αποθηκευμένο μήνυμά σας στάλθηκε.", other: "Τα {count} αποθηκευμένα μηνύματά σας στάλθηκαν."},
+        "contact.outboxFailed": {one: "Ένα αποθηκευμένο μήνυμα δεν στάλθηκε: ο διακομιστής μας δεν το δέχτηκε. Γράψτε μας με email ή καλέστε το ξενοδοχείο.", other: "{count} αποθηκευμένα μηνύματα δεν στάλθηκαν: ο διακομιστής μας δεν τα δέχτηκε. Γράψτε μας με email ή καλέστε το ξενοδοχείο."},
+
+        "pay.heading": "ΠΛΗΡΩΜΗ",
+        "pay.details": "Στοιχεία επισκέπτη και πληρωμής",
+        "pay.fname": "Όνομα",
+        "pay.lname": "Επώνυμο",
+        "pay.email": "Email",
+        "pay.phone": "Τηλέφωνο",
+        "roomGuests.title": "Ποιοι θα μείνουν",
+        "roomGuests.intro": "Πείτε μας ποιος κάνει check-in σε κάθε δωμάτιο και τι να έχουμε έτοιμο.",
+        "roomGuests.unit": "{name} {n} από {of}",
+        "roomGuests.name": "Όνομα κύριου επισκέπτη",
+        "roomGuests.arrival": "Εκτιμώμενη άφιξη",
+        "roomGuests.arrivalUnknown": "Δεν ξέρω ακόμα",
+        "roomGuests.arrivesAt": "Άφιξη γύρω στις {time}",
+        "roomGuests.bed": "Προτίμηση κρεβατιού",
+        "roomGuests.bed.none": "Χωρίς προτίμηση",
+        "roomGuests.bed.double": "Διπλό κρεβάτι",
+        "roomGuests.bed.twin": "Δύο μονά κρεβάτια",
+        "roomGuests.diet": "Διατροφικές ανάγκες",
+        "roomGuests.dietPh": "π.χ. χορτοφαγία, αλλεργία σε ξηρούς καρπούς",
+        "roomGuests.request": "Ειδικό αίτημα",
+        "roomGuests.requestPh": "Επέτειος, ήσυχο δωμάτιο, επιπλέον μαξιλάρια…",
+        "pay.card": "Αριθμός κάρτας",
+        "pay.cardsAccepted": "Δεχόμαστε {accepted}.",
+        "pay.nameOnCard": "Όνομα κατόχου",
+        "pay.exp": "Λήξη (ΜΜ/ΕΕ)",
+        "pay.cvv": "CVV",
+        "pay.address": "Διεύθυνση χρέωσης",
+        "pay.country": "Χώρα",
+        "pay.countrySelect": "Επιλέξτε…",
+        "pay.zip": "Ταχυδρομικός κώδικας",
+        "pay.payNow": "Πληρωμή",
+        "pay.note": "Η χρέωση γίνεται σε δολάρια ΗΠΑ και περιλαμβάνει ΦΠΑ, χρέωση υπηρεσιών και τέλος διαμονής. Θα λάβετε email επιβεβαίωσης.",
+        "pay.required": "Συμπληρώστε όλα τα υποχρεωτικά πεδία.",
+        "pay.title": "Πληρωμή",
+        "pay.success": "Η πληρωμή ολοκληρώθηκε! Ο κωδικός επιβεβαίωσης είναι {code}. Κρατήστε τον για να βρίσκετε την κράτησή σας.",
+        "pay.successPending": "Λάβαμε την κράτησή σας! Ο κωδικός είναι {code}. Το ξενοδοχείο θα την επιβεβαιώσει μόλις επαληθευτεί η πληρωμή.",
+        "pay.findBooking": "Η κράτησή μου",
+        "pay.processing": "Επεξεργασία…",
+        "pay.retry": "Δοκιμάστε ξανά",
+        "pay.paid": "Πληρώθηκε",
+        "pay.status.pending": "Επικοινωνούμε με την τράπεζά σας. Μην κλείσετε ή ανανεώσετε τη σελίδα.",
+        "pay.status.challenge": "Η τράπεζά σας πρέπει να επαληθεύσει την πληρωμή.",
+        "pay.error.declined": "Η κάρτα σας απορρίφθηκε. Δοκιμάστε άλλη κάρτα ή επικοινωνήστε με την τράπεζά σας.",
+        "pay.error.insufficient_funds": "Η κάρτα δεν έχει επαρκές υπόλοιπο για αυτό το ποσό. Δοκιμάστε άλλη κάρτα.",
+        "pay.error.challenge_failed": "Ο κωδικός επαλήθευσης δεν έγινε δεκτός και η πληρωμή δεν ολοκληρώθηκε.",
+        "pay.error.challenge_cancelled": "Η επαλήθευση ακυρώθηκε. Δεν έγινε καμία χρέωση.",
+        "pay.error.timeout": "Η τράπεζά σας δεν απάντησε εγκαίρως και δεν έγινε κράτηση. Δοκιμάστε ξανά.",
+        "pay.error.error": "Παρουσιάστηκε πρόβλημα με την πληρωμή και δεν έγινε κράτηση. Δοκιμάστε ξανά.",
+        "pay.error.unreachable": "Δεν ήταν δυνατή η επιβεβαίωση των δωματίων με το ξενοδοχείο, οπότε δεν έγινε χρέωση. Δοκιμάστε ξανά.",
+        "pay.status.saving": "Η πληρωμή ελήφθη. Αποθηκεύουμε την κράτησή σας…",
+        "pay.notSavedTitle": "Η πληρωμή ελήφθη, η κράτηση εκκρεμεί",
+        "pay.notSaved": "Η κάρτα σας χρεώθηκε, αλλά δεν ήταν δυνατή η αποθήκευση της κράτησης. Επικοινωνήστε με το ξενοδοχείο με τον κωδικό πληρωμής {ref} και θα την επιβεβαιώσουμε.",
+        "pay.challenge.title": "Επαλήθευση 3-D Secure",
+        "pay.challenge.intro": "Εισαγάγετε τον κωδικό μίας χρήσης που σας έστειλε η τράπεζα για να επιβεβαιώσετε την πληρωμή.",
+        "pay.challenge.hint": "Δοκιμαστική λειτουργία: ο κωδικός είναι {code}.",
+        "pay.challenge.label": "Κωδικός επαλήθευσης",
+        "pay.challenge.submit": "Επιβεβαίωση",
+        "pay.testMode": "Δοκιμαστική λειτουργία: οι πληρωμές πηγαίνουν σε προσομοιωμένη πύλη. Κάθε έγκυρη κάρτα εγκρίνεται, εκτός από 4000 0000 0000 0002 (απόρριψη), 4000 0000 0000 9995 (ανεπαρκές υπόλοιπο), 4000 0000 0000 3220 (3-D Secure, κωδικός 123456) και 4000 0000 0000 0119 (χωρίς απάντηση). Amex: 3782 822463 10005 με CID 4 ψηφίων.",
+        "lookup.heading": "Η ΚΡΑΤΗΣΗ ΜΟΥ",
+        "lookup.formTitle": "Αναζήτηση κράτησης",
+        "lookup.intro": "Εισαγάγετε τον κωδικό επιβεβαίωσης της πληρωμής και το email της κράτησης.",
+        "lookup.codeLabel": "Κωδικός επιβεβαίωσης",
+        "lookup.emailLabel": "Email",
+        "lookup.submit": "Αναζήτηση",
+        "lookup.codeFormat": "Οι κωδικοί έχουν τη μορφή SB-7K2QXM.",
+        "lookup.notFoundTitle": "Δεν βρέθηκε κράτηση",
+        "lookup.notFound": "Δεν βρήκαμε κράτηση με αυτόν τον κωδικό και το email. Ελέγξτε τα στοιχεία ή καλέστε τη ρεσεψιόν.",
+        "lookup.resultTitle": "Η κράτησή σας",
+        "lookup.code": "Κωδικός επιβεβαίωσης",
+        "lookup.status": "Κατάσταση",
+        "lookup.status.confirmed": "Επιβεβαιωμένη",
+        "lookup.status.pending_payment": "Εκκρεμεί πληρωμή",
+        "lookup.status.checked_in": "Έγινε check-in",
+        "lookup.status.no_show": "Δεν εμφανίστηκε",
+        "lookup.status.cancelled": "Ακυρώθηκε",
+        "admin.viewSite": "Προβολή ιστότοπου",
+        "admin.logout": "Αποσύνδεση",
+        "admin.heading": "ΚΟΝΣΟΛΑ ΠΡΟΣΩΠΙΚΟΥ",
+        "admin.login.title": "Σύνδεση",
+        "admin.login.password": "Κωδικός",
+        "admin.login.submit": "Σύνδεση",
+        "admin.login.failed": "Ο κωδικός δεν είναι σωστός.",
+        "admin.login.tooMany": {one: "Πάρα πολλοί λάθος κωδικοί. Δοκιμάστε ξανά σε {count} λεπτό.", other: "Πάρα πολλοί λάθος κωδικοί. Δοκιμάστε ξανά σε {count} λεπτά."},
+        "admin.login.demo": "Λειτουργία επίδειξης: οι αλλαγές αποθηκεύονται μόνο σε αυτόν τον browser. Ο κωδικός επίδειξης είναι «santorini».",
+        "admin.login.server": "Συνδεθείτε με τον κωδικό προσωπικού που έχει οριστεί στον διακομιστή κρατήσεων.",
+        "admin.sessionExpired": "Η σύνδεσή σας έληξε. Συνδεθείτε ξανά.",
+        "admin.sections": "Ενότητες",
+        "admin.tab.rooms": "Δωμάτια",
+        "admin.tab.inventory": "Τιμές και διαθεσιμότητα",
+        "admin.tab.reservations": "Κρατήσεις",
+        "admin.tab.messages": "Μηνύματα",
+        "admin.save": "Αποθήκευση αλλαγών",
+        "admin.invalid": "Κάποιες τιμές δεν είναι έγκυρες. Ελέγξτε τις και δοκιμάστε ξανά.",
+        "admin.all": "Όλα",
+        "admin.empty": "Δεν υπάρχει τίποτα με αυτά τα φίλτρα.",
+        "admin.actions": "Ενέργειες",
+        "admin.search": "Αναζήτηση",
+        "admin.export": "Εξαγωγή CSV",
+        "admin.rooms.type": "Τύπος δωματίου",
+        "admin.rooms.rate": "Βασική τιμή ανά νύχτα (USD)",
+        "admin.rooms.stock": "Δωμάτια αυτού του τύπου",
+        "admin.rooms.image": "Φωτογραφία κάρτας",
+        "admin.rooms.name": "Όνομα",
+        "admin.rooms.capacity": "Γραμμή χωρητικότητας",
+        "admin.rooms.countOne": "Πλήθος, ένα δωμάτιο",
+        "admin.rooms.countOther": "Πλήθος, πολλά δωμάτια",
+        "admin.rooms.countHint": "Στα πεδία πλήθους, το {count} αντικαθίσταται από τον αριθμό δωματίων.",
+        "admin.rooms.desc": "Περιγραφή",
+        "admin.rooms.amenities": "Παροχές (μία ανά γραμμή)",
+        "admin.rooms.gallery": "Γκαλερί",
+        "admin.rooms.photoSrc": "Διαδρομή ή URL φωτογραφίας",
+        "admin.rooms.photoAlt": "Περιγραφή ({lang})",
+        "admin.rooms.photoAdd": "Προσθήκη φωτογραφίας",
+        "admin.rooms.photoUpload": "Μεταφόρτωση φωτογραφίας",
+        "admin.rooms.photoRemove": "Αφαίρεση φωτογραφίας",
+        "admin.rooms.photoTooBig": "Η φωτογραφία είναι πολύ μεγάλη. Χρησιμοποιήστε μία κάτω από {max}.",
+        "admin.rooms.numbers": "Η τιμή πρέπει να είναι πάνω από 0 και ο αριθμός δωματίων ακέραιος.",
+        "admin.rooms.saved": "Αποθηκεύτηκε. Οι επισκέπτες βλέπουν την αλλαγή την επόμενη φορά που φορτώνει μια σελίδα.",
+        "admin.rooms.reset": "Αναίρεση όλων των αλλαγών σε αυτό το δωμάτιο",
+        "admin.rooms.resetConfirm": "Επιστροφή στα αρχικά κείμενα, φωτογραφίες, τιμή και πλήθος αυτού του δωματίου;",
+        "admin.rooms.resetDone": "Το δωμάτιο επανήλθε στα αρχικά του στοιχεία.",
+        "admin.inv.formTitle": "Αλλαγή ενός εύρους νυχτών",
+        "admin.inv.intro": "Αφήστε ένα πεδίο κενό για να κρατήσετε ό,τι έχει τώρα κάθε νύχτα.",
+        "admin.inv.from": "Πρώτη νύχτα",
+        "admin.inv.to": "Τελευταία νύχτα",
+        "admin.inv.rooms": "Τύποι δωματίων",
+        "admin.inv.total": "Δωμάτια προς πώληση",
+        "admin.inv.rate": "Τιμή ανά νύχτα (USD)",
+        "admin.inv.apply": "Εφαρμογή",
+        "admin.inv.reset": "Επιστροφή στο πλήθος και τις τιμές του καταλόγου",
+        "admin.inv.nothing": "Συμπληρώστε δωμάτια προς πώληση, τιμή ή και τα δύο.",
+        "admin.inv.saved": {one: "Ενημερώθηκε {count} νύχτα.", other: "Ενημερώθηκαν {count} νύχτες."},
+        "admin.inv.prev": "Προηγούμενος μήνας",
+        "admin.inv.next": "Επόμενος μήνας",
+        "admin.inv.legend": "Κάθε κελί δείχνει δωμάτια πωλημένα / προς πώληση και την τιμή. Οι τιμές με * ορίστηκαν εδώ.",
+        "admin.inv.night": "Νύχτα",
+        "admin.res.searchPh": "Κωδικός, όνομα ή email",
+        "admin.res.from": "Άφιξη από",
+        "admin.res.to": "Άφιξη έως",
+        "admin.res.count": {one: "{count} κράτηση", other: "{count} κρατήσεις"},
+        "admin.res.stay": "Διαμονή",
+        "admin.res.checkIn": "Check-in",
+        "admin.res.noShow": "Δεν εμφανίστηκε",
+        "admin.res.noShowConfirm": "Να σημειωθεί η {code} ως μη εμφάνιση; Τα δωμάτιά της ξαναμπαίνουν προς πώληση και αυτό δεν αναιρείται.",
+        "admin.res.confirmPayment": "Επιβεβαίωση πληρωμής",
+        "admin.res.cancel": "Ακύρωση",
+        "admin.res.cancelConfirm": "Ακύρωση της {code}; Τα δωμάτιά της επιστρέφουν προς πώληση και αυτό δεν αναιρείται.",
+        "admin.res.updated": "{code}: {status}.",
+        "admin.msg.searchPh": "Όνομα, email ή κείμενο",
+        "admin.msg.count": {one: "{count} μήνυμα", other: "{count} μηνύματα"},
+        "admin.msg.received": "Λήψη",
+        "admin.msg.from": "Από",
+        "admin.msg.message": "Μήνυμα",
+        "admin.msg.status.new": "Νέο",
+        "admin.msg.status.handled": "Διεκπεραιώθηκε",
+        "admin.msg.markHandled": "Σήμανση ως διεκπεραιωμένο",
+        "admin.msg.markNew": "Σήμανση ως νέο",
+        "lookup.guest": "Επισκέπτης",
+        "lookup.paid": "Πληρώθηκαν {amount} {currency} με κάρτα που τελειώνει σε {card} στις {date}.",
+        "lookup.paymentPending": "Κάρτα που λήγει σε {card}: το ξενοδοχείο επαληθεύει την πληρωμή {amount} {currency}.",
+        "conf.heading": "ΕΠΙΒΕΒΑΙΩΣΗ ΚΡΑΤΗΣΗΣ",
+        "conf.title": "Η διαμονή σας επιβεβαιώθηκε",
+        "conf.titlePending": "Η κράτησή σας περιμένει επιβεβαίωση πληρωμής",
+        "conf.titleCancelled": "Η κράτηση ακυρώθηκε",
+        "conf.code": "Κωδικός επιβεβαίωσης",
+        "conf.thanks": "Ευχαριστούμε, {name}. Δείξτε αυτή τη σελίδα ή τον κωδικό σας στη ρεσεψιόν του {hotel}.",
+        "conf.stay": "Διαμονή",
+        "conf.from": "{date}, από τις {time}",
+        "conf.until": "{date}, έως τις {time}",
+        "conf.rooms": "Δωμάτια και χρεώσεις",
+        "conf.guest": "Κύριος επισκέπτης",
+        "conf.policies": "Πολιτικές ξενοδοχείου",
+        "conf.policy.checkin": "Άφιξη από τις {checkin}, αναχώρηση έως τις {checkout}.",
+        "conf.policy.id": "Φέρτε ταυτότητα με φωτογραφία και την κάρτα πληρωμής.",
+        "conf.policy.children": "Τα παιδιά κάτω των 2 ετών μένουν σε κούνια χωρίς χρέωση.",
+        "conf.policy.changes": "Για αλλαγή ή ακύρωση, επικοινωνήστε με τη ρεσεψιόν με τον κωδικό επιβεβαίωσης.",
+        "conf.view": "Προβολή και εκτύπωση",
+        "conf.ics": "Προσθήκη στο ημερολόγιο (.ics)",
+        "conf.print": "Εκτύπωση",
+        "conf.missing": "Δεν βρέθηκε αυτή η επιβεβαίωση σε αυτή τη συσκευή.",
+        "conf.ics.checkin": "Άφιξη στο {hotel}",
+        "conf.ics.checkout": "Αναχώρηση από το {hotel}",
+
+        "about.heading": "ΣΧΕΤΙΚΑ ΜΕ ΤΟ SANTORINI BLUE",
+        "about.imageAlt": "Αεροφωτογραφία της Σαντορίνης",
+        "about.intro": "Ο ξενώνας μας είναι ένα ήσυχο καταφύγιο δίπλα στη θάλασσα, για όσους αναζητούν ξεκούραση σε μια ζεστή και φιλόξενη ατμόσφαιρα. Με λίγα μόνο δωμάτια, προσφέρουμε μια πιο προσωπική εμπειρία, όπου κάθε λεπτομέρεια φροντίζεται ώστε οι επισκέπτες να νιώθουν σαν στο σπίτι τους. Περιτριγυρισμένος από μεσογειακά τοπία, ο ξενώνας συνδυάζει την παραδοσιακή γοητεία με τις σύγχρονες ανέσεις, το ιδανικό μέρος για να απολαύσετε την ηρεμία, τον ήλιο και την ομορφιά της θάλασσας.",
+        "about.poolAlt": "Ιδιωτική πισίνα σε σπηλιά με θέα στο Αιγαίο.",
+        "about.amenities": "Παροχές ξενοδοχείου",
+        "about.a1": "Δωρεάν στάθμευση για επισκέπτες",
+        "about.a2": "Δωρεάν internet υψηλής ταχύτητας",
+        "about.a3": "Δωρεάν Wi-Fi",
+        "about.a4": "Πρωινό",
+        "about.a5": "Εξωτερική πισίνα",
+        "about.a6": "Απευθείας πρόσβαση στην παραλία",
+        "about.a7": "24ωρη ρεσεψιόν και room service",
+        "about.a8": "Καθημερινός καθαρισμός",
+        "about.a9": "Σετ τσαγιού και καφέ",
+    },
+};
@@ -0,0 +1,299 @@
+/**
+ * Catálogo de habitaciones: única fuente de datos de cada tipo. Las tarjetas, los steppers,
+ * el resumen, el modal de detalles, las tarifas base, el stock y el checkout salen de acá,
+ * así que sumar un tipo de habitación es agregar un objeto a este JSON.
+ * - id: clave corta (sb_checkout, inventario y el input name="<id>_qty")
+ * - rate: tarifa base en USD por noche; stock: habitaciones del hotel; maxQty: tope del stepper
+ * - occupancy: máximo de adultos y de camas por habitación (los bebés no ocupan cama)
+ * - plans: planes tarifarios que ofrece el tipo (ids de RATE_PLANS en app.js)
+ * - image: foto de la tarjeta; gallery: fotos del modal ({src, alt por idioma}), la primera es la de la habitación
+ * - copy: textos por idioma (count: formas plurales de "N habitaciones")
+ */
+const ROOM_CATALOG = [
+    {
+        "id": "std",
+        "rate": 200,
+        "stock": 6,
+        "maxQty": 9,
+        "size": "30 m²",
+        "occupancy": {
+            "adults": 1,
+            "guests": 2
+        },
+        "plans": ["flex", "nonref", "hotel"],
+        "image": "Imagenes/standardRoom.png",
+        "gallery": [
+            {
+                "src": "Imagenes/standardRoom.png",
+                "alt": {
+                    "en": "Standard Room: double bed with white linen and a bedside lamp by a sheer-curtained window",
+                    "es": "Habitación Standard: cama doble con ropa blanca y lámpara de noche junto a una ventana con cortinas livianas",
+                    "el": "Standard Δωμάτιο: διπλό κρεβάτι με λευκά σεντόνια και πορτατίφ δίπλα σε παράθυρο με διάφανες κουρτίνες"
+                }
+            },
+            {
+                "src": "Imagenes/imagenbook.png",
+                "alt": {
+                    "en": "Whitewashed balcony table overlooking the Aegean",
+                    "es": "Mesa en el balcón blanco con vista al Egeo",
+                    "el": "Τραπέζι σε λευκό μπαλκόνι με θέα στο Αιγαίο"
+                }
+            }
+        ],
+        "copy": {
+            "en": {
+                "title": "Standard Room",
+                "count": {
+                    "one": "{count} Standard Room",
+                    "other": "{count} Standard Rooms"
+                },
+                "capacity": "1 adult + 1 child",
+                "desc": "Cozy room with a serene vibe and soft natural light. Perfect for solo travelers looking for quiet mornings and a comfy bed.",
+                "amenities": [
+                    "Double bed",
+                    "Private balcony (partial sea view)",
+                    "Air conditioning",
+                    "Smart TV 43”",
+                    "Mini-fridge",
+                    "Nespresso coffee machine",
+                    "In-room safe",
+                    "Free toiletries"
+                ]
+            },
+            "es": {
+                "title": "Habitación Standard",
+                "count": {
+                    "one": "{count} Habitación Standard",
+                    "other": "{count} Habitaciones Standard"
+                },
+                "capacity": "1 adulto + 1 niño",
+                "desc": "Habitación acogedora, serena y con luz natural suave. Ideal para quienes viajan solos y buscan mañanas tranquilas y una cama cómoda.",
+                "amenities": [
+                    "Cama doble",
+                    "Balcón privado (vista parcial al mar)",
+                    "Aire acondicionado",
+                    "Smart TV 43”",
+                    "Frigobar",
+                    "Cafetera Nespresso",
+                    "Caja fuerte",
+                    "Artículos de tocador gratis"
+                ]
+            },
+            "el": {
+                "title": "Standard Δωμάτιο",
+                "count": {
+                    "one": "{count} Standard Δωμάτιο",
+                    "other": "{count} Standard Δωμάτια"
+                },
+                "capacity": "1 ενήλικας + 1 παιδί",
+                "desc": "Ζεστό δωμάτιο με ήρεμη ατμόσφαιρα και απαλό φυσικό φως. Ιδανικό για όσους ταξιδεύουν μόνοι και θέλουν ήσυχα πρωινά και άνετο κρεβάτι.",
+                "amenities": [
+                    "Διπλό κρεβάτι",
+                    "Ιδιωτικό μπαλκόνι (μερική θέα στη θάλασσα)",
+                    "Κλιματισμός",
+                    "Smart TV 43”",
+                    "Μίνι ψυγείο",
+                    "Καφετιέρα Nespresso",
+                    "Χρηματοκιβώτιο",
+                    "Δωρεάν είδη μπάνιου"
+                ]
+            }
+        }
+    },
+    {
+        "id": "sup",
+        "rate": 300,
+        "stock": 4,
+        "maxQty": 9,
+        "size": "40 m²",
+        "occupancy": {
+            "adults": 2,
+            "guests": 3
+        },
+        "plans": ["flex", "nonref", "hotel"],
+        "image": "Imagenes/superiorRoom.png",
+        "gallery": [
+            {
+                "src": "Imagenes/superiorRoom.png",
+                "alt": {
+                    "en": "Superior Room: king bed with patterned cushions and a floor-to-ceiling window",
+                    "es": "Habitación Superior: cama king con almohadones estampados y ventanal de piso a techo",
+                    "el": "Superior Δωμάτιο: king κρεβάτι με σχεδιασμένα μαξιλάρια και παράθυρο από το δάπεδο ως την οροφή"
+                }
+            },
+            {
+                "src": "Imagenes/about2.png",
+                "alt": {
+                    "en": "Cave plunge pool with a sunbed and caldera view",
+                    "es": "Pileta en la cueva con reposera y vista a la caldera",
+                    "el": "Πισίνα σε σπηλιά με ξαπλώστρα και θέα στην καλντέρα"
+                }
+            },
+            {
+                "src": "Imagenes/imagenbook.png",
+                "alt": {
+                    "en": "Whitewashed balcony table overlooking the Aegean",
+                    "es": "Mesa en el balcón blanco con vista al Egeo",
+                    "el": "Τραπέζι σε λευκό μπαλκόνι με θέα στο Αιγαίο"
+                }
+            }
+        ],
+        "copy": {
+            "en": {
+                "title": "Superior Room",
+                "count": {
+                    "one": "{count} Superior Room",
+                    "other": "{count} Superior Rooms"
+                },
+                "capacity": "2 adults + 1 child",
+                "desc": "Bright superior room with full sea view and a small lounge area. Ideal for couples who want space and sunlight.",
+                "amenities": [
+                    "King bed or twin",
+                    "Full sea-view balcony",
+                    "Lounge area",
+                    "Air conditioning",
+                    "Smart TV 50”",
+                    "Rain shower",
+                    "Bathrobe & slippers",
+                    "USB-C bedside chargers"
+                ]
+            },
+            "es": {
+                "title": "Habitación Superior",
+                "count": {
+                    "one": "{count} Habitación Superior",
+                    "other": "{count} Habitaciones Superior"
+                },
+                "capacity": "2 adultos + 1 niño",
+                "desc": "Habitación superior luminosa, con vista plena al mar y un pequeño living. Ideal para parejas que buscan espacio y sol.",
+                "amenities": [
+                    "Cama king o dos camas",
+                    "Balcón con vista plena al mar",
+                    "Living",
+                    "Aire acondicionado",
+                    "Smart TV 50”",
+                    "Ducha lluvia",
+                    "Bata y pantuflas",
+                    "Cargadores USB-C junto a la cama"
+                ]
+            },
+            "el": {
+                "title": "Superior Δωμάτιο",
+                "count": {
+                    "one": "{count} Superior Δωμάτιο",
+                    "other": "{count} Superior Δωμάτια"
+                },
+                "capacity": "2 ενήλικες + 1 παιδί",
+                "desc": "Φωτεινό δωμάτιο με πλήρη θέα στη θάλασσα και μικρό καθιστικό. Ιδανικό για ζευγάρια που θέλουν χώρο και ήλιο.",
+                "amenities": [
+                    "King ή δύο μονά κρεβάτια",
+                    "Μπαλκόνι με πλήρη θέα στη θάλασσα",
+                    "Καθιστικό",
+                    "Κλιματισμός",
+                    "Smart TV 50”",
+                    "Ντουζιέρα βροχής",
+                    "Μπουρνούζι και παντόφλες",
+                    "Φορτιστές USB-C δίπλα στο κρεβάτι"
+                ]
+            }
+        }
+    },
+    {
+        "id": "fam",
+        "rate": 400,
+        "stock": 3,
+        "maxQty": 9,
+        "size": "50 m²",
+        "occupancy": {
+            "adults": 5,
+            "guests": 5
+        },
+        "plans": ["flex", "hotel"],
+        "image": "Imagenes/familySuite.png",
+        "gallery": [
+            {
+                "src": "Imagenes/familySuite.png",
+                "alt": {
+                    "en": "Family Suite: bedroom with two single beds and a sliding door to the pergola terrace",
+                    "es": "Suite Familiar: dormitorio con dos camas simples y puerta corrediza a la terraza con pérgola",
+                    "el": "Οικογενειακή Σουίτα: υπνοδωμάτιο με δύο μονά κρεβάτια και συρόμενη πόρτα προς τη βεράντα με πέργκολα"
+                }
+            },
+            {
+                "src": "Imagenes/principal.jpg",
+                "alt": {
+                    "en": "Private pool and terrace facing the caldera",
+                    "es": "Pileta privada y terraza frente a la caldera",
+                    "el": "Ιδιωτική πισίνα και βεράντα με θέα στην καλντέρα"
+                }
+            },
+            {
+                "src": "Imagenes/about2.png",
+                "alt": {
+                    "en": "Cave plunge pool with a sunbed and caldera view",
+                    "es": "Pileta en la cueva con reposera y vista a la caldera",
+                    "el": "Πισίνα σε σπηλιά με ξαπλώστρα και θέα στην καλντέρα"
+                }
+            }
+        ],
+        "copy": {
+            "en": {
+                "title": "Family Suite",
+                "count": {
+                    "one": "{count} Family Suite",
+                    "other": "{count} Family Suites"
+                },
+                "capacity": "Up to 5 guests",
+                "desc": "Spacious family suite featuring a living area and kitchenette. Great for families or small groups.",
+                "amenities": [
+                    "Two rooms + living area",
+                    "Kitchenette with microwave",
+                    "Dining table",
+                    "Two bathrooms",
+                    "Terrace with pergola",
+                    "Smart TV 55”",
+                    "Crib on request",
+                    "Blackout curtains"
+                ]
+            },
+            "es": {
+                "title": "Suite Familiar",
+                "count": {
+                    "one": "{count} Suite Familiar",
+                    "other": "{count} Suites Familiares"
+                },
+                "capacity": "Hasta 5 huéspedes",
+                "desc": "Amplia suite familiar con living y kitchenette. Ideal para familias o grupos chicos.",
+                "amenities": [
+                    "Dos ambientes + living",
+                    "Kitchenette con microondas",
+                    "Mesa comedor",
+                    "Dos baños",
+                    "Terraza con pérgola",
+                    "Smart TV 55”",
+                    "Cuna a pedido",
+                    "Cortinas blackout"
+                ]
+            },
+            "el": {
+                "title": "Οικογενειακή Σουίτα",
+                "count": {
+                    "one": "{count} Οικογενειακή Σουίτα",
+                    "other": "{count} Οικογενειακές Σουίτες"
+                },
+                "capacity": "Έως 5 επισκέπτες",
+                "desc": "Ευρύχωρη οικογενειακή σουίτα με καθιστικό και μικρή κουζίνα. Ιδανική για οικογένειες ή μικρές παρέες.",
+                "amenities": [
+                    "Δύο δωμάτια + καθιστικό",
+                    "Μικρή κουζίνα με φούρνο μικροκυμάτων",
+                    "Τραπεζαρία",
+                    "Δύο μπάνια",
+                    "Βεράντα με πέργκολα",
+                    "Smart TV 55”",
+                    "Βρεφική κούνια κατόπιν αιτήματος",
+                    "Κουρτίνες συσκότισης"
+                ]
+            }
+        }
+    }
+];
@@ -0,0 +1,553 @@
+/**
+ * Servidor de referencia de la API de reservas (sin dependencias: node server/server.js).
+ * Sirve el sitio y las rutas que usa el adaptador "http" de js/app.js:
+ * - GET  /api/availability?checkin&checkout → {free}
+ * - GET  /api/availability?from&to          → {inventory} (solo las noches del rango)
+ * - POST /api/quotes                         → {checkout}
+ * - POST /api/reservations                   → {reservation}
+ * - GET  /api/reservations/:code?email       → {reservation}
+ * - POST /api/contact                        → {id}
+ * y las de la consola (admin.html) bajo /api/admin, que piden "Authorization: Bearer <token>":
+ * - POST /api/admin/login {password}          → {token} (ADMIN_PASSWORD; sin ella la consola no abre)
+ *   Después de LOGIN_FREE_ATTEMPTS claves equivocadas desde una IP, esa IP espera cada vez más:
+ *   429 {code:"too_many", retryAfter} con Retry-After.
+ * - POST /api/admin/logout
+ * - GET  /api/admin/rooms                     → {rooms};  POST /api/admin/rooms/:id {edit} → {edit}
+ * - GET  /api/admin/inventory?from&to         → {inventory};  POST /api/admin/inventory → {nights}
+ * - GET  /api/admin/reservations              → {reservations}
+ * - POST /api/admin/reservations/:code/status {status} → {reservation}
+ * - GET  /api/admin/messages                  → {messages}
+ * - POST /api/admin/messages/:id/status {status} → {message}
+ * Los precios, la disponibilidad y las validaciones son las mismas funciones del sitio
+ * (js/*.js corren en un contexto de vm); lo que en el navegador es localStorage acá es un
+ * archivo JSON (STORE, por defecto server/data/store.json).
+ * El pago no pasa por acá: el sitio sigue usando el simulador y manda el resultado, que este
+ * servidor no puede verificar. Por eso cada reserva queda "pending_payment" hasta que la recepción
+ * confirme el cobro desde la consola (o la cancele y libere las habitaciones).
+ * Para probar la bandeja de salida del contacto, CONTACT_FAILURES=n hace que los primeros
+ * n mensajes reciban un 503 (como un servidor caído).
+ * Los cambios de habitaciones de la consola llegan a las páginas en un js/rooms.js generado.
+ */
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const vm = require("vm");
+const {createHash, randomBytes, timingSafeEqual, webcrypto} = require("crypto");
+
+const ROOT = path.resolve(__dirname, "..");
+const PORT = Number(process.env.PORT) || 8787;
+const STORE = path.resolve(process.env.STORE || path.join(__dirname, "data", "store.json"));
+/** Claves de localStorage que son datos del hotel y se guardan en STORE; el resto vive en memoria. */
+const STORED_KEYS = ["sb_inventory", "sb_reservations", "sb_promo_uses", "sb_messages", "sb_room_edits"];
+const MAX_BODY = 100 * 1024;
+let contactFailures = Number(process.env.CONTACT_FAILURES) || 0;
+const SCRIPTS = ["js/i18n.js", "js/rooms.js", "js/extras.js", "js/app.js"];
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
+/** Duración de una sesión de la consola. */
+const ADMIN_SESSION_MS = 8 * 60 * 60 * 1000;
+/** Claves equivocadas seguidas que una IP puede probar antes de tener que esperar. */
+const LOGIN_FREE_ATTEMPTS = 5;
+/** Primera espera; se duplica con cada fallo siguiente hasta LOGIN_BACKOFF_MAX_MS. */
+const LOGIN_BACKOFF_BASE_MS = 30 * 1000;
+const LOGIN_BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * Lee el archivo de datos ({clave: valor en texto}, como localStorage).
+ * @method readStore
+ * @return {Object<string, string>}
+ */
+const readStore = () => {
+    try {
+        return JSON.parse(fs.readFileSync(STORE, "utf8")) || {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Escribe el archivo de datos de una vez (archivo temporal + rename) para no dejarlo a medias.
+ * @method writeStore
+ * @param {Object<string, string>} data
+ * @return {void}
+ */
+const writeStore = (data) => {
+    fs.mkdirSync(path.dirname(STORE), {recursive: true});
+    const tmp = `${STORE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, STORE);
+};
+
+/**
+ * localStorage respaldado por el archivo de datos.
+ * @method createStorage
+ * @return {Storage}
+ */
+const createStorage = () => {
+    const memory = {};
+    return {
+        getItem: (key) => (STORED_KEYS.includes(key) ? readStore()[key] : memory[key]) ?? null,
+        setItem: (key, value) => {
+            if (!STORED_KEYS.includes(key)) {
+                memory[key] = String(value);
+                return;
+            }
+            const data = readStore();
+            data[key] = String(value);
+            writeStore(data);
+        },
+        removeItem: (key) => {
+            if (!STORED_KEYS.includes(key)) {
+                delete memory[key];
+                return;
+            }
+            const data = readStore();
+            delete data[key];
+            writeStore(data);
+        },
+    };
+};
+
+/**
+ * Carga los scripts del sitio en un contexto sin DOM y devuelve las funciones que usa la API.
+ * @method loadSite
+ * @return {Object}
+ */
+const loadSite = () => {
+    const noop = () => {};
+    const element = {setAttribute: noop, classList: {add: noop, remove: noop, toggle: noop}, dataset: {}, style: {}};
+    const memory = {};
+    const context = {
+        console,
+        crypto: webcrypto,
+        URL,
+        URLSearchParams,
+        setTimeout,
+        clearTimeout,
+        Intl,
+        navigator: {language: "en", languages: ["en"]},
+        localStorage: createStorage(),
+        sessionStorage: {
+            getItem: (key) => memory[key] ?? null,
+            setItem: (key, value) => { memory[key] = String(value); },
+            removeItem: (key) => { delete memory[key]; },
+        },
+        location: {search: "", pathname: "/", href: "http://localhost/", replace: noop, assign: noop},
+        history: {replaceState: noop},
+        Event: class Event {
+            constructor(type) { this.type = type; }
+        },
+        CustomEvent: class CustomEvent {
+            constructor(type, init = {}) { this.type = type; this.detail = init.detail; }
+        },
+        document: {
+            documentElement: element,
+            body: element,
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            addEventListener: noop,
+            dispatchEvent: noop,
+            createElement: () => ({...element}),
+        },
+        addEventListener: noop,
+        matchMedia: () => ({matches: false, addEventListener: noop}),
+    };
+    context.window = context;
+    vm.createContext(context);
+    for (const file of SCRIPTS) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, {filename: file});
+    }
+    return vm.runInContext(`({
+        prepareQuote, placeReservation, findReservation, recordContactMessage,
+        getAvailability, loadInventory, parseISODate,
+        editedRoomCatalog, saveRoomEdit, setInventoryRange, loadReservations, setReservationStatus,
+        loadMessages, setMessageStatus,
+    })`, context);
+};
+
+// se vuelve a cargar cuando la consola cambia una habitación (tarifas base y stock salen del catálogo)
+let site = loadSite();
+
+/** Estado HTTP de cada código de error de la API. */
+const STATUS_BY_CODE = {invalid: 422, expired: 422, unavailable: 409, changed: 409, not_found: 404, unauthorized: 401};
+
+const TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".json": "application/json",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".webp": "image/webp",
+    ".svg": "image/svg+xml",
+    ".ico": "image/x-icon",
+    ".pdf": "application/pdf",
+};
+
+/**
+ * Responde con JSON (y CORS, para poder usar la API desde otro origen).
+ * @method sendJson
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ * @param {Object} [headers] - Cabeceras extra.
+ * @return {void}
+ */
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Access-Control-Allow-Origin": "*",
+        "Cache-Control": "no-store",
+        ...headers,
+    });
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Convierte el resultado de una función del sitio ({ok, ...} | {ok:false, code}) en la respuesta.
+ * @method sendResult
+ * @param {http.ServerResponse} res
+ * @param {Object} result
+ * @param {number} [okStatus]
+ * @return {void}
+ */
+const sendResult = (res, result, okStatus = 200) => {
+    const {ok, ...body} = result;
+    sendJson(res, ok ? okStatus : STATUS_BY_CODE[body.code] || 400, body);
+};
+
+/**
+ * Lee el cuerpo JSON del pedido.
+ * @method readJson
+ * @param {http.IncomingMessage} req
+ * @return {Promise<Object>} Rechaza con {code:"invalid"} si no es JSON o es muy grande.
+ */
+const readJson = (req) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+            reject({code: "invalid"});
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on("end", () => {
+        try {
+            const body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+            if (body && typeof body === "object" && !Array.isArray(body)) resolve(body);
+            else reject({code: "invalid"});
+        } catch {
+            reject({code: "invalid"});
+        }
+    });
+    req.on("error", () => reject({code: "invalid"}));
+});
+
+/**
+ * decodeURIComponent que devuelve null ante un escape mal formado (como "/%E0%A4%A") en vez de lanzar.
+ * @method decodePath
+ * @param {string} s
+ * @return {string|null}
+ */
+const decodePath = (s) => {
+    try {
+        return decodeURIComponent(s);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Noches del inventario guardado dentro de ?from (incluida) y ?to (excluida).
+ * @method inventoryRange
+ * @param {URLSearchParams} q
+ * @return {Object}
+ */
+const inventoryRange = (q) => {
+    const from = q.get("from") || "";
+    const to = q.get("to") || "9999-12-31";
+    return Object.fromEntries(Object.entries(site.loadInventory()).filter(([iso]) => iso >= from && iso < to));
+};
+
+/** Sesiones de la consola: token → vencimiento (en memoria; reiniciar el servidor las cierra). */
+const adminSessions = new Map();
+
+/**
+ * Compara la contraseña con ADMIN_PASSWORD en tiempo constante (sobre los hash, que miden igual).
+ * @method checkAdminPassword
+ * @param {*} password
+ * @return {boolean}
+ */
+const checkAdminPassword = (password) => {
+    if (!ADMIN_PASSWORD || typeof password !== "string") return false;
+    const digest = (text) => createHash("sha256").update(text).digest();
+    return timingSafeEqual(digest(password), digest(ADMIN_PASSWORD));
+};
+
+/**
+ * Claves equivocadas por IP: ip → {fails, at, until} (en memoria, como las sesiones). La IP es la
+ * del socket: detrás de un proxy todos comparten la del proxy.
+ */
+const loginFailures = new Map();
+
+/**
+ * Si la IP ya no debe nada: pasó LOGIN_BACKOFF_MAX_MS sin fallar desde el último fallo o espera.
+ * @method isLoginEntryStale
+ * @param {{at:number, until:number}} entry
+ * @param {number} now
+ * @return {boolean}
+ */
+const isLoginEntryStale = (entry, now) => now - Math.max(entry.at, entry.until) > LOGIN_BACKOFF_MAX_MS;
+
+/**
+ * Hasta cuándo tiene que esperar esa IP para volver a probar (0 si puede ahora).
+ * @method loginBlockedUntil
+ * @param {string} ip
+ * @param {number} now
+ * @return {number}
+ */
+const loginBlockedUntil = (ip, now) => {
+    const entry = loginFailures.get(ip);
+    if (!entry) return 0;
+    if (isLoginEntryStale(entry, now)) {
+        loginFailures.delete(ip);
+        return 0;
+    }
+    return entry.until > now ? entry.until : 0;
+};
+
+/**
+ * Anota una clave equivocada y, pasadas las LOGIN_FREE_ATTEMPTS, la espera que le toca.
+ * @method recordLoginFailure
+ * @param {string} ip
+ * @param {number} now
+ * @return {void}
+ */
+const recordLoginFailure = (ip, now) => {
+    const fails = (loginFailures.get(ip)?.fails || 0) + 1;
+    const until = fails >= LOGIN_FREE_ATTEMPTS
+        ? now + Math.min(LOGIN_BACKOFF_MAX_MS, LOGIN_BACKOFF_BASE_MS * 2 ** (fails - LOGIN_FREE_ATTEMPTS))
+        : 0;
+    loginFailures.set(ip, {fails, at: now, until});
+    // que las IPs que no vuelven no se acumulen
+    if (loginFailures.size > 1000) loginFailures.forEach((entry, key) => isLoginEntryStale(entry, now) && loginFailures.delete(key));
+};
+
+/**
+ * Token del pedido si es una sesión vigente.
+ * @method adminToken
+ * @param {http.IncomingMessage} req
+ * @return {string|null}
+ */
+const adminToken = (req) => {
+    const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    const expires = adminSessions.get(token);
+    if (!expires) return null;
+    if (expires < Date.now()) {
+        adminSessions.delete(token);
+        return null;
+    }
+    return token;
+};
+
+/**
+ * Rutas de /api/admin (la consola del hotel).
+ * @method handleAdmin
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ * @param {string} route - Lo que sigue a /api/admin.
+ * @return {Promise<void>}
+ */
+const handleAdmin = async (req, res, url, route) => {
+    if (req.method === "POST" && route === "/login") {
+        const ip = req.socket.remoteAddress || "";
+        const now = Date.now();
+        const until = loginBlockedUntil(ip, now);
+        if (until) {
+            const retryAfter = Math.ceil((until - now) / 1000);
+            return sendJson(res, 429, {code: "too_many", retryAfter}, {"Retry-After": String(retryAfter)});
+        }
+        const {password} = await readJson(req);
+        if (!checkAdminPassword(password)) {
+            recordLoginFailure(ip, now);
+            return sendJson(res, 401, {code: "unauthorized"});
+        }
+        loginFailures.delete(ip);
+        const token = randomBytes(32).toString("hex");
+        adminSessions.set(token, Date.now() + ADMIN_SESSION_MS);
+        return sendJson(res, 200, {token});
+    }
+
+    const token = adminToken(req);
+    if (!token) return sendJson(res, 401, {code: "unauthorized"});
+
+    if (req.method === "POST" && route === "/logout") {
+        adminSessions.delete(token);
+        return sendJson(res, 200, {});
+    }
+
+    if (req.method === "GET" && route === "/rooms") return sendJson(res, 200, {rooms: site.editedRoomCatalog()});
+
+    const room = route.match(/^\/rooms\/([^/]+)$/);
+    if (req.method === "POST" && room) {
+        const id = decodePath(room[1]);
+        if (id === null) return sendJson(res, 400, {code: "invalid"});
+        const {edit} = await readJson(req);
+        const result = site.saveRoomEdit(id, edit === null ? null : edit || {});
+        if (result.ok) site = loadSite();
+        return sendResult(res, result);
+    }
+
+    if (req.method === "GET" && route === "/inventory") return sendJson(res, 200, {inventory: inventoryRange(url.searchParams)});
+
+    if (req.method === "POST" && route === "/inventory") return sendResult(res, site.setInventoryRange(await readJson(req)));
+
+    if (req.method === "GET" && route === "/reservations") {
+        return sendJson(res, 200, {reservations: Object.values(site.loadReservations())});
+    }
+
+    const reservation = route.match(/^\/reservations\/([^/]+)\/status$/);
+    if (req.method === "POST" && reservation) {
+        const code = decodePath(reservation[1]);
+        if (code === null) return sendJson(res, 400, {code: "invalid"});
+        const {status} = await readJson(req);
+        return sendResult(res, site.setReservationStatus(code, status));
+    }
+
+    if (req.method === "GET" && route === "/messages") return sendJson(res, 200, {messages: site.loadMessages()});
+
+    const message = route.match(/^\/messages\/([^/]+)\/status$/);
+    if (req.method === "POST" && message) {
+        const id = decodePath(message[1]);
+        if (id === null) return sendJson(res, 400, {code: "invalid"});
+        const {status} = await readJson(req);
+        return sendResult(res, site.setMessageStatus(id, status));
+    }
+
+    sendJson(res, 404, {code: "not_found"});
+};
+
+/**
+ * Rutas de /api.
+ * @method handleApi
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ * @return {Promise<void>}
+ */
+const handleApi = async (req, res, url) => {
+    const route = url.pathname.replace(/^\/api/, "");
+    const q = url.searchParams;
+
+    if (req.method === "OPTIONS") {
+        res.writeHead(204, {
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+            "Access-Control-Allow-Headers": "Content-Type, Authorization",
+        });
+        res.end();
+        return;
+    }
+
+    if (route === "/admin" || route.startsWith("/admin/")) return handleAdmin(req, res, url, route.slice("/admin".length));
+
+    if (req.method === "GET" && route === "/availability") {
+        if (q.has("checkin")) {
+            const inDate = site.parseISODate(q.get("checkin"));
+            const outDate = site.parseISODate(q.get("checkout"));
+            if (!inDate || !outDate || outDate <= inDate) return sendJson(res, 422, {code: "invalid"});
+            return sendJson(res, 200, {free: site.getAvailability(inDate, outDate)});
+        }
+        return sendJson(res, 200, {inventory: inventoryRange(q)});
+    }
+
+    if (req.method === "POST" && route === "/quotes") {
+        return sendResult(res, site.prepareQuote(await readJson(req)), 201);
+    }
+
+    if (req.method === "POST" && route === "/reservations") {
+        return sendResult(res, site.placeReservation(await readJson(req)), 201);
+    }
+
+    const match = route.match(/^\/reservations\/([^/]+)$/);
+    if (req.method === "GET" && match) {
+        const code = decodePath(match[1]);
+        if (code === null) return sendJson(res, 400, {code: "invalid"});
+        const reservation = site.findReservation(code, q.get("email") || "");
+        return reservation ? sendJson(res, 200, {reservation}) : sendJson(res, 404, {code: "not_found"});
+    }
+
+    if (req.method === "POST" && route === "/contact") {
+        if (contactFailures > 0) {
+            contactFailures -= 1;
+            return sendJson(res, 503, {code: "error"});
+        }
+        return sendResult(res, site.recordContactMessage(await readJson(req)), 201);
+    }
+
+    sendJson(res, 404, {code: "not_found"});
+};
+
+/**
+ * Archivos del sitio. js/config.js se reemplaza para que el sitio use esta API y js/rooms.js
+ * para que lleve los cambios de la consola.
+ * @method serveStatic
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ * @return {void}
+ */
+const serveStatic = (res, url) => {
+    const decoded = decodePath(url.pathname);
+    if (decoded === null) {
+        res.writeHead(404, {"Content-Type": "text/plain; charset=utf-8"});
+        res.end("Not found");
+        return;
+    }
+    const rel = decoded.replace(/^\/+/, "") || "index.html";
+    if (rel === "js/config.js") {
+        res.writeHead(200, {"Content-Type": TYPES[".js"], "Cache-Control": "no-store"});
+        res.end(`const SITE_CONFIG = ${JSON.stringify({apiUrl: "/api"})};\n`);
+        return;
+    }
+    if (rel === "js/rooms.js") {
+        res.writeHead(200, {"Content-Type": TYPES[".js"], "Cache-Control": "no-store"});
+        res.end(`const ROOM_CATALOG = ${JSON.stringify(site.editedRoomCatalog(), null, 2)};\n`);
+        return;
+    }
+    const file = path.resolve(ROOT, rel);
+    const hidden = rel.split("/").some((part) => part.startsWith(".")) || rel.startsWith("server/");
+    if (!file.startsWith(ROOT + path.sep) || hidden || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        res.writeHead(404, {"Content-Type": "text/plain; charset=utf-8"});
+        res.end("Not found");
+        return;
+    }
+    res.writeHead(200, {"Content-Type": TYPES[path.extname(file).toLowerCase()] || "application/octet-stream"});
+    fs.createReadStream(file).pipe(res);
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+        if (url.pathname === "/api" || url.pathname.startsWith("/api/")) await handleApi(req, res, url);
+        else serveStatic(res, url);
+    } catch (err) {
+        if (err && err.code === "invalid") {
+            sendJson(res, 400, {code: "invalid"});
+            return;
+        }
+        console.error(err);
+        if (!res.headersSent) sendJson(res, 500, {code: "error"});
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Santorini Blue en http://localhost:${PORT} (datos en ${path.relative(ROOT, STORE)})`);
+    if (!ADMIN_PASSWORD) console.log("Consola cerrada: definí ADMIN_PASSWORD para usar admin.html");
+});
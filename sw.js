@@ -0,0 +1,131 @@
+/**
+ * Service worker: deja el sitio disponible sin conexión (por ejemplo con el Wi-Fi del ferry).
+ * - al instalarse guarda en el caché de esta versión las páginas, los estilos, los scripts y
+ *   las imágenes de PRECACHE
+ * - páginas, CSS y JS: primero la red, para ver siempre lo último; si no hay conexión o tarda
+ *   más de NETWORK_TIMEOUT_MS, lo guardado
+ * - imágenes: primero lo guardado
+ * - la API, lo que no es GET y lo de otros dominios pasan directo: reservas, pagos y mensajes
+ *   nunca salen del caché
+ * Al publicar cambios hay que subir CACHE_VERSION (y sumar acá los archivos nuevos): la versión
+ * nueva se baja entera sin pasar por el caché HTTP y al activarse borra los cachés anteriores.
+ */
+"use strict";
+
+const CACHE_VERSION = 1;
+const CACHE_PREFIX = "sb-static-";
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+const NETWORK_TIMEOUT_MS = 4000;
+
+const PRECACHE = [
+    "./",
+    "index.html",
+    "booking.html",
+    "payment.html",
+    "contact.html",
+    "about.html",
+    "reservation.html",
+    "confirmation.html",
+    "css/styles.css",
+    "js/config.js",
+    "js/i18n.js",
+    "js/rooms.js",
+    "js/extras.js",
+    "js/app.js",
+    "Imagenes/about2.png",
+    "Imagenes/faceLogo.png",
+    "Imagenes/familySuite.png",
+    "Imagenes/favicon.png",
+    "Imagenes/imagenabout.png",
+    "Imagenes/imagenbook.png",
+    "Imagenes/imagencontact.png",
+    "Imagenes/instaLogo.png",
+    "Imagenes/principal.jpg",
+    "Imagenes/standardRoom.png",
+    "Imagenes/superiorRoom.png",
+    "Imagenes/twitLogo.png",
+];
+
+/**
+ * Clave de caché de un pedido: sin la query, así booking.html?checkin=... usa la página guardada.
+ * @method cacheKey
+ * @param {URL} url
+ * @return {string}
+ */
+const cacheKey = (url) => `${url.origin}${url.pathname}`;
+
+/**
+ * Primero la red (y actualiza el caché); si falla o tarda, lo guardado.
+ * @method networkFirst
+ * @param {Request} request
+ * @param {string} key
+ * @return {Promise<Response>}
+ */
+const networkFirst = async (request, key) => {
+    const cache = await caches.open(CACHE_NAME);
+    const fromNetwork = fetch(request).then((response) => {
+        if (response.ok) cache.put(key, response.clone());
+        return response;
+    });
+    fromNetwork.catch(() => {}); // si gana el caché, el error de la red ya no le importa a nadie
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(reject, NETWORK_TIMEOUT_MS);
+    });
+    try {
+        return await Promise.race([fromNetwork, timeout]);
+    } catch {
+        // sin nada guardado se sigue esperando a la red
+        return (await cache.match(key)) || fromNetwork;
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Primero lo guardado; si no está, la red (y lo guarda).
+ * @method cacheFirst
+ * @param {Request} request
+ * @param {string} key
+ * @return {Promise<Response>}
+ */
+const cacheFirst = async (request, key) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+};
+
+self.addEventListener("install", (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // cache: "reload" saltea el caché HTTP: lo guardado es lo publicado con esta versión
+        await Promise.all(PRECACHE.map(async (path) => {
+            const url = new URL(path, self.registration.scope);
+            const response = await fetch(url, {cache: "reload"});
+            if (!response.ok) throw new Error(`${path}: ${response.status}`);
+            await cache.put(cacheKey(url), response);
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map((name) => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener("fetch", (event) => {
+    const {request} = event;
+    const url = new URL(request.url);
+    if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.includes("/api/")) return;
+    const key = cacheKey(url);
+    event.respondWith(url.pathname.includes("/Imagenes/") ? cacheFirst(request, key) : networkFirst(request, key));
+});